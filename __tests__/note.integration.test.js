@@ -266,4 +266,76 @@ date: {{date}}
     expect(filled).toContain(`date: ${date}`);
     expect(filled).toContain(`# Daily Note - ${date}`);
   });
+
+  test('should rank note search results and return snippets', () => {
+    const { searchNotes } = require('../cli/note/search');
+    const getNotesDir = () => NOTES_DIR;
+    fs.mkdirSync(path.join(NOTES_DIR, 'meetings'), { recursive: true });
+    fs.mkdirSync(path.join(NOTES_DIR, 'technical'), { recursive: true });
+    fs.writeFileSync(
+      path.join(NOTES_DIR, 'meetings', '2025-01-15-sync.md'),
+      '---\ntitle: Weekly Sync\ndate: 2025-01-15\n---\n\n# Sync\n\nWe talked about caching.\n'
+    );
+    fs.writeFileSync(
+      path.join(NOTES_DIR, 'technical', 'ADR-001-caching.md'),
+      '---\ntitle: Caching strategy\ndate: 2025-01-10\n---\n\n# Caching\n'
+    );
+
+    const results = searchNotes(getNotesDir, 'cachng');
+    expect(results.map((n) => n.file)).toEqual(['ADR-001-caching.md', '2025-01-15-sync.md']);
+    expect(results[1].snippet).toEqual({ line: 8, text: 'We talked about caching.' });
+    expect(searchNotes(getNotesDir, 'caching -talked').map((n) => n.type)).toEqual(['technical']);
+  });
+
+  test('should lint notes against the schema of their type', () => {
+    const { createMeetingNote } = require('../cli/note/crud');
+    const { lintNotes } = require('../cli/schema');
+    const getNotesDir = () => NOTES_DIR;
+    ['daily', 'meetings', 'technical', 'learning'].forEach((dir) => {
+      fs.mkdirSync(path.join(NOTES_DIR, dir), { recursive: true });
+    });
+    createMeetingNote(getNotesDir, 'Planning', false);
+    fs.writeFileSync(
+      path.join(NOTES_DIR, 'daily', '2025-01-15.md'),
+      '---\ndate: 2025-01-32\ntype: daily\ntitle: "Daily Notes"\nmood: good\n---\n'
+    );
+
+    const report = lintNotes(getNotesDir);
+    expect(report.checked).toBe(2);
+    expect(report.results.map((r) => [path.basename(r.file), r.line, r.severity])).toEqual([
+      ['2025-01-15.md', 2, 'error'],
+      ['2025-01-15.md', 5, 'warning'],
+    ]);
+  });
+
+  test('should create notes from workspace templates', () => {
+    const { createMeetingNote, createDailyNote } = require('../cli/note/crud');
+    const { getCurrentDate } = require('../cli/utils');
+    const getNotesDir = () => NOTES_DIR;
+    const configDir = path.join(testRootDir, '.local-work');
+    ['daily', 'meetings', 'technical', 'learning'].forEach((dir) => {
+      fs.mkdirSync(path.join(NOTES_DIR, dir), { recursive: true });
+    });
+    fs.mkdirSync(path.join(configDir, 'templates'), { recursive: true });
+    fs.writeFileSync(
+      path.join(configDir, 'config.json'),
+      JSON.stringify({ version: '3.0.0', tasksDir: 'tasks', notesDir: 'notes' })
+    );
+    fs.writeFileSync(
+      path.join(configDir, 'templates', 'meeting-template.md'),
+      '---\nparticipants: []\n---\n\n# {{title}} ({{date}})\n\n## Notes\n'
+    );
+
+    const date = getCurrentDate();
+    createMeetingNote(getNotesDir, 'Retro', false);
+    createDailyNote(getNotesDir, false);
+    fs.rmSync(configDir, { recursive: true, force: true });
+
+    expect(fs.readFileSync(path.join(NOTES_DIR, 'meetings', `${date}-retro.md`), 'utf-8')).toBe(
+      `---\nparticipants: []\ndate: ${date}\ntype: meeting\ntitle: Retro\n---\n\n# Retro (${date})\n\n## Notes\n`
+    );
+    expect(fs.readFileSync(path.join(NOTES_DIR, 'daily', `${date}.md`), 'utf-8')).toContain(
+      `# ${date} - Daily Notes`
+    );
+  });
 });
@@ -29,6 +29,16 @@ describe('Task Integration Tests', () => {
     }
   });
 
+  const getTasksDir = () => TASKS_DIR;
+  /** Everything printed with console.log since the test started */
+  const printed = () => console.log.mock.calls.map((c) => String(c[0])).join('\n');
+  /** Create the default task state directories */
+  const createStateDirs = () => {
+    ['active', 'backlog', 'completed', 'archived'].forEach((dir) => {
+      fs.mkdirSync(path.join(TASKS_DIR, dir), { recursive: true });
+    });
+  };
+
   beforeEach(() => {
     // Clear tasks directory before each test
     if (fs.existsSync(TASKS_DIR)) {
@@ -207,4 +217,1660 @@ estimated: 5h
     expect(frontmatter.status).toBe('active');
     expect(frontmatter.priority).toBe('high');
   });
+
+  describe('Subtasks', () => {
+    const { createTask, moveTask, findTask } = require('../cli/task/crud');
+    const { getAllTasks } = require('../cli/task/list');
+
+    beforeEach(createStateDirs);
+
+    test('should record parent field on subtasks', () => {
+      createTask('Epic', getTasksDir);
+      const child = createTask('Child', getTasksDir, 'medium', '', { parent: '001' });
+
+      const content = fs.readFileSync(child.filePath, 'utf-8');
+      expect(content).toContain('parent: TASK-001');
+
+      const tasks = getAllTasks(getTasksDir);
+      expect(tasks.find((t) => t.id === 'TASK-002').parent).toBe('TASK-001');
+    });
+
+    test('should refuse completing a parent with open subtasks unless forced', () => {
+      createTask('Epic', getTasksDir);
+      createTask('Child', getTasksDir, 'medium', '', { parent: 'TASK-001' });
+
+      moveTask('TASK-001', 'completed', getTasksDir);
+      expect(findTask('TASK-001', getTasksDir).status).toBe('backlog');
+
+      moveTask('TASK-001', 'completed', getTasksDir, { force: true });
+      expect(findTask('TASK-001', getTasksDir).status).toBe('completed');
+    });
+
+    test('should still show tasks in a parent cycle in the tree', () => {
+      const { listTasks } = require('../cli/task/list');
+      const { updateFrontmatter } = require('../cli/utils');
+      createTask('Epic', getTasksDir);
+      createTask('Child', getTasksDir, 'medium', '', { parent: 'TASK-001' });
+      const epic = findTask('TASK-001', getTasksDir).path;
+      fs.writeFileSync(
+        epic,
+        updateFrontmatter(fs.readFileSync(epic, 'utf-8'), 'parent', 'TASK-002')
+      );
+
+      listTasks(getTasksDir, null, { tree: true });
+      expect(printed()).toContain('Parent cycle: TASK-001, TASK-002');
+      expect(printed()).toMatch(/TASK-001.*: Epic[\s\S]*└─ .*TASK-002.*: Child/);
+    });
+
+    test('should allow completing a parent once subtasks are done', () => {
+      createTask('Epic', getTasksDir);
+      createTask('Child', getTasksDir, 'medium', '', { parent: 'TASK-001' });
+
+      moveTask('TASK-002', 'completed', getTasksDir);
+      moveTask('TASK-001', 'completed', getTasksDir);
+      expect(findTask('TASK-001', getTasksDir).status).toBe('completed');
+    });
+  });
+
+  describe('Dependencies', () => {
+    const { createTask, moveTask } = require('../cli/task/crud');
+    const {
+      addDependency,
+      removeDependency,
+      getUnfinishedDependencies,
+      getBlockedTasks,
+    } = require('../cli/task/depend');
+
+    beforeEach(() => {
+      createStateDirs();
+      ['A', 'B', 'C'].forEach((title) => createTask(title, getTasksDir));
+    });
+
+    test('should record and remove depends_on entries', () => {
+      expect(addDependency('TASK-002', '001', getTasksDir)).toBe(true);
+      expect(getUnfinishedDependencies('TASK-002', getTasksDir).map((d) => d.id)).toEqual([
+        'TASK-001',
+      ]);
+
+      expect(removeDependency('TASK-002', 'TASK-001', getTasksDir)).toBe(true);
+      expect(getUnfinishedDependencies('TASK-002', getTasksDir)).toEqual([]);
+    });
+
+    test('should reject self-dependencies and cycles', () => {
+      expect(addDependency('TASK-001', 'TASK-001', getTasksDir)).toBe(false);
+
+      addDependency('TASK-002', 'TASK-001', getTasksDir);
+      addDependency('TASK-003', 'TASK-002', getTasksDir);
+      expect(addDependency('TASK-001', 'TASK-003', getTasksDir)).toBe(false);
+    });
+
+    test('should only report tasks blocked by unfinished dependencies', () => {
+      addDependency('TASK-002', 'TASK-001', getTasksDir);
+      expect(getBlockedTasks(getTasksDir).map((t) => t.id)).toEqual(['TASK-002']);
+
+      moveTask('TASK-001', 'completed', getTasksDir);
+      expect(getBlockedTasks(getTasksDir)).toEqual([]);
+    });
+
+    test('should list unfinished dependencies without reporting the move', () => {
+      const { warnUnfinishedDependencies } = require('../cli/task/depend');
+      addDependency('TASK-002', 'TASK-001', getTasksDir);
+      console.log.mockClear();
+
+      expect(warnUnfinishedDependencies('TASK-003', getTasksDir)).toBe(false);
+      expect(warnUnfinishedDependencies('TASK-002', getTasksDir)).toBe(true);
+      expect(printed()).toContain('TASK-002 is blocked by 1 unfinished task(s)');
+      expect(printed()).toContain('TASK-001: A (backlog)');
+      expect(printed()).not.toContain('anyway');
+    });
+  });
+
+  describe('Due Dates and Agenda', () => {
+    const { createTask, updateTask, moveTask } = require('../cli/task/crud');
+    const { getAgenda } = require('../cli/task/agenda');
+    const { getCurrentDate } = require('../cli/utils');
+
+    beforeEach(createStateDirs);
+
+    test('should store due date set at creation and via update', () => {
+      const created = createTask('Release', getTasksDir, 'high', '', { due: '2026-11-03' });
+      expect(fs.readFileSync(created.filePath, 'utf-8')).toContain('due: 2026-11-03');
+
+      updateTask('TASK-001', 'due', '2026-11-10', getTasksDir);
+      expect(fs.readFileSync(created.filePath, 'utf-8')).toContain('due: 2026-11-10');
+
+      updateTask('TASK-001', 'due', 'next week', getTasksDir);
+      expect(fs.readFileSync(created.filePath, 'utf-8')).toContain('due: 2026-11-10');
+    });
+
+    test('should group open tasks by due date', () => {
+      createTask('Late', getTasksDir, 'medium', '', { due: '2000-01-01' });
+      createTask('Now', getTasksDir, 'medium', '', { due: getCurrentDate() });
+      createTask('Someday', getTasksDir, 'medium', '', { due: '2999-01-01' });
+      createTask('Done late', getTasksDir, 'medium', '', { due: '2000-01-01' });
+      createTask('No deadline', getTasksDir);
+      moveTask('TASK-004', 'completed', getTasksDir);
+
+      const agenda = getAgenda(getTasksDir);
+      expect(agenda.overdue.map((t) => t.id)).toEqual(['TASK-001']);
+      expect(agenda.today.map((t) => t.id)).toEqual(['TASK-002']);
+      expect(agenda.later.map((t) => t.id)).toEqual(['TASK-003']);
+    });
+  });
+
+  describe('Recurring Tasks', () => {
+    const { createTask, moveTask, findTask } = require('../cli/task/crud');
+    const { parseFrontmatter } = require('../cli/utils');
+
+    beforeEach(createStateDirs);
+
+    test('should create the next instance when a recurring task is completed', () => {
+      createTask('On-call handover', getTasksDir, 'high', 'sam', {
+        tags: ['ops'],
+        recurrence: 'daily',
+        due: '2999-01-01',
+      });
+      moveTask('TASK-001', 'completed', getTasksDir);
+
+      const next = findTask('TASK-002', getTasksDir);
+      expect(next.status).toBe('backlog');
+
+      const meta = parseFrontmatter(fs.readFileSync(next.path, 'utf-8'));
+      expect(meta.title).toBe('On-call handover');
+      expect(meta.priority).toBe('high');
+      expect(meta.assignee).toBe('sam');
+      expect(meta.tags).toEqual(['ops']);
+      expect(meta.recurrence).toBe('daily');
+      expect(meta.due).toBe('2999-01-02');
+    });
+
+    test('should create the next instance only once', () => {
+      createTask('Weekly report', getTasksDir, 'medium', '', { recurrence: 'weekly:fri' });
+      moveTask('TASK-001', 'completed', getTasksDir);
+      moveTask('TASK-001', 'active', getTasksDir, { force: true });
+      moveTask('TASK-001', 'completed', getTasksDir);
+
+      const meta = parseFrontmatter(
+        fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8')
+      );
+      expect(meta.next).toBe('TASK-002');
+      expect(findTask('TASK-003', getTasksDir)).toBeNull();
+    });
+
+    test('should keep the day of monthly tasks across short months and late completion', () => {
+      const dueOf = (id) =>
+        parseFrontmatter(fs.readFileSync(findTask(id, getTasksDir).path, 'utf-8')).due;
+      createTask('Invoice', getTasksDir, 'medium', '', {
+        recurrence: 'monthly',
+        due: '2999-01-31',
+      });
+      const meta = parseFrontmatter(
+        fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8')
+      );
+      expect(meta.recurrence).toBe('monthly:31');
+
+      moveTask('TASK-001', 'completed', getTasksDir);
+      expect(dueOf('TASK-002')).toBe('2999-02-28');
+      moveTask('TASK-002', 'completed', getTasksDir);
+      expect(dueOf('TASK-003')).toBe('2999-03-31');
+
+      // Completed weeks late: the next instance is due on the 15th after today
+      jest.useFakeTimers({ now: new Date(2026, 2, 20, 12), doNotFake: ['setTimeout'] });
+      try {
+        createTask('Rent', getTasksDir, 'medium', '', { recurrence: 'monthly', due: '2026-01-15' });
+        moveTask('TASK-004', 'completed', getTasksDir);
+      } finally {
+        jest.useRealTimers();
+      }
+      expect(dueOf('TASK-005')).toBe('2026-04-15');
+    });
+
+    test('should not create a new instance for non-recurring tasks', () => {
+      createTask('One-off', getTasksDir);
+      moveTask('TASK-001', 'completed', getTasksDir);
+      expect(findTask('TASK-002', getTasksDir)).toBeNull();
+    });
+  });
+
+  describe('Configurable Workflow', () => {
+    const { createTask, moveTask, findTask } = require('../cli/task/crud');
+    const { getAllTasks } = require('../cli/task/list');
+    const { getBlockedTasks, addDependency } = require('../cli/task/depend');
+    const { getWorkflow } = require('../cli/task/workflow');
+    const configDir = path.join(testRootDir, '.local-work');
+
+    const writeWorkflow = (workflow) => {
+      fs.mkdirSync(configDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(configDir, 'config.json'),
+        JSON.stringify({ version: '3.0.0', tasksDir: 'tasks', notesDir: 'notes', workflow })
+      );
+      getWorkflow(getTasksDir).states.forEach((dir) => {
+        fs.mkdirSync(path.join(TASKS_DIR, dir), { recursive: true });
+      });
+    };
+
+    beforeEach(() => {
+      writeWorkflow({
+        states: ['todo', 'doing', 'review', 'blocked', 'done', 'archived'],
+        initial: 'todo',
+        done: ['done', 'archived'],
+        hidden: ['archived'],
+        transitions: { todo: ['doing', 'blocked'] },
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    test('should create tasks in the initial state and find them in custom states', () => {
+      createTask('Custom flow', getTasksDir);
+      expect(findTask('TASK-001', getTasksDir).status).toBe('todo');
+
+      expect(moveTask('TASK-001', 'doing', getTasksDir)).toBe(true);
+      expect(moveTask('TASK-001', 'review', getTasksDir)).toBe(true);
+
+      const task = findTask('TASK-001', getTasksDir);
+      expect(task.status).toBe('review');
+      expect(task.path).toBe(path.join(TASKS_DIR, 'review', task.file));
+      expect(getAllTasks(getTasksDir).map((t) => t.status)).toEqual(['review']);
+    });
+
+    test('should reject unknown states and disallowed transitions', () => {
+      createTask('Custom flow', getTasksDir);
+
+      expect(moveTask('TASK-001', 'active', getTasksDir)).toBe(false);
+      expect(printed()).toContain('Unknown state "active"');
+
+      expect(moveTask('TASK-001', 'done', getTasksDir)).toBe(false);
+      expect(findTask('TASK-001', getTasksDir).status).toBe('todo');
+    });
+
+    test('should treat configured done states as finished for dependencies', () => {
+      createTask('Schema', getTasksDir);
+      createTask('API', getTasksDir);
+      addDependency('TASK-002', 'TASK-001', getTasksDir);
+      expect(getBlockedTasks(getTasksDir)).toHaveLength(1);
+
+      moveTask('TASK-001', 'doing', getTasksDir);
+      moveTask('TASK-001', 'done', getTasksDir);
+      expect(getBlockedTasks(getTasksDir)).toHaveLength(0);
+    });
+
+    test('should auto-archive from the first done state to the first hidden state', () => {
+      const { archiveOldTasks } = require('../cli/task/crud');
+      createTask('Old', getTasksDir);
+      moveTask('TASK-001', 'doing', getTasksDir);
+      moveTask('TASK-001', 'done', getTasksDir);
+      const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+      fs.utimesSync(findTask('TASK-001', getTasksDir).path, old, old);
+
+      archiveOldTasks(getTasksDir, 30);
+      const task = findTask('TASK-001', getTasksDir);
+      expect(task.status).toBe('archived');
+      expect(fs.readFileSync(task.path, 'utf-8')).toContain(
+        'status: done -> archived: auto-archived after 30 days'
+      );
+    });
+
+    test('should report invalid workflow configuration', () => {
+      fs.writeFileSync(
+        path.join(configDir, 'config.json'),
+        JSON.stringify({ tasksDir: 'tasks', workflow: { states: ['todo'], initial: 'doing' } })
+      );
+      expect(() => getWorkflow(getTasksDir)).toThrow(/Invalid workflow in .*config\.json/);
+    });
+  });
+
+  describe('Transition Rules', () => {
+    const { createTask, moveTask, findTask } = require('../cli/task/crud');
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('Stale idea', getTasksDir);
+    });
+
+    test('should only archive completed tasks by default', () => {
+      expect(moveTask('TASK-001', 'archived', getTasksDir)).toBe(false);
+      expect(findTask('TASK-001', getTasksDir).status).toBe('backlog');
+
+      moveTask('TASK-001', 'completed', getTasksDir);
+      expect(moveTask('TASK-001', 'archived', getTasksDir)).toBe(true);
+    });
+
+    test('should record forced moves and reasons in the History section', () => {
+      expect(
+        moveTask('TASK-001', 'archived', getTasksDir, {
+          force: true,
+          reason: 'Duplicate of TASK-009',
+        })
+      ).toBe(true);
+      moveTask('TASK-001', 'completed', getTasksDir, { reason: 'Restored' });
+
+      const content = fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8');
+      const history = content.split('## History\n\n')[1].trim().split('\n');
+      expect(history).toHaveLength(2);
+      expect(history[0]).toMatch(
+        /^- \d{4}-\d{2}-\d{2} [\d:]{8} status: backlog -> archived \(forced\): Duplicate of TASK-009$/
+      );
+      expect(history[1]).toMatch(/archived -> completed: Restored$/);
+    });
+  });
+
+  describe('Task History', () => {
+    const { createTask, moveTask, updateTask, findTask } = require('../cli/task/crud');
+    const { addDependency } = require('../cli/task/depend');
+    const { recordEdit } = require('../cli/task/edit');
+    const { showHistory } = require('../cli/task/history');
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('Audit me', getTasksDir);
+    });
+
+    test('should log moves, field updates and dependency changes in order', () => {
+      createTask('Prerequisite', getTasksDir);
+      moveTask('TASK-001', 'active', getTasksDir);
+      updateTask('TASK-001', 'priority', 'high', getTasksDir);
+      updateTask('TASK-001', 'priority', 'high', getTasksDir);
+      updateTask('TASK-001', 'tags', 'api, backend', getTasksDir);
+      addDependency('TASK-001', 'TASK-002', getTasksDir);
+
+      const entries = showHistory('TASK-001', findTask, getTasksDir);
+      expect(entries.map((e) => [e.field, e.from, e.to])).toEqual([
+        ['status', 'backlog', 'active'],
+        ['priority', 'medium', 'high'],
+        ['tags', '(none)', 'api, backend'],
+        ['depends_on', '(none)', 'TASK-002'],
+      ]);
+      expect(entries[0].timestamp).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+    });
+
+    test('should log frontmatter and body changes made in the editor', () => {
+      const before = fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8');
+      const after = before
+        .replace(/^assignee:.*$/m, 'assignee: dana')
+        .replace('[Detailed description of the task]', 'Check the access logs');
+
+      const content = recordEdit(before, after);
+      expect(content).toMatch(/ assignee: \(none\) -> dana\n/);
+      expect(content).toMatch(/ body: edited\n$/);
+    });
+
+    test('should read back values that contain entry separators', () => {
+      updateTask('TASK-001', 'assignee', 'Fix: login -> crash', getTasksDir);
+      updateTask('TASK-001', 'assignee', 'Fix "it" (forced)', getTasksDir);
+      moveTask('TASK-001', 'completed', getTasksDir, { force: true, reason: 'done: -> shipped' });
+
+      const content = fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8');
+      expect(content).toContain('assignee: (none) -> "Fix: login -> crash"\n');
+
+      console.log.mockClear();
+      const entries = showHistory('TASK-001', findTask, getTasksDir);
+      expect(console.log.mock.calls[0][0]).toContain('History of TASK-001\n');
+      expect(entries.map((e) => [e.from, e.to, e.forced, e.note])).toEqual([
+        ['(none)', 'Fix: login -> crash', false, undefined],
+        ['Fix: login -> crash', 'Fix "it" (forced)', false, undefined],
+        ['backlog', 'completed', false, 'done: -> shipped'],
+      ]);
+    });
+
+    test('should return null for unknown tasks', () => {
+      expect(showHistory('TASK-404', findTask, getTasksDir)).toBeNull();
+    });
+  });
+
+  describe('Time Tracking', () => {
+    const { createTask, findTask } = require('../cli/task/crud');
+    const { startTimer, stopTimer, getRunningTimer, getSessions } = require('../cli/task/timer');
+    const { parseFrontmatter } = require('../cli/utils');
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('Write report', getTasksDir, 'medium', 'kim');
+      createTask('Review report', getTasksDir);
+      jest.useFakeTimers({ now: new Date('2026-10-19T09:00:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should accumulate sessions into actual and keep each session', () => {
+      expect(startTimer('TASK-001', getTasksDir)).toBe(true);
+      expect(getRunningTimer(getTasksDir).taskId).toBe('TASK-001');
+
+      jest.setSystemTime(new Date('2026-10-19T10:30:00Z'));
+      const first = stopTimer(getTasksDir);
+      expect(first).toMatchObject({ taskId: 'TASK-001', assignee: 'kim', hours: 1.5 });
+      expect(getRunningTimer(getTasksDir)).toBeNull();
+
+      startTimer('001', getTasksDir);
+      jest.setSystemTime(new Date('2026-10-19T11:15:00Z'));
+      stopTimer(getTasksDir);
+
+      const meta = parseFrontmatter(
+        fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8')
+      );
+      expect(meta.actual).toBe('2h 15m');
+      expect(getSessions(getTasksDir).map((s) => [s.start, s.end])).toEqual([
+        ['2026-10-19T09:00:00.000Z', '2026-10-19T10:30:00.000Z'],
+        ['2026-10-19T10:30:00.000Z', '2026-10-19T11:15:00.000Z'],
+      ]);
+    });
+
+    test('should not lose sessions shorter than a minute', () => {
+      for (let i = 1; i <= 10; i++) {
+        startTimer('TASK-001', getTasksDir);
+        jest.setSystemTime(new Date(Date.now() + 18 * 1000));
+        stopTimer(getTasksDir);
+      }
+      const meta = parseFrontmatter(
+        fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8')
+      );
+      expect(meta.actual).toBe('3m');
+    });
+
+    test('should keep an actual value it cannot read and still log the session', () => {
+      const task = findTask('TASK-001', getTasksDir);
+      fs.writeFileSync(
+        task.path,
+        fs.readFileSync(task.path, 'utf-8').replace('actual: 0h', 'actual: 2d')
+      );
+
+      startTimer('TASK-001', getTasksDir);
+      jest.setSystemTime(new Date('2026-10-19T10:00:00Z'));
+      expect(stopTimer(getTasksDir)).toMatchObject({ taskId: 'TASK-001', hours: 1 });
+
+      expect(parseFrontmatter(fs.readFileSync(task.path, 'utf-8')).actual).toBe('2d');
+      expect(printed()).toContain('Cannot read actual "2d" of TASK-001');
+      expect(getSessions(getTasksDir)).toHaveLength(1);
+    });
+
+    test('should refuse to run two timers at once', () => {
+      startTimer('TASK-001', getTasksDir);
+      expect(startTimer('TASK-002', getTasksDir)).toBe(false);
+      expect(getRunningTimer(getTasksDir).taskId).toBe('TASK-001');
+    });
+
+    test('should handle stopping without a running timer and unknown tasks', () => {
+      expect(stopTimer(getTasksDir)).toBeNull();
+      expect(startTimer('TASK-404', getTasksDir)).toBe(false);
+      expect(getRunningTimer(getTasksDir)).toBeNull();
+    });
+  });
+
+  describe('Timesheet', () => {
+    const { getTimesheet, generateTimesheet } = require('../cli/task/timesheet');
+
+    beforeEach(() => {
+      fs.mkdirSync(TASKS_DIR, { recursive: true });
+      const sessions = [
+        ['TASK-001', 'API, v2', 'kim', '2026-10-12T09:00:00.000Z', '2026-10-12T11:30:00.000Z'],
+        ['TASK-002', 'Docs', 'lee', '2026-10-12T13:00:00.000Z', '2026-10-12T14:00:00.000Z'],
+        ['TASK-001', 'API, v2', 'kim', '2026-10-13T23:00:00.000Z', '2026-10-14T01:00:00.000Z'],
+        ['TASK-002', 'Docs', 'lee', '2026-10-20T08:00:00.000Z', '2026-10-20T09:00:00.000Z'],
+      ].map(([taskId, title, assignee, start, end]) =>
+        JSON.stringify({ taskId, title, assignee, start, end, hours: 0 })
+      );
+      fs.writeFileSync(path.join(TASKS_DIR, '.time-sessions.jsonl'), sessions.join('\n') + '\n');
+    });
+
+    test('should aggregate per day and per task, splitting sessions at midnight', () => {
+      const sheet = getTimesheet(getTasksDir, { from: '2026-10-12', to: '2026-10-18' });
+
+      expect(sheet.days.map((d) => [d.date, d.hours])).toEqual([
+        ['2026-10-12', 3.5],
+        ['2026-10-13', 1],
+        ['2026-10-14', 1],
+      ]);
+      expect(sheet.tasks.map((t) => [t.taskId, t.hours])).toEqual([
+        ['TASK-001', 4.5],
+        ['TASK-002', 1],
+      ]);
+      expect(sheet.total).toBe(5.5);
+    });
+
+    test('should filter by assignee', () => {
+      const sheet = getTimesheet(getTasksDir, {
+        from: '2026-10-12',
+        to: '2026-10-31',
+        assignee: '@Lee',
+      });
+      expect(sheet.tasks.map((t) => t.taskId)).toEqual(['TASK-002']);
+      expect(sheet.total).toBe(2);
+    });
+
+    test('should split days at local midnight', () => {
+      fs.writeFileSync(
+        path.join(TASKS_DIR, '.time-sessions.jsonl'),
+        JSON.stringify({
+          taskId: 'TASK-003',
+          title: 'Late night',
+          start: new Date(2026, 9, 21, 23, 0).toISOString(),
+          end: new Date(2026, 9, 22, 1, 30).toISOString(),
+        }) + '\n'
+      );
+      const sheet = getTimesheet(getTasksDir, { from: '2026-10-21', to: '2026-10-22' });
+      expect(sheet.days.map((d) => [d.date, d.hours])).toEqual([
+        ['2026-10-21', 1],
+        ['2026-10-22', 1.5],
+      ]);
+    });
+
+    test('should render CSV and markdown', () => {
+      const options = { from: '2026-10-12', to: '2026-10-12' };
+      const csv = generateTimesheet(getTasksDir, { ...options, format: 'csv' });
+      expect(csv.split('\n')).toEqual([
+        'date,task,title,hours',
+        '2026-10-12,TASK-001,"API, v2",2.50',
+        '2026-10-12,TASK-002,Docs,1.00',
+        'total,,,3.50',
+      ]);
+
+      const markdown = generateTimesheet(getTasksDir, { ...options, format: 'markdown' });
+      expect(markdown).toContain('# Timesheet 2026-10-12 to 2026-10-12');
+      expect(markdown).toContain('| 2026-10-12 | TASK-001 | API, v2 | 2h 30m |');
+      expect(markdown).toContain('**Total:** 3h 30m');
+
+      const tsv = generateTimesheet(getTasksDir, { ...options, format: 'tsv' });
+      expect(tsv.split('\n')[1]).toBe('2026-10-12\tTASK-001\tAPI, v2\t2.50');
+      const json = JSON.parse(generateTimesheet(getTasksDir, { ...options, format: 'json' }));
+      expect(json.total).toBe(3.5);
+    });
+  });
+
+  describe('Trash', () => {
+    const { createTask, moveTask, findTask, getNextTaskId } = require('../cli/task/crud');
+    const { deleteTask, restoreTask, emptyTrash, getTrash } = require('../cli/task/trash');
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('Keep me', getTasksDir);
+      createTask('Throw away', getTasksDir);
+      moveTask('TASK-002', 'active', getTasksDir);
+    });
+
+    test('should move deleted tasks to the trash with their origin', () => {
+      const entry = deleteTask('TASK-002', getTasksDir);
+      expect(entry).toMatchObject({ id: 'TASK-002', title: 'Throw away', status: 'active' });
+      expect(findTask('TASK-002', getTasksDir)).toBeNull();
+      expect(fs.existsSync(path.join(TASKS_DIR, '.trash', entry.file))).toBe(true);
+      expect(getTrash(getTasksDir).map((e) => e.id)).toEqual(['TASK-002']);
+    });
+
+    test('should not reuse IDs of trashed tasks', () => {
+      deleteTask('TASK-002', getTasksDir);
+      fs.unlinkSync(path.join(TASKS_DIR, '.last-task-id'));
+      expect(getNextTaskId(getTasksDir)).toBe('003');
+    });
+
+    test('should restore tasks to their original state', () => {
+      deleteTask('TASK-002', getTasksDir);
+      expect(restoreTask('002', getTasksDir)).toBe(true);
+
+      const task = findTask('TASK-002', getTasksDir);
+      expect(task.status).toBe('active');
+      expect(fs.readFileSync(task.path, 'utf-8')).toMatch(
+        /trash: deleted from active\n.* trash: restored to active\n$/
+      );
+      expect(getTrash(getTasksDir)).toEqual([]);
+      expect(restoreTask('TASK-002', getTasksDir)).toBe(false);
+    });
+
+    test('should restore tasks by ID number without zero-padding', () => {
+      deleteTask('TASK-002', getTasksDir);
+      expect(restoreTask('2', getTasksDir)).toBe(true);
+      expect(findTask('TASK-002', getTasksDir).status).toBe('active');
+      expect(restoreTask('task-2', getTasksDir)).toBe(false);
+    });
+
+    test('should only empty tasks deleted longer ago than the threshold', () => {
+      deleteTask('TASK-001', getTasksDir);
+      deleteTask('TASK-002', getTasksDir);
+      const indexPath = path.join(TASKS_DIR, '.trash', 'index.json');
+      const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+      index[0].deletedAt = '2000-01-01T00:00:00.000Z';
+      fs.writeFileSync(indexPath, JSON.stringify(index));
+
+      expect(emptyTrash(getTasksDir, 30)).toBe(1);
+      expect(getTrash(getTasksDir).map((e) => e.id)).toEqual(['TASK-002']);
+      expect(emptyTrash(getTasksDir)).toBe(1);
+      expect(fs.readdirSync(path.join(TASKS_DIR, '.trash'))).toEqual(['index.json']);
+    });
+  });
+
+  describe('Rename', () => {
+    const {
+      createTask,
+      moveTask,
+      updateTask,
+      renameTask,
+      fixFileNames,
+      findTask,
+    } = require('../cli/task/crud');
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('Fix login bug', getTasksDir);
+      moveTask('TASK-001', 'active', getTasksDir);
+    });
+
+    test('should rename the file and keep ID and state', () => {
+      const newPath = renameTask('TASK-001', 'Fix login redirect loop', getTasksDir);
+      expect(newPath).toBe(path.join(TASKS_DIR, 'active', 'TASK-001-fix-login-redirect-loop.md'));
+      expect(fs.readdirSync(path.join(TASKS_DIR, 'active'))).toEqual([
+        'TASK-001-fix-login-redirect-loop.md',
+      ]);
+
+      const content = fs.readFileSync(newPath, 'utf-8');
+      expect(content).toContain('title: Fix login redirect loop');
+      expect(content).toContain('title: Fix login bug -> Fix login redirect loop');
+    });
+
+    test('should rename through update title', () => {
+      expect(updateTask('TASK-001', 'title', 'Login: handle SSO', getTasksDir)).toBe(true);
+      expect(findTask('TASK-001', getTasksDir).file).toBe('TASK-001-login-handle-sso.md');
+    });
+
+    test('should reject an empty title', () => {
+      expect(renameTask('TASK-001', '  ', getTasksDir)).toBeNull();
+      expect(updateTask('TASK-001', 'title', '', getTasksDir)).toBe(false);
+      expect(findTask('TASK-001', getTasksDir).file).toBe('TASK-001-fix-login-bug.md');
+    });
+
+    test('should fix file names after hand edits', () => {
+      const task = findTask('TASK-001', getTasksDir);
+      const content = fs.readFileSync(task.path, 'utf-8');
+      fs.writeFileSync(task.path, content.replace('Fix login bug', 'Handle expired sessions'));
+
+      expect(fixFileNames(getTasksDir, { dryRun: true })).toEqual([
+        {
+          status: 'active',
+          from: 'TASK-001-fix-login-bug.md',
+          to: 'TASK-001-handle-expired-sessions.md',
+        },
+      ]);
+      expect(findTask('TASK-001', getTasksDir).file).toBe('TASK-001-fix-login-bug.md');
+
+      expect(fixFileNames(getTasksDir)).toHaveLength(1);
+      expect(findTask('TASK-001', getTasksDir).file).toBe('TASK-001-handle-expired-sessions.md');
+      expect(fixFileNames(getTasksDir)).toEqual([]);
+    });
+  });
+
+  describe('Bulk Operations', () => {
+    const { createTask, moveTask, updateTask } = require('../cli/task/crud');
+    const { selectTasks, applyToTasks } = require('../cli/task/bulk');
+
+    beforeEach(() => {
+      createStateDirs();
+      ['One', 'Two', 'Three', 'Four', 'Five'].forEach((title) => createTask(title, getTasksDir));
+      updateTask('TASK-002', 'tags', 'sprint-12', getTasksDir);
+      updateTask('TASK-003', 'tags', 'sprint-12,api', getTasksDir);
+      updateTask('TASK-004', 'tags', 'sprint-12', getTasksDir);
+      ['TASK-002', 'TASK-003'].forEach((id) => moveTask(id, 'completed', getTasksDir));
+    });
+
+    test('should expand IDs and ranges without duplicates', () => {
+      expect(selectTasks(['TASK-004', '002..TASK-003', '4'], getTasksDir)).toEqual([
+        'TASK-004',
+        'TASK-002',
+        'TASK-003',
+      ]);
+      expect(selectTasks(['TASK-004..TASK-009'], getTasksDir)).toEqual(['TASK-004', 'TASK-005']);
+      expect(() => selectTasks(['TASK-009..TASK-004'], getTasksDir)).toThrow('start is after end');
+      expect(() => selectTasks(['login'], getTasksDir)).toThrow('Invalid task ID');
+    });
+
+    test('should select tasks by filter expression', () => {
+      expect(selectTasks([], getTasksDir, 'status:completed tag:sprint-12')).toEqual([
+        'TASK-002',
+        'TASK-003',
+      ]);
+      expect(selectTasks(['TASK-001..TASK-003'], getTasksDir, 'tag:api,other')).toEqual([
+        'TASK-003',
+      ]);
+      expect(() => selectTasks([], getTasksDir, 'colour:red')).toThrow('unknown field "colour"');
+      expect(() => selectTasks([], getTasksDir, ' ')).toThrow('Filter is empty');
+    });
+
+    test('should apply an operation to every selected task', () => {
+      const ids = selectTasks([], getTasksDir, 'status:completed');
+      const result = applyToTasks(
+        [...ids, 'TASK-001'],
+        (id) => moveTask(id, 'archived', getTasksDir),
+        getTasksDir,
+        { description: 'move to archived' }
+      );
+
+      expect(result).toEqual({ done: ['TASK-002', 'TASK-003'], failed: ['TASK-001'] });
+      expect(fs.readdirSync(path.join(TASKS_DIR, 'archived'))).toHaveLength(2);
+    });
+
+    test('should not change files on dry run', () => {
+      const operation = jest.fn(() => true);
+      const result = applyToTasks(['TASK-001', 'TASK-002'], operation, getTasksDir, {
+        description: 'move to trash',
+        dryRun: true,
+      });
+
+      expect(operation).not.toHaveBeenCalled();
+      expect(result).toEqual({ done: [], failed: [] });
+    });
+  });
+
+  describe('List Filters', () => {
+    const { createTask, updateTask, findTask } = require('../cli/task/crud');
+    const { listTasks, sortTasks, getAllTasks } = require('../cli/task/list');
+    const { updateFrontmatter } = require('../cli/utils');
+
+    /**
+     * Overwrite the created/updated dates of a task
+     */
+    const setDates = (taskId, created, updated) => {
+      const task = findTask(taskId, getTasksDir);
+      let content = fs.readFileSync(task.path, 'utf-8');
+      content = updateFrontmatter(content, 'created', created);
+      content = updateFrontmatter(content, 'updated', updated);
+      fs.writeFileSync(task.path, content);
+    };
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('API auth', getTasksDir, 'high', 'kim');
+      createTask('API docs', getTasksDir, 'low', 'kim');
+      createTask('UI polish', getTasksDir, 'high', 'lee');
+      createTask('API cache', getTasksDir, 'medium', 'kim');
+      ['TASK-001', 'TASK-002', 'TASK-004'].forEach((id) =>
+        updateTask(id, 'tags', 'api', getTasksDir)
+      );
+      setDates('TASK-001', '2026-09-01', '2026-09-10');
+      setDates('TASK-002', '2026-10-01', '2026-10-02');
+      setDates('TASK-003', '2026-10-05', '2026-10-18');
+      setDates('TASK-004', '2026-10-10', '2026-10-12');
+    });
+
+    const ids = (tasks) => tasks.map((t) => t.id);
+
+    test('should combine priority, assignee and tag filters', () => {
+      expect(
+        ids(listTasks(getTasksDir, null, { priority: 'high', assignee: '@kim', tag: 'api' }))
+      ).toEqual(['TASK-001']);
+      expect(ids(listTasks(getTasksDir, null, { priority: 'high,medium', tag: 'api' }))).toEqual([
+        'TASK-001',
+        'TASK-004',
+      ]);
+    });
+
+    test('should filter by created and updated dates', () => {
+      expect(ids(listTasks(getTasksDir, null, { createdSince: '2026-10-01' }))).toEqual([
+        'TASK-002',
+        'TASK-003',
+        'TASK-004',
+      ]);
+      expect(ids(listTasks(getTasksDir, null, { updatedBefore: '2026-10-12' }))).toEqual([
+        'TASK-001',
+        'TASK-002',
+      ]);
+    });
+
+    test('should sort, reverse and limit', () => {
+      expect(ids(listTasks(getTasksDir, null, { sort: 'priority' }))).toEqual([
+        'TASK-001',
+        'TASK-003',
+        'TASK-004',
+        'TASK-002',
+      ]);
+      expect(
+        ids(listTasks(getTasksDir, null, { sort: 'updated', reverse: true, limit: 2 }))
+      ).toEqual(['TASK-003', 'TASK-004']);
+      expect(ids(sortTasks(getAllTasks(getTasksDir), 'created'))).toEqual([
+        'TASK-001',
+        'TASK-002',
+        'TASK-003',
+        'TASK-004',
+      ]);
+    });
+
+    test('should apply a query and search hidden states when it filters on status', () => {
+      const { moveTask } = require('../cli/task/crud');
+      const { searchTasks } = require('../cli/task/list');
+      moveTask('TASK-002', 'completed', getTasksDir);
+      moveTask('TASK-002', 'archived', getTasksDir);
+
+      expect(ids(listTasks(getTasksDir, null, { query: 'tag:api created>=2026-10-01' }))).toEqual([
+        'TASK-004',
+      ]);
+      expect(ids(listTasks(getTasksDir, null, { query: 'status:archived' }))).toEqual(['TASK-002']);
+      // Both match in the title; the more recently updated task ranks first
+      expect(ids(searchTasks('api priority:high,medium', getTasksDir))).toEqual([
+        'TASK-004',
+        'TASK-001',
+      ]);
+      expect(() => listTasks(getTasksDir, null, { query: 'due<tomorrow' })).toThrow(
+        'is not a date'
+      );
+    });
+
+    test('should record the completion date and clear it when the task is reopened', () => {
+      const { moveTask } = require('../cli/task/crud');
+      const { getCurrentDate } = require('../cli/utils');
+      moveTask('TASK-003', 'completed', getTasksDir);
+
+      expect(getAllTasks(getTasksDir).find((t) => t.id === 'TASK-003').completedAt).toBe(
+        getCurrentDate()
+      );
+      expect(ids(listTasks(getTasksDir, null, { query: 'completed:today' }))).toEqual(['TASK-003']);
+
+      moveTask('TASK-003', 'active', getTasksDir);
+      expect(getAllTasks(getTasksDir).find((t) => t.id === 'TASK-003').completedAt).toBeUndefined();
+      expect(ids(listTasks(getTasksDir, null, { query: 'completed:today' }))).toEqual([]);
+    });
+  });
+
+  describe('Saved Views', () => {
+    const { createTask, moveTask } = require('../cli/task/crud');
+    const { listTasks } = require('../cli/task/list');
+    const { saveView, getView, getViews, deleteView } = require('../cli/task/views');
+    const configDir = path.join(testRootDir, '.local-work');
+    const configPath = path.join(configDir, 'config.json');
+
+    beforeEach(() => {
+      fs.mkdirSync(configDir, { recursive: true });
+      fs.writeFileSync(
+        configPath,
+        JSON.stringify({ version: '3.0.0', tasksDir: 'tasks', notesDir: 'notes' }, null, 2)
+      );
+      createStateDirs();
+      createTask('Mine', getTasksDir, 'high', 'kim');
+      createTask('Theirs', getTasksDir, 'high', 'lee');
+      createTask('Mine later', getTasksDir, 'low', 'kim');
+      moveTask('TASK-001', 'active', getTasksDir);
+      moveTask('TASK-003', 'active', getTasksDir);
+    });
+
+    afterEach(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    test('should store views in the local config', () => {
+      expect(
+        saveView('mine', { status: 'active', assignee: 'kim', priority: 'high' }, getTasksDir)
+      ).toBe(true);
+
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      expect(config.tasksDir).toBe('tasks');
+      expect(config.views).toEqual({
+        mine: { status: 'active', priority: 'high', assignee: 'kim' },
+      });
+      expect(getView('@mine', getTasksDir)).toEqual(config.views.mine);
+    });
+
+    test('should run a view through listTasks', () => {
+      saveView('mine', { status: 'active', assignee: 'kim', priority: 'high' }, getTasksDir);
+      const view = getView('mine', getTasksDir);
+      const listed = listTasks(getTasksDir, view.status, view);
+      expect(listed.map((t) => t.id)).toEqual(['TASK-001']);
+    });
+
+    test('should reject invalid views', () => {
+      expect(saveView('my view', { priority: 'high' }, getTasksDir)).toBe(false);
+      expect(saveView('empty', {}, getTasksDir)).toBe(false);
+      expect(saveView('odd', { status: 'doing' }, getTasksDir)).toBe(false);
+      expect(saveView('bad', { query: 'colour:red' }, getTasksDir)).toBe(false);
+      expect(getViews(getTasksDir)).toEqual({});
+    });
+
+    test('should delete views', () => {
+      saveView('mine', { assignee: 'kim' }, getTasksDir);
+      expect(deleteView('@mine', getTasksDir)).toBe(true);
+      expect(getView('mine', getTasksDir)).toBeNull();
+      expect(deleteView('mine', getTasksDir)).toBe(false);
+    });
+  });
+
+  describe('Output Formats', () => {
+    const { createTask, updateTask, findTask } = require('../cli/task/crud');
+    const { listTasks, viewTask, searchTasks } = require('../cli/task/list');
+    const { getStats } = require('../cli/task/stats');
+    const { TASK_FIELDS } = require('../cli/task/output');
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('Fix "login", again', getTasksDir, 'high', 'kim');
+      createTask('Write docs', getTasksDir, 'low');
+      updateTask('TASK-001', 'tags', 'api,auth', getTasksDir);
+      console.log.mockClear();
+    });
+
+    test('should print tasks as JSON with stable field names', () => {
+      listTasks(getTasksDir, null, { format: 'json' });
+      const tasks = JSON.parse(printed());
+
+      expect(tasks).toHaveLength(2);
+      expect(Object.keys(tasks[0])).toEqual(TASK_FIELDS);
+      expect(tasks[0]).toMatchObject({
+        id: 'TASK-001',
+        title: 'Fix "login", again',
+        priority: 'high',
+        tags: ['api', 'auth'],
+        due: null,
+      });
+      expect(printed()).not.toMatch(/\u001b\[/);
+    });
+
+    test('should print CSV and TSV with a header row', () => {
+      listTasks(getTasksDir, null, { format: 'csv', priority: 'high' });
+      const [header, row] = printed().split('\n');
+      expect(header).toBe(TASK_FIELDS.join(','));
+      expect(row).toMatch(/^TASK-001,"Fix ""login"", again",backlog,high,kim,"api,auth",/);
+
+      console.log.mockClear();
+      searchTasks('docs', getTasksDir, false, { format: 'tsv' });
+      expect(printed().split('\n')[1].split('\t').slice(0, 3)).toEqual([
+        'TASK-002',
+        'Write docs',
+        'backlog',
+      ]);
+    });
+
+    test('should print a single task with its body', () => {
+      expect(viewTask('TASK-001', findTask, getTasksDir, { format: 'json' })).toBe(true);
+      const task = JSON.parse(printed());
+      expect(task.id).toBe('TASK-001');
+      expect(task.subtasks).toEqual([]);
+      expect(task.body).toContain('## Description');
+
+      console.log.mockClear();
+      viewTask('TASK-002', findTask, getTasksDir, { format: 'markdown' });
+      expect(printed()).toMatch(/^# Write docs\n\n\| field \| value \|/);
+      expect(viewTask('TASK-404', findTask, getTasksDir, { format: 'json' })).toBe(false);
+    });
+
+    test('should print statistics from getStatsData', () => {
+      getStats(getTasksDir, { format: 'json' });
+      expect(JSON.parse(printed())).toMatchObject({
+        total: 2,
+        byStatus: { backlog: 2, active: 0 },
+        byPriority: { high: 1, low: 1, medium: 0 },
+      });
+
+      console.log.mockClear();
+      getStats(getTasksDir, { format: 'csv' });
+      expect(printed().split('\n')).toEqual(
+        expect.arrayContaining(['group,name,value', 'status,backlog,2', 'total,tasks,2'])
+      );
+    });
+  });
+
+  describe('Board', () => {
+    const { createTask, moveTask } = require('../cli/task/crud');
+    const { getBoard, printBoard } = require('../cli/task/board');
+    const plain = (/** @type {string} */ text) => text.replace(/\u001b\[\d+m/g, '');
+    const lines = () => console.log.mock.calls.map((c) => plain(String(c[0])));
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('Implement the login page with OAuth providers', getTasksDir, 'medium');
+      createTask('Fix crash', getTasksDir, 'high');
+      createTask('Old task', getTasksDir, 'low');
+      moveTask('TASK-001', 'active', getTasksDir);
+      moveTask('TASK-003', 'completed', getTasksDir);
+      moveTask('TASK-003', 'archived', getTasksDir);
+      console.log.mockClear();
+    });
+
+    test('should group tasks by visible state in workflow order', () => {
+      const columns = getBoard(getTasksDir);
+      expect(columns.map((c) => c.state)).toEqual(['backlog', 'active', 'completed']);
+      expect(columns.map((c) => c.tasks.map((t) => t.id))).toEqual([
+        ['TASK-002'],
+        ['TASK-001'],
+        [],
+      ]);
+      expect(getBoard(getTasksDir, true).map((c) => c.state)).toContain('archived');
+    });
+
+    test('should size columns to the width and truncate titles', () => {
+      printBoard(getTasksDir, { width: 60 });
+      const output = lines();
+
+      expect(output).toContain('BACKLOG (1)        | ACTIVE (1)         | COMPLETED (0)');
+      const row = output.find((l) => l.includes('TASK-001'));
+      expect(row).toContain('TASK-002 Fix crash');
+      expect(row).toContain('TASK-001 Implem...');
+      output.forEach((l) => expect(l.length).toBeLessThanOrEqual(60));
+    });
+
+    test('should only show IDs in compact mode or on narrow terminals', () => {
+      printBoard(getTasksDir, { compact: true });
+      expect(lines().join('\n')).not.toContain('Fix crash');
+
+      console.log.mockClear();
+      printBoard(getTasksDir, { width: 30 });
+      const output = lines().join('\n');
+      expect(output).toContain('TASK-002');
+      expect(output).not.toContain('Fix crash');
+    });
+  });
+
+  describe('WIP Limits', () => {
+    const { createTask, moveTask } = require('../cli/task/crud');
+    const { getWipStatus } = require('../cli/task/wip');
+    const { getStatsData } = require('../cli/task/stats');
+    const configDir = path.join(testRootDir, '.local-work');
+    const configPath = path.join(configDir, 'config.json');
+
+    /** @param {Record<string, unknown>} wipLimits */
+    const writeConfig = (wipLimits) => {
+      fs.mkdirSync(configDir, { recursive: true });
+      fs.writeFileSync(
+        configPath,
+        JSON.stringify({ version: '3.0.0', tasksDir: 'tasks', notesDir: 'notes', wipLimits })
+      );
+    };
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('Kim one', getTasksDir, 'medium', 'kim');
+      createTask('Kim two', getTasksDir, 'medium', 'kim');
+      createTask('Kim three', getTasksDir, 'medium', 'kim');
+      createTask('Lee one', getTasksDir, 'medium', 'lee');
+      createTask('Nobody', getTasksDir, 'medium');
+    });
+
+    afterEach(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    test('should refuse to start work beyond the per-assignee limit', () => {
+      writeConfig({ perAssignee: 2 });
+      expect(moveTask('TASK-001', 'active', getTasksDir)).toBe(true);
+      expect(moveTask('TASK-002', 'active', getTasksDir)).toBe(true);
+      console.log.mockClear();
+
+      expect(moveTask('TASK-003', 'active', getTasksDir)).toBe(false);
+      expect(printed()).toContain('WIP limit for @kim reached: 2/2');
+      expect(printed()).toContain('TASK-001: Kim one (active)');
+      expect(fs.existsSync(path.join(TASKS_DIR, 'backlog', 'TASK-003-kim-three.md'))).toBe(true);
+
+      expect(moveTask('TASK-004', 'active', getTasksDir)).toBe(true);
+      expect(moveTask('TASK-005', 'active', getTasksDir)).toBe(true);
+      expect(moveTask('TASK-003', 'active', getTasksDir, { force: true })).toBe(true);
+    });
+
+    test('should apply the global limit and assignee overrides', () => {
+      writeConfig({ global: 3, perAssignee: 5, assignees: { '@Lee': 1 } });
+      moveTask('TASK-004', 'active', getTasksDir);
+      moveTask('TASK-001', 'active', getTasksDir);
+      moveTask('TASK-002', 'active', getTasksDir);
+
+      expect(moveTask('TASK-005', 'active', getTasksDir)).toBe(false);
+      expect(printed()).toContain('WIP limit reached: 3/3');
+
+      // Moving back to the backlog is always allowed
+      expect(moveTask('TASK-002', 'backlog', getTasksDir)).toBe(true);
+      expect(moveTask('TASK-005', 'active', getTasksDir)).toBe(true);
+
+      const status = getWipStatus(getTasksDir);
+      expect(status.global).toMatchObject({ count: 3, limit: 3 });
+      expect(status.assignees.map((u) => [u.assignee, u.count, u.limit])).toEqual([
+        ['kim', 1, 5],
+        ['lee', 1, 1],
+      ]);
+    });
+
+    test('should report limit status in statistics', () => {
+      writeConfig({ perAssignee: 3 });
+      moveTask('TASK-001', 'active', getTasksDir);
+
+      expect(getStatsData(getTasksDir).wip).toEqual({
+        global: null,
+        assignees: { kim: { count: 1, limit: 3 } },
+      });
+    });
+
+    test('should reject invalid limits', () => {
+      writeConfig({ perAssignee: 0 });
+      expect(() => getWipStatus(getTasksDir)).toThrow(
+        /Invalid wipLimits .*"perAssignee" must be a positive whole number/
+      );
+    });
+  });
+
+  describe('Ranked Search', () => {
+    const { createTask, findTask } = require('../cli/task/crud');
+    const { searchTasks } = require('../cli/task/list');
+    const ids = (tasks) => tasks.map((t) => t.id);
+
+    /** Append a line to the task's description */
+    const describeTask = (taskId, text) => {
+      const task = findTask(taskId, getTasksDir);
+      fs.appendFileSync(task.path, `\n${text}\n`);
+    };
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('Refactor session storage', getTasksDir, 'medium');
+      createTask('Fix authentication timeout', getTasksDir, 'high');
+      createTask('Update dependencies', getTasksDir, 'low', '', { tags: ['auth'] });
+      describeTask('TASK-001', 'Sessions are read on every authentication request.');
+    });
+
+    test('should rank title matches above body matches', () => {
+      const results = searchTasks('authentication', getTasksDir);
+      expect(ids(results)).toEqual(['TASK-002', 'TASK-001']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    test('should tolerate typos', () => {
+      expect(ids(searchTasks('authentcation', getTasksDir))).toEqual(['TASK-002', 'TASK-001']);
+      expect(ids(searchTasks('dependecies', getTasksDir))).toEqual(['TASK-003']);
+      expect(searchTasks('xyzzy', getTasksDir)).toEqual([]);
+    });
+
+    test('should return a snippet of the matching line', () => {
+      const [, bodyMatch] = searchTasks('authentication', getTasksDir);
+      expect(bodyMatch.snippet.text).toBe('Sessions are read on every authentication request.');
+      const lines = fs.readFileSync(bodyMatch.path, 'utf8').split('\n');
+      expect(lines[bodyMatch.snippet.line - 1]).toBe(bodyMatch.snippet.text);
+    });
+
+    test('should support field-scoped terms', () => {
+      expect(ids(searchTasks('title:authentication', getTasksDir))).toEqual(['TASK-002']);
+      expect(ids(searchTasks('tag:auth', getTasksDir))).toEqual(['TASK-003']);
+      expect(ids(searchTasks('authentication -title:fix', getTasksDir))).toEqual(['TASK-001']);
+    });
+  });
+
+  describe('Unified Find', () => {
+    const { createTask, moveTask } = require('../cli/task/crud');
+    const { findAll } = require('../cli/find');
+    const NOTES_DIR = path.join(testRootDir, 'notes');
+    const dirs = { getTasksDir: () => TASKS_DIR, getNotesDir: () => NOTES_DIR };
+
+    beforeEach(() => {
+      createStateDirs();
+      fs.rmSync(NOTES_DIR, { recursive: true, force: true });
+      fs.mkdirSync(path.join(NOTES_DIR, 'meetings'), { recursive: true });
+      fs.writeFileSync(
+        path.join(NOTES_DIR, 'meetings', '2026-10-01-oauth-review.md'),
+        '---\ntitle: OAuth review\ndate: 2026-10-01\n---\n\nDecided on the OAuth provider.\n'
+      );
+      createTask('Add OAuth login', dirs.getTasksDir, 'high');
+      createTask('Old OAuth spike', dirs.getTasksDir, 'low');
+      moveTask('TASK-002', 'completed', dirs.getTasksDir);
+      moveTask('TASK-002', 'archived', dirs.getTasksDir);
+    });
+
+    afterEach(() => {
+      fs.rmSync(NOTES_DIR, { recursive: true, force: true });
+    });
+
+    test('should return tasks in every state and notes in one ranked list', () => {
+      const results = findAll('oauth', dirs);
+
+      expect(results.map((r) => [r.type, r.id, r.status, r.archived])).toEqual(
+        expect.arrayContaining([
+          ['task', 'TASK-001', 'backlog', false],
+          ['task', 'TASK-002', 'archived', true],
+          ['note', '2026-10-01-oauth-review', 'meetings', false],
+        ])
+      );
+      expect(results).toHaveLength(3);
+      expect(results.map((r) => r.score)).toEqual(
+        [...results.map((r) => r.score)].sort((a, b) => b - a)
+      );
+      expect(results.find((r) => r.type === 'note').path).toBe(
+        path.join(NOTES_DIR, 'meetings', '2026-10-01-oauth-review.md')
+      );
+    });
+
+    test('should rank by relevance across tasks and notes', () => {
+      expect(findAll('provider', dirs).map((r) => r.id)).toEqual(['2026-10-01-oauth-review']);
+      expect(findAll('login', dirs).map((r) => r.id)).toEqual(['TASK-001']);
+    });
+
+    test('should leave notes out when the query filters on task fields', () => {
+      expect(findAll('oauth priority:high', dirs).map((r) => r.id)).toEqual(['TASK-001']);
+      expect(() => findAll('due<soon', dirs)).toThrow('Invalid query');
+    });
+  });
+
+  describe('Frontmatter Round-Trip', () => {
+    const { createTask, updateTask, moveTask, findTask } = require('../cli/task/crud');
+    const { getAllTasks } = require('../cli/task/list');
+    const { parseFrontmatter } = require('../cli/utils');
+
+    beforeEach(createStateDirs);
+
+    test('should store titles with quotes, colons and hashes safely', () => {
+      const title = 'Fix "login": redirect #12';
+      createTask(title, getTasksDir);
+
+      const content = fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8');
+      expect(parseFrontmatter(content).title).toBe(title);
+      expect(getAllTasks(getTasksDir)[0].title).toBe(title);
+    });
+
+    test('should keep comments, unknown fields and ordering when tasks change', () => {
+      createTask('Round trip', getTasksDir);
+      const filePath = findTask('TASK-001', getTasksDir).path;
+      const original = fs.readFileSync(filePath, 'utf-8');
+      const custom = '# Reviewed weekly\ncustomer:\n  name: Acme\n  tier: gold\n';
+      fs.writeFileSync(
+        filePath,
+        original.replace('priority: medium\n', `priority: medium\n${custom}`)
+      );
+
+      updateTask('TASK-001', 'priority', 'high', getTasksDir);
+      moveTask('TASK-001', 'active', getTasksDir);
+
+      const content = fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8');
+      expect(content).toContain(`priority: high\n${custom}created:`);
+      expect(parseFrontmatter(content)).toMatchObject({
+        status: 'active',
+        customer: { name: 'Acme', tier: 'gold' },
+      });
+    });
+  });
+
+  describe('Doctor', () => {
+    const { createTask, updateTask, findTask } = require('../cli/task/crud');
+    const { checkWorkspace, fixProblems } = require('../cli/task/doctor');
+    const problemsOf = () =>
+      checkWorkspace(getTasksDir).problems.map((p) => [
+        path.relative(TASKS_DIR, p.file),
+        p.line,
+        p.message,
+        p.repair !== null,
+      ]);
+
+    beforeEach(() => {
+      createStateDirs();
+      createTask('First', getTasksDir);
+      createTask('Second', getTasksDir);
+    });
+
+    test('should find no problems in a healthy workspace', () => {
+      updateTask('TASK-001', 'priority', 'high', getTasksDir);
+      expect(checkWorkspace(getTasksDir)).toEqual({ checked: 2, problems: [] });
+    });
+
+    test('should report problems with file and line', () => {
+      const first = findTask('TASK-001', getTasksDir).path;
+      fs.writeFileSync(
+        first,
+        fs
+          .readFileSync(first, 'utf-8')
+          .replace('status: backlog', 'status: completed')
+          .replace('priority: medium', 'priority: urgent')
+          .replace('estimated: 0h', 'estimated: soon')
+      );
+      fs.writeFileSync(path.join(TASKS_DIR, 'active', 'TASK-002-copy.md'), '# No frontmatter\n');
+      fs.writeFileSync(path.join(TASKS_DIR, '.task-id.lock'), 'crashed');
+      fs.writeFileSync(path.join(TASKS_DIR, '.last-task-id'), '1');
+
+      expect(problemsOf()).toEqual([
+        ['backlog/TASK-001-first.md', 4, 'status is "completed" but the file is in backlog/', true],
+        [
+          'backlog/TASK-001-first.md',
+          5,
+          'Invalid priority "urgent" (use low, medium, high)',
+          false,
+        ],
+        [
+          'backlog/TASK-001-first.md',
+          10,
+          'Cannot read estimated "soon" (use e.g. 2h, 30m or 1h 30m)',
+          false,
+        ],
+        [
+          'active/TASK-002-copy.md',
+          null,
+          'Duplicate ID TASK-002 (also used by backlog/TASK-002-second.md)',
+          false,
+        ],
+        [
+          'active/TASK-002-copy.md',
+          1,
+          'Missing frontmatter (expected a "---" block at the top of the file)',
+          false,
+        ],
+        ['.task-id.lock', null, 'Stale lock left behind by an interrupted "task new"', true],
+        ['.last-task-id', 1, 'ID counter is 1 but TASK-002 exists', true],
+      ]);
+    });
+
+    test('should fix only the safe problems', () => {
+      const first = findTask('TASK-001', getTasksDir).path;
+      fs.writeFileSync(
+        first,
+        fs
+          .readFileSync(first, 'utf-8')
+          .replace('status: backlog', 'status: active')
+          .replace('priority: medium', 'priority: urgent')
+      );
+      fs.writeFileSync(path.join(TASKS_DIR, '.task-id.lock'), 'crashed');
+      fs.rmSync(path.join(TASKS_DIR, '.last-task-id'));
+
+      const fixed = fixProblems(checkWorkspace(getTasksDir).problems);
+
+      expect(fixed).toHaveLength(3);
+      expect(findTask('TASK-001', getTasksDir).status).toBe('active');
+      expect(fs.existsSync(path.join(TASKS_DIR, '.task-id.lock'))).toBe(false);
+      expect(fs.readFileSync(path.join(TASKS_DIR, '.last-task-id'), 'utf-8')).toBe('2');
+      expect(problemsOf()).toEqual([
+        ['active/TASK-001-first.md', 5, 'Invalid priority "urgent" (use low, medium, high)', false],
+      ]);
+    });
+  });
+
+  describe('Schema Validation', () => {
+    const { createTask, updateTask, findTask } = require('../cli/task/crud');
+    const { lintTasks, getSchema } = require('../cli/schema');
+    const configDir = path.join(testRootDir, '.local-work');
+    const configPath = path.join(configDir, 'config.json');
+
+    /** @param {Record<string, unknown>} fields */
+    const writeConfig = (fields) => {
+      fs.mkdirSync(configDir, { recursive: true });
+      fs.writeFileSync(
+        configPath,
+        JSON.stringify({ version: '3.0.0', tasksDir: 'tasks', notesDir: 'notes', fields })
+      );
+    };
+
+    beforeEach(createStateDirs);
+
+    afterEach(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    test('should report errors and unknown fields with their line', () => {
+      createTask('First', getTasksDir);
+      const first = findTask('TASK-001', getTasksDir).path;
+      fs.writeFileSync(
+        first,
+        fs
+          .readFileSync(first, 'utf-8')
+          .replace('priority: medium', 'priority: urgent')
+          .replace('tags: []', 'tags: []\nsprint: 12')
+      );
+
+      const report = lintTasks(getTasksDir);
+      expect(report.checked).toBe(1);
+      expect(report.results.map((r) => [r.line, r.severity, r.message])).toEqual([
+        [5, 'error', '"priority" must be one of low, medium, high (got "urgent")'],
+        [10, 'warning', 'Unknown field "sprint" (declare it under "fields.task" in the config)'],
+      ]);
+    });
+
+    test('should add defaults of declared fields to new tasks', () => {
+      writeConfig({
+        task: {
+          component: { type: 'enum', values: ['api', 'ui'], required: true, default: 'api' },
+          sprint: { type: 'number' },
+        },
+      });
+      createTask('With defaults', getTasksDir);
+
+      const content = fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8');
+      expect(content).toContain('\ncomponent: api\n');
+      expect(lintTasks(getTasksDir).results).toEqual([]);
+    });
+
+    test('should not use up an ID when a new task breaks the schema', () => {
+      writeConfig({ task: { component: { type: 'string', required: true } } });
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('exit');
+      });
+      expect(() => createTask('Bad', getTasksDir)).toThrow('exit');
+      exit.mockRestore();
+      writeConfig({});
+
+      expect(fs.existsSync(path.join(TASKS_DIR, '.last-task-id'))).toBe(false);
+      expect(createTask('Good', getTasksDir).id).toBe('001');
+    });
+
+    test('should reject updates that break the schema', () => {
+      createTask('Estimate me', getTasksDir);
+      expect(updateTask('TASK-001', 'estimated', 'soon', getTasksDir)).toBe(false);
+      expect(updateTask('TASK-001', 'estimated', '2h', getTasksDir)).toBe(true);
+    });
+
+    test('should refuse invalid field declarations', () => {
+      writeConfig({ task: { priority: { type: 'string' } } });
+      expect(() => getSchema('task', getTasksDir)).toThrow(
+        `Invalid fields in ${configPath}: "task.priority" is a built-in field`
+      );
+
+      writeConfig({ task: { size: { type: 'enum' } } });
+      expect(() => getSchema('task', getTasksDir)).toThrow(
+        '"task.size.values" must be a non-empty list of strings'
+      );
+    });
+  });
+
+  describe('Custom Fields', () => {
+    const { createTask, updateTask, moveTask, findTask } = require('../cli/task/crud');
+    const { listTasks, viewTask } = require('../cli/task/list');
+    const { getStatsData } = require('../cli/task/stats');
+    const configDir = path.join(testRootDir, '.local-work');
+    const frontmatterOf = (id) => fs.readFileSync(findTask(id, getTasksDir).path, 'utf-8');
+
+    beforeEach(() => {
+      createStateDirs();
+      fs.mkdirSync(configDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(configDir, 'config.json'),
+        JSON.stringify({
+          version: '3.0.0',
+          tasksDir: 'tasks',
+          notesDir: 'notes',
+          fields: {
+            task: {
+              story_points: { type: 'number' },
+              component: { type: 'enum', values: ['api', 'ui'] },
+              sprint: { type: 'string' },
+              reviewers: { type: 'list' },
+            },
+          },
+        })
+      );
+      createTask('Login', getTasksDir, 'medium', '', {
+        fields: { story_points: '5', component: 'api', reviewers: 'kim, lee' },
+      });
+      createTask('Theme', getTasksDir, 'medium', '', { fields: { story_points: '2.5' } });
+    });
+
+    afterEach(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    test('should set declared fields on new tasks and updates', () => {
+      expect(frontmatterOf('TASK-001')).toContain(
+        'story_points: 5\ncomponent: api\nreviewers: [kim, lee]\n---'
+      );
+
+      expect(updateTask('TASK-002', 'sprint', '12', getTasksDir)).toBe(true);
+      expect(updateTask('TASK-002', 'component', 'backend', getTasksDir)).toBe(false);
+      expect(updateTask('TASK-002', 'story_points', 'lots', getTasksDir)).toBe(false);
+      expect(updateTask('TASK-002', 'colour', 'red', getTasksDir)).toBe(false);
+      expect(frontmatterOf('TASK-002')).toContain('sprint: 12\n');
+      expect(frontmatterOf('TASK-002')).toContain('sprint: (none) -> 12');
+    });
+
+    test('should refuse undeclared fields when creating a task', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('exit');
+      });
+      expect(() =>
+        createTask('Bad', getTasksDir, 'medium', '', { fields: { colour: 'red' } })
+      ).toThrow('exit');
+      expect(printed()).toContain('Unknown field "colour". Declared fields: story_points');
+      expect(findTask('TASK-003', getTasksDir)).toBeNull();
+      exit.mockRestore();
+    });
+
+    test('should show, filter and sum declared fields', () => {
+      viewTask('TASK-001', findTask, getTasksDir);
+      expect(printed()).toMatch(/story_points\s*│\s*5/);
+      expect(printed()).toMatch(/sprint\s*│\s*-/);
+
+      const listed = listTasks(getTasksDir, null, { query: 'story_points>3 reviewers:lee' });
+      expect(listed.map((t) => t.id)).toEqual(['TASK-001']);
+      expect(listed[0].fields).toEqual({
+        story_points: '5',
+        component: 'api',
+        reviewers: ['kim', 'lee'],
+      });
+
+      expect(getStatsData(getTasksDir).fields).toEqual({
+        story_points: {
+          total: 7.5,
+          byStatus: { backlog: 7.5, active: 0, completed: 0, archived: 0 },
+        },
+      });
+    });
+
+    test('should add declared fields to --format output in declaration order', () => {
+      console.log.mockClear();
+      listTasks(getTasksDir, null, { format: 'csv' });
+      const [header, login, theme] = printed().split('\n');
+      expect(header).toMatch(/,dependsOn,story_points,component,sprint,reviewers$/);
+      expect(login).toMatch(/,5,api,,"kim,lee"$/);
+      expect(theme).toMatch(/,2\.5,,,$/);
+
+      console.log.mockClear();
+      viewTask('TASK-001', findTask, getTasksDir, { format: 'json' });
+      const record = JSON.parse(printed());
+      expect(Object.keys(record).slice(-6)).toEqual([
+        'story_points',
+        'component',
+        'sprint',
+        'reviewers',
+        'subtasks',
+        'body',
+      ]);
+      expect(record).toMatchObject({ story_points: '5', sprint: null, reviewers: ['kim', 'lee'] });
+    });
+
+    test('should carry declared fields over to the next instance of a recurring task', () => {
+      const configPath = path.join(configDir, 'config.json');
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      config.fields.task.sprint.required = true;
+      fs.writeFileSync(configPath, JSON.stringify(config));
+
+      createTask('Upgrade deps', getTasksDir, 'medium', '', {
+        parent: 'TASK-001',
+        recurrence: 'weekly:mon',
+        fields: { sprint: 'S1', story_points: '2', reviewers: 'kim, lee' },
+      });
+      expect(moveTask('TASK-003', 'completed', getTasksDir)).toBe(true);
+      expect(frontmatterOf('TASK-004')).toMatch(
+        /parent: TASK-001\nstory_points: 2\nsprint: S1\nreviewers: \[kim, lee\]\n---/s
+      );
+
+      // A next instance that breaks the schema is reported, not fatal
+      const task = findTask('TASK-004', getTasksDir);
+      fs.writeFileSync(task.path, frontmatterOf('TASK-004').replace('sprint: S1\n', ''));
+      expect(moveTask('TASK-004', 'completed', getTasksDir)).toBe(true);
+      expect(printed()).toContain('Could not create the next instance of TASK-004');
+      expect(findTask('TASK-005', getTasksDir)).toBeNull();
+    });
+  });
+
+  describe('Templates', () => {
+    const { createTask, findTask } = require('../cli/task/crud');
+    const { renderTemplate, listTemplates, getGitBranch } = require('../cli/templates');
+    const configDir = path.join(testRootDir, '.local-work');
+    const templatesDir = path.join(configDir, 'templates');
+
+    beforeEach(() => {
+      createStateDirs();
+      fs.mkdirSync(templatesDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(configDir, 'config.json'),
+        JSON.stringify({ version: '3.0.0', tasksDir: 'tasks', notesDir: 'notes' })
+      );
+      fs.writeFileSync(
+        path.join(templatesDir, 'task-bug-template.md'),
+        '---\ntitle: {{title}}\ntags: [bug]\nseverity: {{severity}}\n---\n\n# {{id}}: {{title}}\n\nReported by {{assignee}} on {{git.branch}}\n'
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    test('should create tasks from the shipped template by default', () => {
+      createTask('Plain', getTasksDir, 'low');
+      const content = fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8');
+      expect(content).toMatch(/^---\nid: TASK-001\ntitle: Plain\nstatus: backlog\npriority: low\n/);
+      expect(content).toContain('## Acceptance Criteria');
+      expect(content).not.toContain('{{');
+    });
+
+    test('should fill in a named workspace template', () => {
+      createTask('Crash: on login', getTasksDir, 'high', 'kim', { template: 'bug' });
+      const content = fs.readFileSync(findTask('TASK-001', getTasksDir).path, 'utf-8');
+
+      expect(content).toBe(
+        [
+          '---',
+          'title: "Crash: on login"',
+          'tags: [bug]',
+          'severity: {{severity}}',
+          'id: TASK-001',
+          'status: backlog',
+          'priority: high',
+          `created: ${content.match(/created: (\S+)/)[1]}`,
+          `updated: ${content.match(/created: (\S+)/)[1]}`,
+          'assignee: kim',
+          '---',
+          '',
+          '# TASK-001: Crash: on login',
+          '',
+          `Reported by kim on ${getGitBranch()}`,
+          '',
+        ].join('\n')
+      );
+      expect(listTemplates('task', getTasksDir).map((t) => [t.name, t.source])).toEqual([
+        ['default', 'default'],
+        ['bug', 'workspace'],
+      ]);
+    });
+
+    test('should refuse unknown template names', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('exit');
+      });
+      expect(() => createTask('Idea', getTasksDir, 'medium', '', { template: 'idea' })).toThrow(
+        'exit'
+      );
+      expect(printed()).toContain('Task template "idea" not found. Available: default, bug');
+      expect(findTask('TASK-001', getTasksDir)).toBeNull();
+      exit.mockRestore();
+    });
+
+    test('should quote whole frontmatter values and read the branch from .git', () => {
+      expect(
+        renderTemplate('---\ntitle: {{title}}\n---\n{{title}} {{other}}\n', { title: 'a: b' })
+      ).toBe('---\ntitle: "a: b"\n---\n{{title}} {{other}}\n'.replace('{{title}}', 'a: b'));
+      expect(
+        renderTemplate('---\nowner: {{constructor}}\n---\n{{toString}}\n', { title: 'x' })
+      ).toBe('---\nowner: {{constructor}}\n---\n{{toString}}\n');
+
+      const repo = path.join(testRootDir, 'repo');
+      fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+      fs.mkdirSync(path.join(repo, 'src'), { recursive: true });
+      fs.writeFileSync(path.join(repo, '.git', 'HEAD'), 'ref: refs/heads/feature/login\n');
+      expect(getGitBranch(path.join(repo, 'src'))).toBe('feature/login');
+      fs.writeFileSync(path.join(repo, '.git', 'HEAD'), '0123456789abcdef\n');
+      expect(getGitBranch(repo)).toBe('0123456');
+    });
+  });
 });
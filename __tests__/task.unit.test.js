@@ -315,4 +315,252 @@ status: completed
       expect(priorityCount.low).toBe(1);
     });
   });
+
+  describe('Recurrence Rules', () => {
+    const {
+      parseRecurrence,
+      anchorRecurrence,
+      getNextOccurrence,
+    } = require('../cli/task/recurrence');
+
+    test('should parse supported rules and reject others', () => {
+      expect(parseRecurrence('daily')).toEqual({ type: 'daily' });
+      expect(parseRecurrence('weekly:thu,mon')).toEqual({ type: 'weekly', weekdays: [1, 4] });
+      expect(parseRecurrence('monthly:15')).toEqual({ type: 'monthly', day: 15 });
+      expect(parseRecurrence('yearly')).toBeNull();
+      expect(parseRecurrence('weekly:funday')).toBeNull();
+      expect(parseRecurrence('monthly:32')).toBeNull();
+    });
+
+    test('should compute the next occurrence after a date', () => {
+      // 2026-10-19 is a Monday
+      expect(getNextOccurrence('daily', '2026-10-19')).toBe('2026-10-20');
+      expect(getNextOccurrence('weekly', '2026-10-19')).toBe('2026-10-26');
+      expect(getNextOccurrence('weekly:mon,thu', '2026-10-19')).toBe('2026-10-22');
+      expect(getNextOccurrence('weekly:mon', '2026-10-19')).toBe('2026-10-26');
+      expect(getNextOccurrence('monthly:15', '2026-10-19')).toBe('2026-11-15');
+      expect(getNextOccurrence('monthly:31', '2026-10-31')).toBe('2026-11-30');
+      expect(getNextOccurrence('monthly:31', '2026-12-15')).toBe('2026-12-31');
+    });
+
+    test('should pin plain monthly rules to the day they start on', () => {
+      expect(anchorRecurrence('monthly', '2026-01-31')).toBe('monthly:31');
+      expect(anchorRecurrence('monthly:15', '2026-01-31')).toBe('monthly:15');
+      expect(anchorRecurrence('weekly', '2026-01-31')).toBe('weekly');
+
+      // The day survives a short month
+      const february = getNextOccurrence('monthly:31', '2026-01-31');
+      expect(february).toBe('2026-02-28');
+      expect(getNextOccurrence('monthly:31', february)).toBe('2026-03-31');
+    });
+  });
+
+  describe('Workflow Configuration', () => {
+    const {
+      normalizeWorkflow,
+      canTransition,
+      getOpenStates,
+      getInProgressStates,
+      getVisibleStates,
+      getShortcutStates,
+    } = require('../cli/task/workflow');
+
+    test('should fall back to the default workflow', () => {
+      const workflow = normalizeWorkflow(undefined);
+      expect(workflow.states).toEqual(['backlog', 'active', 'completed', 'archived']);
+      expect(workflow.initial).toBe('backlog');
+      expect(getOpenStates(workflow)).toEqual(['backlog', 'active']);
+      expect(getInProgressStates(workflow)).toEqual(['active']);
+      expect(getVisibleStates(workflow)).toEqual(['backlog', 'active', 'completed']);
+    });
+
+    test('should fill in defaults for custom states', () => {
+      const workflow = normalizeWorkflow({
+        states: ['backlog', 'active', 'review', 'blocked', 'completed'],
+      });
+      expect(workflow.initial).toBe('backlog');
+      expect(workflow.done).toEqual(['completed']);
+      expect(workflow.hidden).toEqual([]);
+      expect(getInProgressStates(workflow)).toEqual(['active', 'review', 'blocked']);
+    });
+
+    test('should map start, done and archive to workflow states', () => {
+      expect(getShortcutStates(normalizeWorkflow(undefined))).toEqual({
+        start: 'active',
+        done: 'completed',
+        archive: 'archived',
+      });
+      const workflow = normalizeWorkflow({
+        states: ['todo', 'doing', 'done', 'gone'],
+        done: ['done', 'gone'],
+        hidden: ['gone'],
+      });
+      expect(getShortcutStates(workflow)).toEqual({
+        start: 'doing',
+        done: 'done',
+        archive: 'gone',
+      });
+      expect(getShortcutStates(normalizeWorkflow({ states: ['todo', 'doing'] }))).toEqual({
+        start: 'doing',
+        done: null,
+        archive: null,
+      });
+    });
+
+    test('should only restrict states listed in transitions', () => {
+      const workflow = normalizeWorkflow({ transitions: { backlog: ['active'] } });
+      expect(canTransition(workflow, 'backlog', 'active')).toBe(true);
+      expect(canTransition(workflow, 'backlog', 'archived')).toBe(false);
+      expect(canTransition(workflow, 'active', 'archived')).toBe(true);
+    });
+
+    test('should reject invalid workflows', () => {
+      expect(() => normalizeWorkflow({ states: [] })).toThrow('"states" must be a non-empty list');
+      expect(() => normalizeWorkflow({ states: ['To Do'] })).toThrow('state "To Do"');
+      expect(() => normalizeWorkflow({ states: ['a', 'a'] })).toThrow('duplicates');
+      expect(() => normalizeWorkflow({ done: ['shipped'] })).toThrow('unknown state "shipped"');
+      expect(() => normalizeWorkflow({ transitions: { active: ['nowhere'] } }, 'cfg.json')).toThrow(
+        'Invalid workflow in cfg.json: "transitions.active" references unknown state "nowhere"'
+      );
+    });
+  });
+
+  describe('History Section', () => {
+    const { appendHistory, parseHistory } = require('../cli/task/history');
+
+    test('should create the section at the end of the task', () => {
+      const content = appendHistory('---\nid: TASK-001\n---\n\n## Notes\n\nSome notes\n', 'moved');
+      expect(content).toMatch(/## Notes\n\nSome notes\n\n## History\n\n- [\d-]+ [\d:]+ moved\n$/);
+    });
+
+    test('should append below existing entries before the next heading', () => {
+      const content = '## History\n\n- 2026-01-01 10:00:00 first\n\n## Links\n\n- link\n';
+      const lines = appendHistory(content, 'second').split('\n');
+      expect(lines[2]).toBe('- 2026-01-01 10:00:00 first');
+      expect(lines[3]).toMatch(/ second$/);
+      expect(lines[4]).toBe('');
+      expect(lines[5]).toBe('## Links');
+    });
+
+    test('should parse entries with reasons, forced moves and notes', () => {
+      const content = [
+        '## History',
+        '',
+        '- 2026-10-19 14:03:22 status: backlog -> archived (forced): Duplicate of TASK-009',
+        '- 2026-10-19 14:05:10 priority: medium -> high',
+        '- 2026-10-19 14:06:45 body: edited',
+        'not an entry',
+      ].join('\n');
+
+      expect(parseHistory(content)).toEqual([
+        {
+          timestamp: '2026-10-19 14:03:22',
+          field: 'status',
+          from: 'backlog',
+          to: 'archived',
+          forced: true,
+          note: 'Duplicate of TASK-009',
+        },
+        {
+          timestamp: '2026-10-19 14:05:10',
+          field: 'priority',
+          from: 'medium',
+          to: 'high',
+          forced: false,
+          note: undefined,
+        },
+        { timestamp: '2026-10-19 14:06:45', field: 'body', forced: false, note: 'edited' },
+      ]);
+    });
+  });
+
+  describe('Query Language', () => {
+    const { parseQuery, createQueryFilter } = require('../cli/task/query');
+
+    const task = (fields) => ({
+      id: 'TASK-001',
+      title: 'Fix login page',
+      status: 'backlog',
+      priority: 'medium',
+      assignee: '',
+      estimated: '0h',
+      actual: '0h',
+      created: '2026-10-01',
+      updated: '2026-10-01',
+      tags: [],
+      dependsOn: [],
+      ...fields,
+    });
+    const tasks = [
+      task({ id: 'TASK-001', priority: 'high', tags: ['api'], assignee: 'kim', due: '2026-10-30' }),
+      task({ id: 'TASK-002', priority: 'high', tags: ['api'], status: 'archived' }),
+      task({ id: 'TASK-003', priority: 'low', tags: ['ui'], assignee: 'lee', title: 'Dark mode' }),
+      task({ id: 'TASK-004', priority: 'high', tags: ['api'], assignee: 'kim', due: '2026-11-20' }),
+    ];
+    const ids = (query, context = { me: 'kim' }) =>
+      tasks.filter(createQueryFilter(query, context)).map((t) => t.id);
+
+    test('should combine field terms, negation and comparisons', () => {
+      expect(ids('priority:high tag:api -status:archived due<2026-11-01 assignee:@me')).toEqual([
+        'TASK-001',
+      ]);
+      expect(ids('priority>=medium -tag:ui')).toEqual(['TASK-001', 'TASK-002', 'TASK-004']);
+      expect(ids('id>TASK-002 assignee:kim,lee')).toEqual(['TASK-003', 'TASK-004']);
+      expect(ids('due:none')).toEqual(['TASK-002', 'TASK-003']);
+    });
+
+    test('should match tasks without tags with tag:none', () => {
+      const untagged = [...tasks, task({ id: 'TASK-005' })];
+      const filter = createQueryFilter('tag:none', { me: 'kim' });
+      expect(untagged.filter(filter).map((t) => t.id)).toEqual(['TASK-005']);
+    });
+
+    test('should match free text and quoted phrases against the title', () => {
+      expect(ids('login')).toEqual(['TASK-001', 'TASK-002', 'TASK-004']);
+      expect(ids('"dark mode"')).toEqual(['TASK-003']);
+      expect(ids('https://example.com/login')).toEqual([]);
+      expect(ids('"re: login"')).toEqual([]);
+      expect(ids('-login')).toEqual(['TASK-003']);
+    });
+
+    test('should point at the bad token', () => {
+      expect(() => parseQuery('priority:high colour:red')).toThrow(
+        'Invalid query: unknown field "colour"'
+      );
+      try {
+        parseQuery('tag:api due<soon');
+      } catch (err) {
+        expect(err.message.split('\n').slice(1)).toEqual([
+          '  tag:api due<soon',
+          '          ^^^^^^^^',
+        ]);
+      }
+      expect(() => parseQuery('priority:urgent')).toThrow('"urgent" is not a priority');
+      expect(() => parseQuery('tag>api')).toThrow('"tag" does not support ">"');
+      expect(() => parseQuery('title:"open quote')).toThrow('missing closing quote');
+      expect.assertions(5);
+    });
+
+    test('should query fields declared in config', () => {
+      const fields = {
+        story_points: { type: 'number' },
+        component: { type: 'enum', values: ['api', 'ui'] },
+        labels: { type: 'list' },
+      };
+      const custom = [
+        task({ id: 'TASK-001', fields: { story_points: '5', component: 'api', labels: [] } }),
+        task({ id: 'TASK-002', fields: { story_points: '2', component: 'ui', labels: ['x'] } }),
+        task({ id: 'TASK-003' }),
+      ];
+      const customIds = (query) =>
+        custom.filter(createQueryFilter(query, { fields })).map((t) => t.id);
+
+      expect(customIds('story_points>=3')).toEqual(['TASK-001']);
+      expect(customIds('story_points:none')).toEqual(['TASK-003']);
+      expect(customIds('component:UI,api -labels:x')).toEqual(['TASK-001']);
+      expect(() => parseQuery('story_points>many', fields)).toThrow('"many" is not a number');
+      expect(() => parseQuery('component>api', fields)).toThrow('"component" does not support');
+      expect(() => parseQuery('story_points:3')).toThrow('unknown field "story_points"');
+    });
+  });
 });
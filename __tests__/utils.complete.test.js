@@ -15,10 +15,20 @@ const {
   getCurrentDate,
   getCurrentTime,
   getCurrentDateTime,
+  getLocalDate,
+  isValidDate,
+  isOverdue,
+  getDueBucket,
   parseFrontmatter,
   updateFrontmatter,
+  quoteYamlString,
   formatTable,
   progressBar,
+  fuzzyFind,
+  scoreDocument,
+  recencyBoost,
+  findSnippet,
+  highlightMatches,
 } = require('../cli/utils');
 const fs = require('fs');
 const path = require('path');
@@ -70,6 +80,11 @@ describe('Complete Utils Coverage', () => {
       expect(result).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
     });
 
+    test('getLocalDate should use the local calendar day', () => {
+      expect(getLocalDate(new Date(2026, 9, 19, 23, 30))).toBe('2026-10-19');
+      expect(getLocalDate(new Date(2026, 0, 1, 0, 15).toISOString())).toBe('2026-01-01');
+    });
+
     test('formatDate handles today', () => {
       const today = new Date().toISOString().split('T')[0];
       const result = formatDate(today);
@@ -82,6 +97,30 @@ describe('Complete Utils Coverage', () => {
       const result = formatDate(oldDate);
       expect(result).toContain('days ago');
     });
+
+    test('isValidDate accepts real YYYY-MM-DD dates only', () => {
+      expect(isValidDate('2026-11-03')).toBe(true);
+      expect(isValidDate('2026-02-30')).toBe(false);
+      expect(isValidDate('11/03/2026')).toBe(false);
+      expect(isValidDate('')).toBe(false);
+    });
+
+    test('isOverdue and getDueBucket classify due dates', () => {
+      const today = getLocalDate();
+      expect(isOverdue('2000-01-01')).toBe(true);
+      expect(isOverdue(today)).toBe(false);
+      expect(getDueBucket('2000-01-01')).toBe('overdue');
+      expect(getDueBucket(today)).toBe('today');
+      expect(getDueBucket('2999-12-31')).toBe('later');
+      expect(getDueBucket(undefined)).toBeNull();
+    });
+
+    test('parseTime reads back formatTime output', () => {
+      expect(parseTime('2h 30m')).toBe(2.5);
+      expect(parseTime(formatTime(1.75))).toBe(1.75);
+      expect(parseTime('h')).toBeNull();
+      expect(formatTime(1.999)).toBe('2h');
+    });
   });
 
   describe('File System Functions', () => {
@@ -162,6 +201,97 @@ This is the task description.`;
       const result = updateFrontmatter(sampleContent, 'estimation', 5);
       expect(result).toContain('estimation: 5');
     });
+
+    const yamlContent = `---
+# Managed by hand
+title: "Fix: \\"login\\" page"
+subtitle: Keep me
+status: backlog # set by triage
+tags: [bug, "a, b", 'it''s']
+depends_on:
+  - TASK-002
+  - TASK-003
+links:
+  docs: https://example.com/docs
+  owner: kim
+notes: |
+  First line
+    indented
+
+  Last line
+summary: a long
+  plain value
+---
+
+Body`;
+
+    test('parseFrontmatter should read lists, maps, multi-line values and comments', () => {
+      const result = parseFrontmatter(yamlContent);
+      expect(result.title).toBe('Fix: "login" page');
+      expect(result.status).toBe('backlog');
+      expect(result.tags).toEqual(['bug', 'a, b', "it's"]);
+      expect(result.depends_on).toEqual(['TASK-002', 'TASK-003']);
+      expect(result.links).toEqual({ docs: 'https://example.com/docs', owner: 'kim' });
+      expect(result.notes).toBe('First line\n  indented\n\nLast line\n');
+      expect(result.summary).toBe('a long plain value');
+      expect(Object.keys(result)).not.toContain('# Managed by hand');
+    });
+
+    test('updateFrontmatter should only change the exact field and keep the rest as written', () => {
+      const result = updateFrontmatter(yamlContent, 'title', 'New title');
+      expect(result).toContain('title: New title\n');
+      expect(result).toContain('subtitle: Keep me');
+      expect(result.replace('title: New title', `title: "Fix: \\"login\\" page"`)).toBe(
+        yamlContent
+      );
+    });
+
+    test('updateFrontmatter should keep trailing comments and replace block values', () => {
+      let result = updateFrontmatter(yamlContent, 'status', 'active');
+      result = updateFrontmatter(result, 'depends_on', ['TASK-009']);
+      result = updateFrontmatter(result, 'notes', 'One\nTwo');
+
+      expect(result).toContain('status: active # set by triage');
+      expect(result).toContain('depends_on: [TASK-009]\nlinks:');
+      expect(result).toContain('notes: |-\n  One\n  Two\nsummary:');
+      expect(parseFrontmatter(result)).toMatchObject({
+        status: 'active',
+        depends_on: ['TASK-009'],
+        notes: 'One\nTwo',
+        links: { owner: 'kim' },
+      });
+    });
+
+    test('updateFrontmatter should quote values that would not read back unchanged', () => {
+      const values = ['Fix: login', 'it has # hash', '[WIP] task', '@kim', '- item'];
+      values.forEach((value) => {
+        const result = updateFrontmatter(sampleContent, 'title', value);
+        expect(parseFrontmatter(result).title).toBe(value);
+      });
+
+      const tags = updateFrontmatter(sampleContent, 'tags', ['a, b', 'c']);
+      expect(tags).toContain('tags: ["a, b", c]');
+      expect(parseFrontmatter(tags).tags).toEqual(['a, b', 'c']);
+    });
+
+    test('updateFrontmatter should keep CRLF line endings', () => {
+      const crlfContent = yamlContent.replace(/\n/g, '\r\n');
+      let result = updateFrontmatter(crlfContent, 'status', 'active');
+      result = updateFrontmatter(result, 'notes', 'One\nTwo');
+      result = updateFrontmatter(result, 'assignee', 'kim');
+
+      expect(result.replace(/\r\n/g, '')).not.toContain('\n');
+      expect(result).toContain('status: active # set by triage\r\n');
+      expect(result).toContain('notes: |-\r\n  One\r\n  Two\r\nsummary:');
+      expect(result).toContain('assignee: kim\r\n---\r\n\r\nBody');
+      expect(parseFrontmatter(result)).toMatchObject({ status: 'active', assignee: 'kim' });
+    });
+
+    test('quoteYamlString should escape quotes and backslashes', () => {
+      const title = 'Say "hi" \\ bye';
+      expect(quoteYamlString(title)).toBe('"Say \\"hi\\" \\\\ bye"');
+      expect(parseFrontmatter(`---\ntitle: ${quoteYamlString(title)}\n---\n`).title).toBe(title);
+    });
   });
 
   describe('Table Formatting', () => {
@@ -248,4 +378,50 @@ This is the task description.`;
       expect(result).toContain('33%');
     });
   });
+
+  describe('Search Helpers', () => {
+    test('fuzzyFind should prefer exact matches and tolerate typos', () => {
+      expect(fuzzyFind('Fix Login page', 'login')).toEqual({ index: 4, length: 5, exact: true });
+      expect(fuzzyFind('Fix Login page', 'lgoin')).toEqual({ index: 4, length: 5, exact: false });
+      expect(fuzzyFind('Fix Login page', 'logout')).toBeNull();
+      expect(fuzzyFind('Fix bug', 'bag')).toBeNull();
+    });
+
+    test('scoreDocument should rank title over body and require every term', () => {
+      const doc = { title: 'Login page', body: 'Uses the session cookie' };
+      const title = scoreDocument(doc, [{ text: 'login', scope: 'any' }]);
+      const body = scoreDocument(doc, [{ text: 'session', scope: 'any' }]);
+
+      expect(title).toBeGreaterThan(body);
+      expect(scoreDocument(doc, [{ text: 'session', scope: 'title' }])).toBeNull();
+      expect(
+        scoreDocument(doc, [
+          { text: 'login', scope: 'any' },
+          { text: 'missing', scope: 'any' },
+        ])
+      ).toBeNull();
+    });
+
+    test('recencyBoost should fade out over time', () => {
+      expect(recencyBoost('2026-10-19', '2026-10-19')).toBe(2);
+      expect(recencyBoost('2026-10-04', '2026-10-19')).toBe(1);
+      expect(recencyBoost('2026-01-01', '2026-10-19')).toBe(0);
+      expect(recencyBoost(undefined, '2026-10-19')).toBe(0);
+    });
+
+    test('findSnippet should return the matching line and shorten long lines', () => {
+      const text = `# Title\n\nFirst line\nThe ${'x'.repeat(100)} login form\n`;
+      const snippet = findSnippet(text, ['login'], { firstLine: 10, width: 40 });
+
+      expect(snippet.line).toBe(13);
+      expect(snippet.text).toHaveLength(40);
+      expect(snippet.text).toMatch(/^\.\.\.x+ login form$/);
+      expect(findSnippet(text, ['nothing'])).toBeNull();
+    });
+
+    test('highlightMatches should color matched words', () => {
+      const result = highlightMatches('Fix login page', ['login']);
+      expect(result).toBe(`Fix ${colorize('login', 'yellow')} page`);
+    });
+  });
 });
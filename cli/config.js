@@ -40,6 +40,8 @@ module.exports = {
   getTasksDir: config.getTasksDir,
   getNotesDir: config.getNotesDir,
   getWorkDir: config.getWorkDir,
+  getWorkspaceConfig: config.getWorkspaceConfig,
+  getDefaultWorkflow: config.getDefaultWorkflow,
 
   // Initialization
   initializeWorkspace: config.initializeWorkspace,
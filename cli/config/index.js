@@ -28,6 +28,8 @@ module.exports = {
   getTasksDir: workspace.getTasksDir,
   getNotesDir: workspace.getNotesDir,
   getWorkDir: workspace.getWorkDir,
+  getWorkspaceConfig: workspace.getWorkspaceConfig,
+  getDefaultWorkflow: workspace.getDefaultWorkflow,
 
   // Initialization
   initializeWorkspace: workspace.initializeWorkspace,
@@ -5,7 +5,13 @@
 
 const path = require('path');
 const fs = require('fs');
-const { getDataDir, findLocalConfig, loadLocalConfig, findProjectRoot } = require('./paths');
+const {
+  getDataDir,
+  getConfigPath,
+  findLocalConfig,
+  loadLocalConfig,
+  findProjectRoot,
+} = require('./paths');
 
 // ============================================================================
 // Type Definitions
@@ -18,6 +24,46 @@ const { getDataDir, findLocalConfig, loadLocalConfig, findProjectRoot } = requir
  * @property {'local'|'global'} mode - Workspace mode
  */
 
+/**
+ * @typedef {Object} WorkflowConfig
+ * @property {string[]} states - Task states in workflow order (one directory each)
+ * @property {string} initial - State new tasks are created in
+ * @property {string[]} done - States in which a task counts as finished
+ * @property {string[]} hidden - States left out of default listings and searches
+ * @property {Record<string, string[]>} transitions - Allowed target states per state (unlisted states may move anywhere)
+ */
+
+/**
+ * @typedef {Object} WorkspaceConfig
+ * @property {Record<string, any>} config - Configuration object (empty if none applies)
+ * @property {string|null} path - Path of the configuration file, or null if none applies
+ * @property {'local'|'global'|null} mode - Workspace the configuration belongs to
+ */
+
+// ============================================================================
+// Workflow Defaults
+// ============================================================================
+
+/**
+ * Get the default task workflow
+ * Tasks are archived only once completed.
+ * @returns {WorkflowConfig} Default workflow (backlog → active → completed → archived)
+ */
+function getDefaultWorkflow() {
+  return {
+    states: ['backlog', 'active', 'completed', 'archived'],
+    initial: 'backlog',
+    done: ['completed', 'archived'],
+    hidden: ['archived'],
+    transitions: {
+      backlog: ['active', 'completed'],
+      active: ['backlog', 'completed'],
+      completed: ['active', 'archived'],
+      archived: ['completed'],
+    },
+  };
+}
+
 // ============================================================================
 // Workspace Resolution (v3.0.0 - Git-like model)
 // ============================================================================
@@ -105,6 +151,60 @@ function getWorkDir(useGlobal = false) {
   return workspace.mode === 'local' ? workspace.tasksDir : getDataDir();
 }
 
+/**
+ * Get the configuration file that applies to a tasks or notes directory
+ * Local workspaces are configured by their .local-work/config.json, the global
+ * workspace by the global config file. Directories that belong to neither
+ * (e.g. a custom TASKS_DIR) get an empty configuration.
+ * @param {string} tasksDir - Absolute path to the tasks (or notes) directory
+ * @returns {WorkspaceConfig} Configuration for the workspace
+ */
+function getWorkspaceConfig(tasksDir) {
+  const target = path.resolve(tasksDir);
+  /**
+   * @param {string} root - Directory relative paths are resolved from
+   * @param {...(string|undefined)} dirs - Configured tasks and notes directories
+   * @returns {boolean} True if one of them is the target
+   */
+  const isTarget = (root, ...dirs) => dirs.some((dir) => dir && path.resolve(root, dir) === target);
+
+  // Local config found from cwd (normal CLI use) or from the tasks directory itself
+  const candidates = [findLocalConfig(), findLocalConfig(target)].filter(
+    (p, i, all) => p && all.indexOf(p) === i
+  );
+  for (const configPath of /** @type {string[]} */ (candidates)) {
+    /** @type {any} */
+    const localConfig = loadLocalConfig(configPath);
+    if (localConfig && localConfig.tasksDir) {
+      const projectRoot = localConfig.projectRoot || path.dirname(path.dirname(configPath));
+      if (isTarget(projectRoot, localConfig.tasksDir, localConfig.notesDir)) {
+        return { config: localConfig, path: configPath, mode: 'local' };
+      }
+    }
+  }
+
+  const globalConfigPath = getConfigPath();
+  try {
+    if (fs.existsSync(globalConfigPath)) {
+      const globalConfig = JSON.parse(fs.readFileSync(globalConfigPath, 'utf8'));
+      const dirs = globalConfig.global || {};
+      const globalTasksDir = dirs.tasksDir || path.join(getDataDir(), 'tasks');
+      const globalNotesDir = dirs.notesDir || path.join(getDataDir(), 'notes');
+      if (isTarget(process.cwd(), globalTasksDir, globalNotesDir)) {
+        return { config: globalConfig, path: globalConfigPath, mode: 'global' };
+      }
+    }
+  } catch {
+    // Unreadable global config - fall through to defaults
+  }
+
+  if (isTarget(getDataDir(), 'tasks', 'notes')) {
+    return { config: {}, path: globalConfigPath, mode: 'global' };
+  }
+
+  return { config: {}, path: null, mode: null };
+}
+
 // ============================================================================
 // Directory Initialization
 // ============================================================================
@@ -120,7 +220,7 @@ function initializeWorkspace(workspacePath) {
     const notesDir = path.join(workspacePath, 'notes');
 
     // Create tasks subdirectories
-    const taskDirs = ['active', 'backlog', 'completed', 'archived'];
+    const taskDirs = getDefaultWorkflow().states;
     taskDirs.forEach((dir) => {
       const dirPath = path.join(tasksDir, dir);
       if (!fs.existsSync(dirPath)) {
@@ -209,11 +309,14 @@ function initLocalConfig(options = {}) {
   const tasksDir = options.tasksDir || '.local-work/tasks';
   const notesDir = options.notesDir || '.local-work/notes';
 
+  const workflow = getDefaultWorkflow();
+
   const localConfig = {
     version: '2.0.0',
     projectRoot: projectRoot,
     tasksDir: tasksDir,
     notesDir: notesDir,
+    workflow,
     createdAt: new Date().toISOString(),
   };
 
@@ -229,7 +332,7 @@ function initLocalConfig(options = {}) {
     const absoluteTasksDir = path.resolve(projectRoot, tasksDir);
     const absoluteNotesDir = path.resolve(projectRoot, notesDir);
 
-    ['backlog', 'active', 'completed', 'archived'].forEach((status) => {
+    workflow.states.forEach((status) => {
       const dir = path.join(absoluteTasksDir, status);
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
@@ -251,6 +354,7 @@ function initLocalConfig(options = {}) {
     console.log('[>] Tip: Add .local-work/ to version control to share config with team');
     console.log('[>] Tip: Add tasks/ and notes/ to .gitignore if you want to keep them private');
     console.log('[>] Tip: Commands work from any subdirectory within the project');
+    console.log('[>] Tip: Edit "workflow" in .local-work/config.json to add states like review');
 
     return true;
   } catch (/** @type {any} */ error) {
@@ -265,6 +369,10 @@ module.exports = {
   getTasksDir,
   getNotesDir,
   getWorkDir,
+  getWorkspaceConfig,
+
+  // Workflow
+  getDefaultWorkflow,
 
   // Initialization
   initializeWorkspace,
@@ -0,0 +1,135 @@
+/**
+ * Unified search across tasks and notes (task find / note find)
+ *
+ * Searches tasks in every workflow state, archived included, together with
+ * all note types and returns one list ranked by relevance.
+ *
+ * @module find
+ */
+
+const path = require('path');
+const { bold, dim, colorize, icons, getStatusColor, highlightMatches } = require('../utils');
+const { rankTasks } = require('../task/list');
+const { parseQuery, isTextTerm, getTextTerms } = require('../task/query');
+const { getWorkflow } = require('../task/workflow');
+const { findNotes } = require('../note/search');
+const { getCustomFields } = require('../schema');
+
+/**
+ * @typedef {Object} FindResult
+ * @property {'task'|'note'} type - Kind of document
+ * @property {string} id - Task ID, or note file name without extension
+ * @property {string} title - Title
+ * @property {string} status - Task state, or note type (daily, meetings, technical, learning)
+ * @property {boolean} archived - True for tasks in a hidden state (e.g. archived)
+ * @property {string} path - File path
+ * @property {number} score - Relevance (higher is better)
+ * @property {import('../utils/search').Snippet|null} snippet - Best matching line of the body
+ */
+
+/**
+ * @typedef {Object} FindDirs
+ * @property {() => string} getTasksDir - Function to get tasks directory
+ * @property {() => string} getNotesDir - Function to get notes directory
+ */
+
+/**
+ * Find tasks and notes matching a search query
+ * The query uses the task query language. Field filters other than `title:`
+ * (e.g. `priority:high`) only apply to tasks, so notes are left out when the
+ * query uses them.
+ * @param {string} searchTerm - Search query
+ * @param {FindDirs} dirs - Tasks and notes directories
+ * @returns {FindResult[]} Tasks and notes, best match first
+ * @throws {Error} If the query is invalid
+ */
+function findAll(searchTerm, dirs) {
+  const terms = parseQuery(searchTerm, getCustomFields('task', dirs.getTasksDir));
+  const { hidden } = getWorkflow(dirs.getTasksDir);
+
+  /** @type {FindResult[]} */
+  const results = rankTasks(searchTerm, dirs.getTasksDir, true).map(({ result }) => ({
+    type: 'task',
+    id: result.id,
+    title: result.title,
+    status: result.status,
+    archived: hidden.includes(result.status),
+    path: result.path,
+    score: result.score,
+    snippet: result.snippet,
+  }));
+
+  if (terms.every(isTextTerm)) {
+    findNotes(dirs.getNotesDir, getTextTerms(terms)).forEach((note) => {
+      results.push({
+        type: 'note',
+        id: note.file.replace(/\.md$/, ''),
+        title: note.title,
+        status: note.type,
+        archived: false,
+        path: note.path,
+        score: note.score,
+        snippet: note.snippet,
+      });
+    });
+  }
+
+  // Stable sort keeps tasks before notes on equal scores
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Search tasks and notes and print the merged results
+ * @param {string} searchTerm - Search query
+ * @param {FindDirs} dirs - Tasks and notes directories
+ * @returns {FindResult[]} Tasks and notes, best match first
+ * @throws {Error} If the query is invalid
+ */
+function printFindResults(searchTerm, dirs) {
+  const results = findAll(searchTerm, dirs);
+  const words = getTextTerms(parseQuery(searchTerm, getCustomFields('task', dirs.getTasksDir)))
+    .filter((t) => !t.negated)
+    .map((t) => t.text);
+
+  if (results.length === 0) {
+    console.log(dim(`\n${icons.info} Nothing found matching "${searchTerm}"\n`));
+    return results;
+  }
+
+  const tasks = results.filter((r) => r.type === 'task').length;
+  console.log(
+    bold(
+      `\n${icons.star} Found ${results.length} result(s): ${tasks} task(s), ${results.length - tasks} note(s)\n`
+    )
+  );
+  console.log(dim(`Searching for: "${searchTerm}"\n`));
+
+  results.forEach((result) => {
+    const icon = result.type === 'task' ? icons.task : icons.note;
+    const label = result.type === 'task' ? `${result.id}: ${result.title}` : result.title;
+    const status = result.archived
+      ? colorize(`[${result.status.toUpperCase()}]`, 'gray')
+      : colorize(
+          result.status,
+          /** @type {keyof typeof import('../utils').colors} */ (
+            result.type === 'task' ? getStatusColor(result.status) : 'magenta'
+          )
+        );
+
+    console.log(`${icon} ${bold(highlightMatches(label, words))} ${status}`);
+    console.log(dim(`    ${path.relative(process.cwd(), result.path) || result.path}`));
+    if (result.snippet) {
+      console.log(
+        `    ${dim(`${result.snippet.line}:`)} ${highlightMatches(result.snippet.text, words)}`
+      );
+    }
+  });
+
+  console.log('');
+  return results;
+}
+
+module.exports = {
+  findAll,
+  printFindResults,
+};
@@ -10,6 +10,8 @@ const { exec } = require('child_process');
 const { error, warning, info, dim, bold, icons, ensureDir } = require('../utils');
 const config = require('../config');
 const note = require('./index');
+const { printFindResults } = require('../find');
+const { lintNotes, printLintResults } = require('../schema');
 
 // ============================================================================
 // Help Text
@@ -27,6 +29,8 @@ ${info('Usage:')}
   note [-g] edit <filename|pattern>             Edit existing note
   note [-g] list [type]                         List notes (all or by type)
   note [-g] search <term>                       Search notes by term
+  note [-g] find <term>                         Search notes and all tasks (archived too)
+  note [-g] lint [--strict]                     Check note frontmatter against the schema
   note [-g] config <command>                    Manage configuration
   note [-g] open                                Open notes directory
 
@@ -45,6 +49,7 @@ ${info('Examples:')}
   note edit ADR-001                             # Edit technical decision
   note list technical
   note search "authentication"
+  note find "oauth"                             # Notes and tasks in one ranked list
   note config show
   note -g open                                  # Open global notes directory
   note open                                     # Open local notes directory
@@ -187,6 +192,48 @@ function handleSearch(args, getNotesDirFn) {
   note.searchNotes(getNotesDirFn, searchTerm);
 }
 
+/**
+ * Handle 'find' command (notes and tasks in every state)
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getNotesDirFn - Function to get notes directory
+ * @param {boolean} useGlobal - Whether to use global workspace
+ */
+function handleFind(args, getNotesDirFn, useGlobal) {
+  const searchTerm = args.slice(1).join(' ');
+  if (!searchTerm) {
+    console.log(error('\n Error: Search term is required\n'));
+    console.log('Usage: note find <term>');
+    process.exit(1);
+  }
+  try {
+    printFindResults(searchTerm, {
+      getTasksDir: () => config.getTasksDir(useGlobal),
+      getNotesDir: getNotesDirFn,
+    });
+  } catch (err) {
+    console.log(error(`\n${icons.cross} ${/** @type {Error} */ (err).message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle 'lint' command
+ * Exits with status 1 on schema errors (and on warnings with --strict).
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getNotesDirFn - Notes directory factory
+ */
+function handleLint(args, getNotesDirFn) {
+  try {
+    const report = lintNotes(getNotesDirFn);
+    if (!printLintResults(report, getNotesDirFn(), 'note', { strict: args.includes('--strict') })) {
+      process.exit(1);
+    }
+  } catch (err) {
+    console.log(error(`\n${icons.cross} ${/** @type {Error} */ (err).message}\n`));
+    process.exit(1);
+  }
+}
+
 /**
  * Handle 'config' command
  * @param {string[]} args - Command arguments
@@ -351,10 +398,17 @@ async function run(argv = process.argv) {
       break;
 
     case 'search':
-    case 'find':
       handleSearch(args, getNotesDirFn);
       break;
 
+    case 'find':
+      handleFind(args, getNotesDirFn, useGlobal);
+      break;
+
+    case 'lint':
+      handleLint(args, getNotesDirFn);
+      break;
+
     case 'config':
       handleConfig(args, useGlobal);
       break;
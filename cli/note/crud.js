@@ -8,6 +8,40 @@ const path = require('path');
 const { success, error, warning, info, dim, icons } = require('../utils/colors');
 const { getCurrentDate, getCurrentTime } = require('../utils/date');
 const { openInEditor } = require('../utils/editor');
+const { updateFrontmatter } = require('../utils/format');
+const { applySchema, printSchemaErrors } = require('../schema');
+const { findTemplate, fillTemplate } = require('../templates');
+
+/**
+ * Write a new note from its template, adding declared fields and checking it against its schema
+ * The note's date and type (and title, for notes that have one) are set
+ * even if the template leaves them out.
+ * @param {string} filePath - Note file path
+ * @param {import('../schema').DocumentKind} kind - Note kind
+ * @param {Record<string, string>} values - Template variables (date, and title where the note has one)
+ * @param {() => string} getNotesDir - Function to get notes directory
+ * @returns {boolean} True if the note was written
+ */
+function writeNote(filePath, kind, values, getNotesDir) {
+  const template = findTemplate(kind, getNotesDir);
+  if (!template) {
+    console.log(error(`\n${icons.cross} No ${kind} note template found\n`));
+    return false;
+  }
+
+  let note = fillTemplate(template, values);
+  note = updateFrontmatter(note, 'date', values.date);
+  note = updateFrontmatter(note, 'type', kind);
+  if (kind !== 'daily') note = updateFrontmatter(note, 'title', values.title);
+
+  const { content, errors } = applySchema(note, kind, getNotesDir);
+  if (errors.length > 0) {
+    printSchemaErrors('Note', errors);
+    return false;
+  }
+  fs.writeFileSync(filePath, content);
+  return true;
+}
 
 /**
  * Create a daily note for today
@@ -33,34 +67,7 @@ function createDailyNote(getNotesDir, autoEdit = true) {
     return;
   }
 
-  const template = `---
-date: ${date}
-type: daily
-title: "Daily Notes"
-tags: []
-related_tasks: []
----
-
-# ${date} - Daily Notes
-
-## What I worked on today
-
--
-
-## Blockers / Issues
-
--
-
-## Tomorrow's plan
-
--
-
-## Notes
-
--
-`;
-
-  fs.writeFileSync(filePath, template);
+  if (!writeNote(filePath, 'daily', { date }, getNotesDir)) return;
   console.log(success(`\n${icons.check} Daily note created successfully!`));
   console.log(dim(`   Location: ${filePath}\n`));
 
@@ -98,53 +105,7 @@ function createMeetingNote(getNotesDir, title, autoEdit = true) {
     return;
   }
 
-  const template = `---
-date: ${date}
-type: meeting
-title: "${title}"
-participants: []
-tags: []
-related_tasks: []
----
-
-# Meeting: ${title}
-
-**Date:** ${date}
-**Time:** ${time}
-**Participants:**
-**Duration:**
-
-## Agenda
-
-1.
-2.
-
-## Discussion
-
-### Topic 1
-
--
-
-### Topic 2
-
--
-
-## Decisions Made
-
--
-
-## Action Items
-
-- [ ] Action 1 - @assignee
-- [ ] Action 2 - @assignee
-
-## Next Meeting
-
-**Date:**
-**Topics:**
-`;
-
-  fs.writeFileSync(filePath, template);
+  if (!writeNote(filePath, 'meeting', { date, time, title }, getNotesDir)) return;
   console.log(success(`\n${icons.check} Meeting note created successfully!`));
   console.log(info(`${icons.note} ${title}`));
   console.log(dim(`   Location: ${filePath}\n`));
@@ -183,61 +144,9 @@ function createTechnicalNote(getNotesDir, title, autoEdit = true) {
   const fileName = `ADR-${adrId}-${slug}.md`;
   const filePath = path.join(technicalDir, fileName);
 
-  const template = `---
-date: ${date}
-type: technical
-title: "${title}"
-tags: []
-related_tasks: []
-status: proposed
----
-
-# ADR-${adrId}: ${title}
-
-## Context
-
-[What is the issue we're seeing that is motivating this decision or change?]
-
-## Decision
-
-[What is the change we're proposing and/or doing?]
-
-## Consequences
-
-### Positive
-
--
-
-### Negative
-
--
-
-### Neutral
-
--
-
-## Alternatives Considered
-
-### Alternative 1
-
-- Pros:
-- Cons:
-
-### Alternative 2
-
-- Pros:
-- Cons:
-
-## Implementation Notes
-
-[How will this be implemented?]
-
-## References
-
--
-`;
-
-  fs.writeFileSync(filePath, template);
+  if (!writeNote(filePath, 'technical', { date, title, id: `ADR-${adrId}` }, getNotesDir)) {
+    return;
+  }
   console.log(success(`\n${icons.check} Technical decision (ADR) created successfully!`));
   console.log(info(`${icons.note} ADR-${adrId}: ${title}`));
   console.log(dim(`   Location: ${filePath}\n`));
@@ -262,47 +171,7 @@ function createLearningNote(getNotesDir, title, autoEdit = true) {
   const fileName = `${date}-${slug}.md`;
   const filePath = path.join(getNotesDir(), 'learning', fileName);
 
-  const template = `---
-date: ${date}
-type: learning
-title: "${title}"
-tags: []
-source: ""
----
-
-# TIL: ${title}
-
-## What I learned
-
-[Brief description of what you learned]
-
-## Context
-
-[Why is this important? When did you learn this?]
-
-## Details
-
-[Technical details, code snippets, examples]
-
-\`\`\`language
-// code example
-\`\`\`
-
-## Resources
-
-- [Link to documentation]
-- [Link to article]
-
-## Related Topics
-
--
-
-## Future Application
-
-[How might you use this in the future?]
-`;
-
-  fs.writeFileSync(filePath, template);
+  if (!writeNote(filePath, 'learning', { date, title }, getNotesDir)) return;
   console.log(success(`\n${icons.check} Learning note (TIL) created successfully!`));
   console.log(info(`${icons.note} ${title}`));
   console.log(dim(`   Location: ${filePath}\n`));
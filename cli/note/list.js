@@ -51,9 +51,7 @@ function listNotes(getNotesDir, type = null) {
         files.forEach((file) => {
           const filePath = path.join(dirPath, file);
           const content = fs.readFileSync(filePath, 'utf8');
-          const { frontmatter } = parseFrontmatter(content);
-          /** @type {any} */
-          const meta = frontmatter;
+          const meta = parseFrontmatter(content);
           const title = meta.title || file;
           const date = meta.date || '';
 
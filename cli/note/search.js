@@ -6,21 +6,43 @@
 const fs = require('fs');
 const path = require('path');
 const { bold, dim, colorize, icons } = require('../utils/colors');
-const { formatDate } = require('../utils/date');
-const { parseFrontmatter } = require('../utils/format');
+const { formatDate, getCurrentDate } = require('../utils/date');
+const { parseFrontmatter, splitFrontmatter } = require('../utils/format');
+const {
+  parseSearchTerms,
+  scoreDocument,
+  recencyBoost,
+  findSnippet,
+  highlightMatches,
+} = require('../utils/search');
+
+const NOTE_TYPES = ['daily', 'meetings', 'technical', 'learning'];
 
 /**
- * Search notes by term across all types
+ * @typedef {Object} NoteSearchResult
+ * @property {string} file - Note file name
+ * @property {string} type - Note type (daily, meetings, technical, learning)
+ * @property {string} title - Note title
+ * @property {string} date - Note date (YYYY-MM-DD, or '' if unknown)
+ * @property {string} path - Note file path
+ * @property {number} score - Relevance (higher is better)
+ * @property {import('../utils/search').Snippet|null} snippet - Best matching line of the note body
+ */
+
+/**
+ * Find and rank notes matching search terms (without printing)
+ * Title matches rank above body matches, then recent notes first.
  * @param {() => string} getNotesDir - Function to get notes directory
- * @param {string} searchTerm - Search term to find in note titles and content
- * @returns {void}
+ * @param {import('../utils/search').SearchTerm[]} terms - Search terms (see parseSearchTerms)
+ * @returns {NoteSearchResult[]} Matching notes, best match first
  */
-function searchNotes(getNotesDir, searchTerm) {
-  const types = ['daily', 'meetings', 'technical', 'learning'];
-  /** @type {Array<{file: string, type: string, title: string, date: string, path: string}>} */
+function findNotes(getNotesDir, terms) {
+  const today = getCurrentDate();
+  const snippetTerms = terms.filter((t) => t.scope === 'any' && !t.negated).map((t) => t.text);
+  /** @type {NoteSearchResult[]} */
   const results = [];
 
-  types.forEach((noteType) => {
+  NOTE_TYPES.forEach((noteType) => {
     const dirPath = path.join(getNotesDir(), noteType);
     if (fs.existsSync(dirPath)) {
       const files = fs
@@ -30,27 +52,49 @@ function searchNotes(getNotesDir, searchTerm) {
       files.forEach((file) => {
         const filePath = path.join(dirPath, file);
         const content = fs.readFileSync(filePath, 'utf8');
-        const { frontmatter } = parseFrontmatter(content);
-        /** @type {any} */
-        const meta = frontmatter;
-
-        const searchContent = `${meta.title || ''} ${content}`.toLowerCase();
-        if (searchContent.includes(searchTerm.toLowerCase())) {
-          results.push({
-            file,
-            type: noteType,
-            title: meta.title || file,
-            date: meta.date || '',
-            path: filePath,
-          });
-        }
+        const meta = parseFrontmatter(content);
+        const title = String(meta.title || file.replace(/\.md$/, ''));
+        const date = String(meta.date || '');
+        const { frontmatter, body } = splitFrontmatter(content);
+
+        const score = scoreDocument({ title, body }, terms);
+        if (score === null) return;
+
+        results.push({
+          file,
+          type: noteType,
+          title,
+          date,
+          path: filePath,
+          score: score + recencyBoost(date || fs.statSync(filePath).mtime.toISOString(), today),
+          snippet: findSnippet(body, snippetTerms, {
+            firstLine: frontmatter.split('\n').length,
+            skip: (line) => line.startsWith('# '),
+          }),
+        });
       });
     }
   });
 
+  return results.sort(
+    (a, b) => b.score - a.score || b.date.localeCompare(a.date) || a.file.localeCompare(b.file)
+  );
+}
+
+/**
+ * Search notes by term across all types
+ * @param {() => string} getNotesDir - Function to get notes directory
+ * @param {string} searchTerm - Search term to find in note titles and content
+ * @returns {NoteSearchResult[]} Matching notes, best match first
+ */
+function searchNotes(getNotesDir, searchTerm) {
+  const terms = parseSearchTerms(searchTerm);
+  const words = terms.filter((t) => !t.negated).map((t) => t.text);
+  const results = findNotes(getNotesDir, terms);
+
   if (results.length === 0) {
     console.log(dim(`\n${icons.info} No notes found matching "${searchTerm}"\n`));
-    return;
+    return results;
   }
 
   console.log(bold(`\n${icons.note} Search Results (${results.length})\n`));
@@ -65,17 +109,25 @@ function searchNotes(getNotesDir, searchTerm) {
       learning: 'green',
     };
 
-    console.log(`${icons.bullet} ${bold(String(note.title))}`);
+    console.log(`${icons.bullet} ${bold(highlightMatches(note.title, words))}`);
     console.log(
       dim(
         `  Type: ${colorize(note.type, /** @type {'blue'|'yellow'|'magenta'|'green'} */ (typeColors[note.type]))} | Date: ${formatDate(String(note.date))} | ${note.file}`
       )
     );
+    if (note.snippet) {
+      console.log(
+        `  ${dim(`${note.snippet.line}:`)} ${highlightMatches(note.snippet.text, words)}`
+      );
+    }
   });
 
   console.log('');
+  return results;
 }
 
 module.exports = {
+  NOTE_TYPES,
+  findNotes,
   searchNotes,
 };
@@ -0,0 +1,485 @@
+/**
+ * Frontmatter schemas for tasks and notes
+ *
+ * Each kind of document (a task, or a daily, meeting, technical or learning
+ * note) has a schema: the fields it may have, their types and which ones are
+ * required. Workspaces can declare extra fields under the "fields" key of
+ * their configuration:
+ *
+ *   "fields": {
+ *     "task": { "component": { "type": "enum", "values": ["api", "ui"], "required": true, "default": "api" } },
+ *     "meeting": { "location": { "type": "string" } }
+ *   }
+ *
+ * Field types: string, number, enum (with "values"), date (YYYY-MM-DD),
+ * list and duration (e.g. 2h 30m). New tasks and notes get the "default" of
+ * declared fields.
+ *
+ * @module schema
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  error,
+  warning,
+  success,
+  dim,
+  bold,
+  icons,
+  isValidDate,
+  parseTime,
+  parseFrontmatter,
+  splitFrontmatter,
+  updateFrontmatter,
+  getFrontmatterLine,
+} = require('../utils');
+const { getWorkspaceConfig } = require('../config');
+const { getWorkflow } = require('../task/workflow');
+const { parseRecurrence } = require('../task/recurrence');
+const { NOTE_TYPES } = require('../note/search');
+
+/** Valid task priorities */
+const PRIORITIES = ['low', 'medium', 'high'];
+
+/** Field types that can be declared in configuration */
+const FIELD_TYPES = ['string', 'number', 'enum', 'date', 'list', 'duration'];
+
+/** Kinds of documents, with the notes directory each note kind lives in */
+const NOTE_KINDS = /** @type {Record<string, DocumentKind>} */ ({
+  daily: 'daily',
+  meetings: 'meeting',
+  technical: 'technical',
+  learning: 'learning',
+});
+
+const FIELD_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+const TASK_ID_PATTERN = /^TASK-\d+$/;
+
+/**
+ * @typedef {import('../utils/yaml').YamlValue} YamlValue
+ * @typedef {'task'|'daily'|'meeting'|'technical'|'learning'} DocumentKind
+ */
+
+/**
+ * @typedef {Object} FieldDefinition
+ * @property {'string'|'number'|'enum'|'date'|'list'|'duration'} type - Value type
+ * @property {boolean} [required] - Whether the field must be present (lists may be empty)
+ * @property {string[]} [values] - Allowed values (enum fields)
+ * @property {YamlValue} [default] - Value given to new documents
+ * @property {(value: string) => boolean} [check] - Extra check of built-in fields
+ * @property {string} [hint] - Expected format, shown when `check` fails
+ * @property {boolean} [custom] - Declared in configuration
+ */
+
+/**
+ * @typedef {Record<string, FieldDefinition>} Schema
+ */
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {string} field - Field name
+ * @property {string} message - What is wrong
+ * @property {'error'|'warning'} severity - Errors break the schema; warnings flag undeclared fields
+ */
+
+/**
+ * @typedef {SchemaIssue & {file: string, line: number|null}} LintResult
+ */
+
+/** @type {Schema} */
+const TASK_FIELDS = {
+  id: { type: 'string', required: true, check: (v) => TASK_ID_PATTERN.test(v), hint: 'TASK-001' },
+  title: { type: 'string', required: true },
+  status: { type: 'enum', required: true, values: [] },
+  priority: { type: 'enum', required: true, values: PRIORITIES },
+  created: { type: 'date', required: true },
+  updated: { type: 'date', required: true },
+  assignee: { type: 'string' },
+  tags: { type: 'list' },
+  estimated: { type: 'duration' },
+  actual: { type: 'duration' },
+  due: { type: 'date' },
+  completedAt: { type: 'date' },
+  recurrence: {
+    type: 'string',
+    check: (v) => parseRecurrence(v) !== null,
+    hint: 'daily, weekly[:mon,thu] or monthly[:15]',
+  },
+  parent: { type: 'string', check: (v) => TASK_ID_PATTERN.test(v), hint: 'TASK-001' },
+  next: { type: 'string', check: (v) => TASK_ID_PATTERN.test(v), hint: 'TASK-001' },
+  depends_on: { type: 'list' },
+};
+
+/** @type {Schema} */
+const NOTE_FIELDS = {
+  date: { type: 'date', required: true },
+  type: { type: 'enum', required: true, values: [] },
+  title: { type: 'string', required: true },
+  tags: { type: 'list' },
+};
+
+/** @type {Record<DocumentKind, Schema>} */
+const BUILTIN_FIELDS = {
+  task: TASK_FIELDS,
+  daily: { ...NOTE_FIELDS, related_tasks: { type: 'list' } },
+  meeting: {
+    ...NOTE_FIELDS,
+    participants: { type: 'list', required: true },
+    related_tasks: { type: 'list' },
+  },
+  technical: { ...NOTE_FIELDS, related_tasks: { type: 'list' }, status: { type: 'string' } },
+  learning: { ...NOTE_FIELDS, source: { type: 'string' } },
+};
+
+/**
+ * Check a value against a field definition
+ * @param {YamlValue} value - Field value (not missing)
+ * @param {FieldDefinition} definition - Field definition
+ * @returns {string|null} What is wrong, or null if the value is valid
+ */
+function checkValue(value, definition) {
+  if (definition.type === 'list') {
+    const items = Array.isArray(value) ? value : [value];
+    return items.every((item) => typeof item === 'string') ? null : 'must be a list of values';
+  }
+  if (typeof value !== 'string') return 'must be a single value';
+
+  switch (definition.type) {
+    case 'number':
+      if (!/^-?\d+(\.\d+)?$/.test(value)) return `must be a number (got "${value}")`;
+      break;
+    case 'enum': {
+      const values = definition.values || [];
+      if (!values.includes(value)) return `must be one of ${values.join(', ')} (got "${value}")`;
+      break;
+    }
+    case 'date':
+      if (!isValidDate(value)) return `must be a date as YYYY-MM-DD (got "${value}")`;
+      break;
+    case 'duration':
+      if (parseTime(value) === null) return `must be a duration like 2h or 1h 30m (got "${value}")`;
+      break;
+  }
+  if (definition.check && !definition.check(value)) {
+    return `must look like ${definition.hint} (got "${value}")`;
+  }
+  return null;
+}
+
+/**
+ * Validate the field declarations of a workspace configuration
+ * @param {any} raw - fields object from configuration (may be undefined)
+ * @param {string|null} [source] - Configuration file path (for error messages)
+ * @returns {Record<DocumentKind, Schema>} Declared fields by document kind
+ * @throws {Error} If the configuration is invalid
+ */
+function normalizeFieldConfig(raw, source = null) {
+  /** @type {Record<DocumentKind, Schema>} */
+  const result = { task: {}, daily: {}, meeting: {}, technical: {}, learning: {} };
+  if (raw === undefined || raw === null) return result;
+
+  /** @param {string} message */
+  const fail = (message) => {
+    return new Error(`Invalid fields${source ? ` in ${source}` : ''}: ${message}`);
+  };
+  /** @param {unknown} value */
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+  if (!isObject(raw)) throw fail('"fields" must be an object');
+
+  Object.entries(raw).forEach(([kind, fields]) => {
+    if (!(kind in result)) {
+      throw fail(`unknown kind "${kind}" (use ${Object.keys(result).join(', ')})`);
+    }
+    if (!isObject(fields)) throw fail(`"${kind}" must map field names to definitions`);
+
+    Object.entries(fields).forEach(([name, def]) => {
+      const key = `${kind}.${name}`;
+      if (!FIELD_NAME_PATTERN.test(name)) {
+        throw fail(`"${key}" must use letters, digits, "-" or "_"`);
+      }
+      if (name in BUILTIN_FIELDS[/** @type {DocumentKind} */ (kind)]) {
+        throw fail(`"${key}" is a built-in field`);
+      }
+      if (!isObject(def) || !FIELD_TYPES.includes(def.type)) {
+        throw fail(`"${key}.type" must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+
+      /** @type {FieldDefinition} */
+      const definition = { type: def.type, required: def.required === true, custom: true };
+      if (def.type === 'enum') {
+        if (
+          !Array.isArray(def.values) ||
+          def.values.length === 0 ||
+          !def.values.every((/** @type {unknown} */ v) => typeof v === 'string')
+        ) {
+          throw fail(`"${key}.values" must be a non-empty list of strings`);
+        }
+        definition.values = def.values;
+      }
+      if (def.default !== undefined) {
+        const value = def.type === 'number' ? String(def.default) : def.default;
+        const problem = checkValue(value, definition);
+        if (problem) throw fail(`"${key}.default" ${problem}`);
+        definition.default = value;
+      }
+      result[/** @type {DocumentKind} */ (kind)][name] = definition;
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Get the schema of a kind of document
+ * @param {DocumentKind} kind - Document kind
+ * @param {() => string} getDir - Function to get the tasks (for tasks) or notes directory
+ * @returns {Schema} Built-in and declared fields
+ * @throws {Error} If the configured fields are invalid
+ */
+function getSchema(kind, getDir) {
+  /** @type {Schema} */
+  const schema = { ...BUILTIN_FIELDS[kind], ...getCustomFields(kind, getDir) };
+  if (kind === 'task') {
+    schema.status = { ...schema.status, values: getWorkflow(getDir).states };
+  } else {
+    schema.type = { ...schema.type, values: [kind] };
+  }
+  return schema;
+}
+
+/**
+ * Get the fields declared in configuration for a kind of document
+ * @param {DocumentKind} kind - Document kind
+ * @param {() => string} getDir - Function to get the tasks (for tasks) or notes directory
+ * @returns {Schema} Declared fields, in declaration order
+ * @throws {Error} If the configured fields are invalid
+ */
+function getCustomFields(kind, getDir) {
+  const { config, path: configPath } = getWorkspaceConfig(getDir());
+  return normalizeFieldConfig(config.fields, configPath)[kind];
+}
+
+/**
+ * Check whether a field is not one of the built-in fields of a kind of document
+ * @param {DocumentKind} kind - Document kind
+ * @param {string} field - Field name
+ * @returns {boolean} True if the field is not built in
+ */
+function isCustomField(kind, field) {
+  return !(field in BUILTIN_FIELDS[kind]);
+}
+
+/**
+ * Convert a value given on the command line to a frontmatter value
+ * List fields take comma-separated values; other values are trimmed.
+ * @param {string} value - Value as typed
+ * @param {FieldDefinition} definition - Field definition
+ * @returns {YamlValue} Frontmatter value
+ */
+function parseFieldValue(value, definition) {
+  if (definition.type === 'list') {
+    return value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate frontmatter against a schema
+ * Required lists must be present but may be empty; other required fields
+ * must have a value. Fields the schema does not know are warnings.
+ * @param {Record<string, YamlValue>} meta - Parsed frontmatter
+ * @param {Schema} schema - Schema
+ * @param {DocumentKind} kind - Document kind (for messages)
+ * @returns {SchemaIssue[]} Problems, in schema order
+ */
+function validateFrontmatter(meta, schema, kind) {
+  /** @type {SchemaIssue[]} */
+  const issues = [];
+
+  Object.entries(schema).forEach(([field, definition]) => {
+    const value = meta[field];
+    if (value === undefined || (value === '' && definition.type !== 'list')) {
+      if (definition.required) {
+        issues.push({ field, message: `Missing required field "${field}"`, severity: 'error' });
+      }
+      return;
+    }
+    const problem = checkValue(value, definition);
+    if (problem) issues.push({ field, message: `"${field}" ${problem}`, severity: 'error' });
+  });
+
+  Object.keys(meta)
+    .filter((field) => !(field in schema))
+    .forEach((field) => {
+      issues.push({
+        field,
+        message: `Unknown field "${field}" (declare it under "fields.${kind}" in the config)`,
+        severity: 'warning',
+      });
+    });
+
+  return issues;
+}
+
+/**
+ * Prepare the content of a new task or note
+ * Declared fields with a default are added when missing, then the
+ * frontmatter is validated.
+ * @param {string} content - File content
+ * @param {DocumentKind} kind - Document kind
+ * @param {() => string} getDir - Function to get the tasks (for tasks) or notes directory
+ * @returns {{content: string, errors: SchemaIssue[]}} Content with defaults and schema errors
+ */
+function applySchema(content, kind, getDir) {
+  const schema = getSchema(kind, getDir);
+  const meta = parseFrontmatter(content);
+  Object.entries(schema).forEach(([field, definition]) => {
+    if (definition.default !== undefined && meta[field] === undefined) {
+      content = updateFrontmatter(content, field, definition.default);
+    }
+  });
+
+  const errors = validateFrontmatter(parseFrontmatter(content), schema, kind).filter(
+    (issue) => issue.severity === 'error'
+  );
+  return { content, errors };
+}
+
+/**
+ * Print schema errors that stop a task or note from being saved
+ * @param {string} what - What was being saved (e.g. "Task")
+ * @param {SchemaIssue[]} errors - Schema errors
+ */
+function printSchemaErrors(what, errors) {
+  console.log(error(`\n${icons.cross} ${what} does not match the schema:`));
+  errors.forEach((issue) => console.log(error(`   ${issue.message}`)));
+  console.log('');
+}
+
+/**
+ * Lint one file
+ * @param {string} filePath - File path
+ * @param {DocumentKind} kind - Document kind
+ * @param {Schema} schema - Schema
+ * @returns {LintResult[]} Problems found
+ */
+function lintFile(filePath, kind, schema) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (!splitFrontmatter(content).frontmatter) {
+    return [
+      { file: filePath, line: 1, field: '', message: 'Missing frontmatter', severity: 'error' },
+    ];
+  }
+  return validateFrontmatter(parseFrontmatter(content), schema, kind).map((issue) => ({
+    ...issue,
+    file: filePath,
+    line: getFrontmatterLine(content, issue.field),
+  }));
+}
+
+/**
+ * Check every task file against the task schema
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {{checked: number, results: LintResult[]}} Number of files checked and problems found
+ * @throws {Error} If the configured fields are invalid
+ */
+function lintTasks(getTasksDir) {
+  const schema = getSchema('task', getTasksDir);
+  /** @type {LintResult[]} */
+  const results = [];
+  let checked = 0;
+
+  getWorkflow(getTasksDir).states.forEach((status) => {
+    const dirPath = path.join(getTasksDir(), status);
+    if (!fs.existsSync(dirPath)) return;
+    fs.readdirSync(dirPath)
+      .filter((file) => /^TASK-\d+.*\.md$/.test(file))
+      .sort()
+      .forEach((file) => {
+        checked++;
+        results.push(...lintFile(path.join(dirPath, file), 'task', schema));
+      });
+  });
+
+  return { checked, results };
+}
+
+/**
+ * Check every note against the schema of its type
+ * @param {() => string} getNotesDir - Function to get notes directory
+ * @returns {{checked: number, results: LintResult[]}} Number of files checked and problems found
+ * @throws {Error} If the configured fields are invalid
+ */
+function lintNotes(getNotesDir) {
+  /** @type {LintResult[]} */
+  const results = [];
+  let checked = 0;
+
+  NOTE_TYPES.forEach((noteType) => {
+    const dirPath = path.join(getNotesDir(), noteType);
+    if (!fs.existsSync(dirPath)) return;
+    const kind = NOTE_KINDS[noteType];
+    const schema = getSchema(kind, getNotesDir);
+    fs.readdirSync(dirPath)
+      .filter((file) => file.endsWith('.md') && !file.includes('template'))
+      .sort()
+      .forEach((file) => {
+        checked++;
+        results.push(...lintFile(path.join(dirPath, file), kind, schema));
+      });
+  });
+
+  return { checked, results };
+}
+
+/**
+ * Print lint results
+ * @param {{checked: number, results: LintResult[]}} report - Lint report
+ * @param {string} baseDir - Directory file paths are shown relative to
+ * @param {string} what - What was checked (e.g. "task", "note")
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.strict=false] - Treat warnings as errors
+ * @returns {boolean} True if the check passed
+ */
+function printLintResults(report, baseDir, what, options = {}) {
+  const { checked, results } = report;
+  const errors = results.filter((r) => r.severity === 'error').length;
+  const warnings = results.length - errors;
+
+  console.log(bold(`\n${icons.info} Checked ${checked} ${what} file(s)\n`));
+  if (results.length === 0) {
+    console.log(success(`${icons.check} All ${what} files match the schema\n`));
+    return true;
+  }
+
+  results.forEach((result) => {
+    const where = `${path.relative(baseDir, result.file)}${result.line ? `:${result.line}` : ''}`;
+    const icon = result.severity === 'error' ? error(icons.error) : warning(icons.warning);
+    console.log(`${icon} ${bold(where)} ${result.message}`);
+  });
+
+  console.log('');
+  console.log(dim(`${errors} error(s), ${warnings} warning(s)\n`));
+  return errors === 0 && (!options.strict || warnings === 0);
+}
+
+module.exports = {
+  PRIORITIES,
+  FIELD_TYPES,
+  normalizeFieldConfig,
+  getSchema,
+  getCustomFields,
+  isCustomField,
+  parseFieldValue,
+  validateFrontmatter,
+  applySchema,
+  printSchemaErrors,
+  lintTasks,
+  lintNotes,
+  printLintResults,
+};
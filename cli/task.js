@@ -20,10 +20,14 @@ module.exports = {
   createTask: task.createTask,
   moveTask: task.moveTask,
   updateTask: task.updateTask,
+  renameTask: task.renameTask,
+  fixFileNames: task.fixFileNames,
   archiveOldTasks: task.archiveOldTasks,
 
   // List operations
   listTasks: task.listTasks,
+  filterTasks: task.filterTasks,
+  sortTasks: task.sortTasks,
   viewTask: task.viewTask,
   searchTasks: task.searchTasks,
   getAllTasks: task.getAllTasks,
@@ -39,6 +43,73 @@ module.exports = {
   generateStandup: task.generateStandup,
   printStandup: task.printStandup,
   getWeeklySummary: task.getWeeklySummary,
+
+  // Dependency operations
+  addDependency: task.addDependency,
+  removeDependency: task.removeDependency,
+  getUnfinishedDependencies: task.getUnfinishedDependencies,
+  getBlockedTasks: task.getBlockedTasks,
+
+  // Agenda operations
+  getAgenda: task.getAgenda,
+  printAgenda: task.printAgenda,
+
+  // Board
+  getBoard: task.getBoard,
+  printBoard: task.printBoard,
+
+  // WIP limits
+  getWipLimits: task.getWipLimits,
+  getWipStatus: task.getWipStatus,
+
+  // Workspace checks
+  checkWorkspace: task.checkWorkspace,
+  runDoctor: task.runDoctor,
+
+  // Workflow
+  getWorkflow: task.getWorkflow,
+  canTransition: task.canTransition,
+
+  // History
+  parseHistory: task.parseHistory,
+  showHistory: task.showHistory,
+
+  // Time tracking
+  getRunningTimer: task.getRunningTimer,
+  getSessions: task.getSessions,
+  startTimer: task.startTimer,
+  stopTimer: task.stopTimer,
+  printTimerStatus: task.printTimerStatus,
+  getTimesheet: task.getTimesheet,
+  generateTimesheet: task.generateTimesheet,
+
+  // Trash
+  getTrash: task.getTrash,
+  deleteTask: task.deleteTask,
+  restoreTask: task.restoreTask,
+  emptyTrash: task.emptyTrash,
+  printTrash: task.printTrash,
+
+  // Bulk operations
+  isTaskSpec: task.isTaskSpec,
+  selectTasks: task.selectTasks,
+  applyToTasks: task.applyToTasks,
+
+  // Query language
+  parseQuery: task.parseQuery,
+  createQueryFilter: task.createQueryFilter,
+
+  // Saved views
+  getViews: task.getViews,
+  getView: task.getView,
+  saveView: task.saveView,
+  deleteView: task.deleteView,
+  printViews: task.printViews,
+
+  // Output formats
+  formatTasks: task.formatTasks,
+  formatTask: task.formatTask,
+  formatStats: task.formatStats,
 };
 
 // Run CLI if called directly
@@ -0,0 +1,122 @@
+/**
+ * Task agenda - open tasks grouped by due date
+ * @module task/agenda
+ */
+
+const {
+  bold,
+  dim,
+  icons,
+  colorize,
+  getPriorityColor,
+  getStatusColor,
+  getDueBucket,
+} = require('../utils');
+const { getAllTasks } = require('./list');
+const { getWorkflow, getOpenStates } = require('./workflow');
+
+/**
+ * @typedef {Object} AgendaItem
+ * @property {string} id - Task ID
+ * @property {string} title - Task title
+ * @property {string} status - Task status
+ * @property {string} priority - Task priority
+ * @property {string} assignee - Person assigned
+ * @property {string} due - Due date (YYYY-MM-DD)
+ */
+
+/**
+ * @typedef {Object} Agenda
+ * @property {AgendaItem[]} overdue - Due before today
+ * @property {AgendaItem[]} today - Due today
+ * @property {AgendaItem[]} week - Due later this week
+ * @property {AgendaItem[]} later - Due after this week
+ */
+
+/** Section titles and colors, in display order */
+const SECTIONS = /** @type {const} */ ([
+  ['overdue', 'Overdue', 'red'],
+  ['today', 'Today', 'yellow'],
+  ['week', 'This Week', 'cyan'],
+  ['later', 'Later', 'blue'],
+]);
+
+/**
+ * Group open tasks with a due date into agenda buckets
+ * Tasks in a done state of the workflow are left out.
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Agenda} Tasks grouped by due date, each group sorted by due date
+ */
+function getAgenda(getTasksDir) {
+  /** @type {Agenda} */
+  const agenda = { overdue: [], today: [], week: [], later: [] };
+
+  getAllTasks(getTasksDir, getOpenStates(getWorkflow(getTasksDir))).forEach((task) => {
+    const bucket = getDueBucket(task.due);
+    if (!bucket || !task.due) return;
+
+    agenda[bucket].push({
+      id: task.id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      assignee: task.assignee,
+      due: task.due,
+    });
+  });
+
+  Object.values(agenda).forEach((items) => {
+    items.sort((a, b) => a.due.localeCompare(b.due) || a.id.localeCompare(b.id));
+  });
+
+  return agenda;
+}
+
+/**
+ * Print the agenda to console
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Agenda} The agenda that was printed
+ */
+function printAgenda(getTasksDir) {
+  const agenda = getAgenda(getTasksDir);
+  const total = SECTIONS.reduce((sum, [key]) => sum + agenda[key].length, 0);
+
+  if (total === 0) {
+    console.log(dim(`\n${icons.info} No open tasks with a due date\n`));
+    return agenda;
+  }
+
+  console.log(bold(`\n${icons.calendar} Agenda\n`));
+
+  SECTIONS.forEach(([key, title, color]) => {
+    const items = agenda[key];
+    if (items.length === 0) return;
+
+    console.log(colorize(`\n> ${title.toUpperCase()} (${items.length})`, color));
+
+    items.forEach((task) => {
+      const priorityBadge = colorize(
+        `[${task.priority}]`,
+        /** @type {keyof typeof import('../utils').colors} */ (getPriorityColor(task.priority))
+      );
+      const statusBadge = colorize(
+        task.status,
+        /** @type {keyof typeof import('../utils').colors} */ (getStatusColor(task.status))
+      );
+      const assigneeBadge = task.assignee ? dim(`@${task.assignee}`) : '';
+
+      console.log(
+        `  ${icons.bullet} ${bold(task.id)}: ${task.title} ${priorityBadge} ${assigneeBadge}`
+      );
+      console.log(dim(`    Due: ${task.due} | Status: `) + statusBadge);
+    });
+  });
+
+  console.log('');
+  return agenda;
+}
+
+module.exports = {
+  getAgenda,
+  printAgenda,
+};
@@ -0,0 +1,139 @@
+/**
+ * Kanban board - tasks as side-by-side columns, one per workflow state
+ * @module task/board
+ */
+
+const {
+  bold,
+  dim,
+  icons,
+  colorize,
+  getPriorityColor,
+  getStatusColor,
+  truncate,
+} = require('../utils');
+const { getAllTasks, sortTasks } = require('./list');
+const { getWorkflow, getVisibleStates } = require('./workflow');
+
+/**
+ * @typedef {import('./list').TaskSummary} TaskSummary
+ * @typedef {keyof typeof import('../utils').colors} ColorName
+ */
+
+/**
+ * @typedef {Object} BoardColumn
+ * @property {string} state - Workflow state
+ * @property {TaskSummary[]} tasks - Tasks in the state, highest priority first
+ */
+
+/**
+ * @typedef {Object} BoardOptions
+ * @property {number} [width] - Total width in characters (default: terminal width or 80)
+ * @property {boolean} [compact] - Only show task IDs
+ * @property {boolean} [all] - Include hidden states (e.g. archived)
+ */
+
+const DEFAULT_WIDTH = 80;
+const COLUMN_SEPARATOR = ' | ';
+/** Columns narrower than this switch the board to compact mode */
+const MIN_COLUMN_WIDTH = 16;
+
+/**
+ * Get the board columns
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {boolean} [all=false] - Include hidden states
+ * @returns {BoardColumn[]} One column per state, in workflow order
+ */
+function getBoard(getTasksDir, all = false) {
+  const workflow = getWorkflow(getTasksDir);
+  const states = all ? workflow.states : getVisibleStates(workflow);
+  const tasks = getAllTasks(getTasksDir, states);
+
+  return states.map((state) => ({
+    state,
+    tasks: sortTasks(
+      tasks.filter((t) => t.status === state),
+      'priority'
+    ),
+  }));
+}
+
+/**
+ * Fit plain text into a cell and color it
+ * Padding is added before coloring so ANSI codes do not count as width.
+ * @param {string} text - Cell text
+ * @param {number} width - Cell width
+ * @param {(text: string) => string} [style] - Styling applied to the text
+ * @returns {string} Cell of exactly `width` visible characters
+ */
+function cell(text, width, style = (t) => t) {
+  const fitted = width < 4 ? text.slice(0, width) : truncate(text, width);
+  return style(fitted) + ' '.repeat(width - fitted.length);
+}
+
+/**
+ * Print the board to console
+ * Columns share the terminal width; titles are truncated to fit. When columns
+ * get too narrow for titles, only task IDs are shown.
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {BoardOptions} [options] - Width and display options
+ * @returns {BoardColumn[]} The columns that were printed
+ */
+function printBoard(getTasksDir, options = {}) {
+  const columns = getBoard(getTasksDir, options.all);
+  const total = columns.reduce((sum, c) => sum + c.tasks.length, 0);
+
+  if (total === 0) {
+    console.log(dim(`\n${icons.info} No tasks to show\n`));
+    return columns;
+  }
+
+  const width = options.width || process.stdout.columns || DEFAULT_WIDTH;
+  const columnWidth = Math.max(
+    1,
+    Math.floor((width - COLUMN_SEPARATOR.length * (columns.length - 1)) / columns.length)
+  );
+  const compact = options.compact || columnWidth < MIN_COLUMN_WIDTH;
+  const rows = Math.max(...columns.map((c) => c.tasks.length));
+
+  /** @param {string[]} cells */
+  const line = (cells) => cells.join(dim(COLUMN_SEPARATOR)).trimEnd();
+
+  console.log(bold(`\n${icons.task} Board (${total})\n`));
+  console.log(
+    line(
+      columns.map((c) => {
+        // Shorten the state name rather than the count
+        const count = ` (${c.tasks.length})`;
+        const name = c.state.toUpperCase().slice(0, Math.max(1, columnWidth - count.length));
+        return cell(`${name}${count}`, columnWidth, (t) =>
+          colorize(t, /** @type {ColorName} */ (getStatusColor(c.state)))
+        );
+      })
+    )
+  );
+  console.log(line(columns.map(() => dim('-'.repeat(columnWidth)))));
+
+  for (let row = 0; row < rows; row++) {
+    const cells = columns.map(({ tasks }) => {
+      const task = tasks[row];
+      if (!task) return ' '.repeat(columnWidth);
+
+      const color = /** @type {ColorName} */ (getPriorityColor(task.priority));
+      if (compact) return cell(task.id, columnWidth, (t) => colorize(t, color));
+
+      const text = cell(`${task.id} ${task.title}`, columnWidth);
+      const idLength = Math.min(task.id.length, text.length);
+      return colorize(text.slice(0, idLength), color) + text.slice(idLength);
+    });
+    console.log(line(cells));
+  }
+
+  console.log('');
+  return columns;
+}
+
+module.exports = {
+  getBoard,
+  printBoard,
+};
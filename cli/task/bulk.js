@@ -0,0 +1,146 @@
+/**
+ * Task selection for bulk operations
+ *
+ * Commands like start, complete, archive, update and delete accept several
+ * task specs at once:
+ *
+ *   TASK-004 TASK-007          explicit IDs
+ *   TASK-010..TASK-020         ID range (only existing tasks)
+ *   --filter "status:completed tag:sprint-12"   query (see task/query)
+ *
+ * @module task/bulk
+ */
+
+const { success, error, warning, dim, bold, icons } = require('../utils');
+const { normalizeTaskId } = require('./crud');
+const { getAllTasks } = require('./list');
+const { createQueryFilter } = require('./query');
+const { getCustomFields } = require('../schema');
+
+const ID_PATTERN = /^(?:TASK-)?\d+$/i;
+const RANGE_PATTERN = /^((?:TASK-)?\d+)\.\.((?:TASK-)?\d+)$/i;
+
+/**
+ * @typedef {import('./list').TaskSummary} TaskSummary
+ */
+
+/**
+ * Check whether an argument is a task ID or ID range
+ * @param {string} arg - Command argument
+ * @returns {boolean} True for "TASK-001", "001" and "TASK-010..TASK-020"
+ */
+function isTaskSpec(arg) {
+  return ID_PATTERN.test(arg) || RANGE_PATTERN.test(arg);
+}
+
+/**
+ * Get the number of a task ID
+ * @param {string} taskId - Task ID (format: TASK-XXX or XXX)
+ * @returns {number} Numeric part of the ID
+ */
+function idNumber(taskId) {
+  return parseInt(normalizeTaskId(taskId).replace(/^TASK-/, ''), 10);
+}
+
+/**
+ * Resolve task specs and an optional filter to a list of task IDs
+ * Explicit IDs are kept even if the task does not exist (so the operation can
+ * report it); ranges only expand to existing tasks. When both specs and a
+ * filter are given, only tasks matching both are selected.
+ * @param {string[]} specs - Task IDs and ID ranges
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {string} [filter] - Query selecting tasks (see task/query)
+ * @returns {string[]} Task IDs (TASK-XXX), without duplicates, in the given order
+ * @throws {Error} If a spec, range or filter is invalid
+ */
+function selectTasks(specs, getTasksDir, filter) {
+  const tasks = getAllTasks(getTasksDir);
+  /** @type {string[]} */
+  let ids = [];
+
+  specs.forEach((spec) => {
+    const range = spec.match(RANGE_PATTERN);
+    if (range) {
+      const [from, to] = [idNumber(range[1]), idNumber(range[2])];
+      if (from > to) throw new Error(`Invalid range "${spec}": start is after end`);
+      tasks
+        .filter((t) => idNumber(t.id) >= from && idNumber(t.id) <= to)
+        .sort((a, b) => idNumber(a.id) - idNumber(b.id))
+        .forEach((t) => ids.push(normalizeTaskId(t.id)));
+    } else if (ID_PATTERN.test(spec)) {
+      const existing = tasks.find((t) => idNumber(t.id) === idNumber(spec));
+      ids.push(normalizeTaskId(existing ? existing.id : String(idNumber(spec)).padStart(3, '0')));
+    } else {
+      throw new Error(`Invalid task ID "${spec}"`);
+    }
+  });
+
+  if (filter !== undefined) {
+    if (filter.trim() === '') throw new Error('Filter is empty');
+    const matches = tasks
+      .filter(createQueryFilter(filter, { fields: getCustomFields('task', getTasksDir) }))
+      .map((t) => normalizeTaskId(t.id));
+    ids = specs.length > 0 ? ids.filter((id) => matches.includes(id)) : matches;
+  }
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Apply an operation to several tasks
+ * With `dryRun`, only lists the tasks that would be changed.
+ * @param {string[]} ids - Task IDs
+ * @param {(taskId: string) => boolean} operation - Operation for a single task
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {Object} options - Options
+ * @param {string} options.description - What the operation does (e.g. "move to completed")
+ * @param {boolean} [options.dryRun] - Only preview the selection
+ * @returns {{done: string[], failed: string[]}} IDs that succeeded and failed (both empty on dry run)
+ */
+function applyToTasks(ids, operation, getTasksDir, options) {
+  /** @type {{done: string[], failed: string[]}} */
+  const result = { done: [], failed: [] };
+
+  if (ids.length === 0) {
+    console.log(warning(`\n${icons.warning} No tasks selected\n`));
+    return result;
+  }
+
+  if (options.dryRun) {
+    const tasks = getAllTasks(getTasksDir);
+    console.log(
+      bold(`\n${icons.info} Dry run: would ${options.description} for ${ids.length} task(s)\n`)
+    );
+    ids.forEach((id) => {
+      const found = tasks.find((t) => normalizeTaskId(t.id) === id);
+      console.log(
+        found
+          ? `  ${icons.bullet} ${bold(id)}: ${found.title} ${dim(`(${found.status})`)}`
+          : `  ${icons.bullet} ${bold(id)}: ${error('not found')}`
+      );
+    });
+    console.log(dim('\nNo files were changed\n'));
+    return result;
+  }
+
+  ids.forEach((id) => {
+    (operation(id) ? result.done : result.failed).push(id);
+  });
+
+  if (ids.length > 1) {
+    const summary = `${icons.check} ${result.done.length} of ${ids.length} task(s) succeeded (${options.description})`;
+    console.log(result.failed.length === 0 ? success(summary) : warning(summary));
+    if (result.failed.length > 0) {
+      console.log(error(`${icons.cross} Failed: ${result.failed.join(', ')}`));
+    }
+    console.log('');
+  }
+
+  return result;
+}
+
+module.exports = {
+  isTaskSpec,
+  selectTasks,
+  applyToTasks,
+};
@@ -7,9 +7,24 @@
 
 const path = require('path');
 const { spawn } = require('child_process');
-const { success, error, info, bold, icons, ensureDir, openInEditor } = require('../utils');
+const {
+  success,
+  error,
+  info,
+  bold,
+  icons,
+  ensureDir,
+  openInEditor,
+  isValidDate,
+} = require('../utils');
 const config = require('../config');
 const task = require('./index');
+const { warnUnfinishedDependencies } = require('./depend');
+const { getWorkflow, getInProgressStates, getShortcutStates } = require('./workflow');
+const { SORT_FIELDS } = require('./list');
+const { OUTPUT_FORMATS } = require('./output');
+const { printFindResults } = require('../find');
+const { lintTasks, printLintResults } = require('../schema');
 
 // ============================================================================
 // Help Text
@@ -20,16 +35,36 @@ ${bold('Task Management CLI (v3.0.0)')}
 
 ${info('Usage:')}
   task [-g] init [tasks-dir] [notes-dir]        Initialize local-work in current project
-  task [-g] create <title>                      Create new task in backlog
-  task [-g] start <id>                          Move task to active
-  task [-g] complete <id>                       Mark task as completed
-  task [-g] archive <id>                        Archive task
+  task [-g] create <title> [--parent <id>]      Create new task (or subtask) in backlog
+  task [-g] create <title> --set <key=value>    Create task with custom field values
+  task [-g] create <title> --template <name>    Create task from task-<name>-template.md
+  task [-g] start <id...>                       Move task(s) to active
+  task [-g] complete <id...> [--force]          Mark task(s) as completed
+  task [-g] archive <id...> [--force]           Archive task(s)
+  task [-g] move <id> <state> [--reason <text>] Move task to any workflow state
+  task [-g] delete <id...>                      Move task(s) to the trash
+  task [-g] restore <id>                        Restore task from the trash
+  task [-g] trash [list | empty [--older-than N]]  Show or empty the trash
   task [-g] edit <id>                           Edit task in editor
-  task [-g] update <id> <field> <value>         Update task field
-  task [-g] list [dir]                          List tasks in directory
+  task [-g] update <id...> <field> <value>      Update task field
+  task [-g] rename <id> <title>                 Change title and file name (keeps ID)
+  task [-g] fix-filenames [--dry-run]           Rename files whose name drifted from title
+  task [-g] doctor [--fix]                      Check task files for problems (--fix repairs safe ones)
+  task [-g] lint [--strict]                     Check task frontmatter against the schema
+  task [-g] history <id>                        Show status moves, updates and edits
+  task [-g] timer start <id> | stop | status    Track time spent on a task
+  task [-g] timesheet [--from D] [--to D]       Time tracked per day and task
+  task [-g] depend <id> <other-id>              Mark task as blocked by another task
+  task [-g] undepend <id> <other-id>            Remove a dependency
+  task [-g] list [dir] [--tree] [filters]       List tasks in directory
+  task [-g] list @<view>                        List tasks with a saved view
+  task [-g] views [list | save <name> | delete <name>]  Manage saved views
   task [-g] search <term>                       Search tasks by term
+  task [-g] find <term>                         Search all tasks (archived too) and notes
   task [-g] stats [dir]                         Show task statistics
   task [-g] standup [--weekly] [--format=FORMAT]  Generate standup report
+  task [-g] agenda                              Show open tasks by due date
+  task [-g] board [--compact] [--all]           Show tasks as a kanban board
   task [-g] config <command>                    Manage configuration
   task [-g] open                                Open tasks directory
 
@@ -38,7 +73,95 @@ ${info('Workspace Model (Git-like):')}
   Use -g or --global flag to work with global workspace instead
 
 ${info('Task Workflow:')}
-  backlog → active → completed → archived
+  backlog → active → completed → archived       (default)
+  Archiving is only allowed from completed; --force overrides the rules
+  Every move, update and edit is logged in the task's History section;
+  --reason "<text>" records why a task was moved
+  Configure states, done/hidden states and transitions under "workflow"
+  in .local-work/config.json, e.g. add "review" and "blocked":
+  task move TASK-001 review
+  "wipLimits": { "global": 8, "perAssignee": 3 } caps tasks in progress;
+  start/move refuse beyond the limit unless --force (see task stats)
+
+${info('Subtasks:')}
+  task create "Login form" --parent TASK-012    # Create subtask of TASK-012
+  task view TASK-012                            # Shows subtask tree with status
+  task list --tree                              # Show parent/child hierarchy
+  A parent cannot be completed while subtasks are open (use --force to override)
+
+${info('Recurring Tasks:')}
+  --recur daily | weekly | weekly:mon,thu | monthly | monthly:15
+  Completing a recurring task creates the next instance with a new ID
+
+${info('Dependencies:')}
+  task depend TASK-031 TASK-029                 # TASK-031 cannot start until TASK-029 is done
+  task undepend TASK-031 TASK-029               # Remove the dependency
+  Cycles are rejected; 'task start' warns about unfinished dependencies
+
+${info('Time Tracking:')}
+  task timer start TASK-001                     # Start timing (one timer at a time)
+  task timer status                             # Show running timer and today's total
+  task timer stop                               # Add the session to the task's "actual"
+  task timesheet --from 2026-10-12 --to 2026-10-18 --assignee kim --format csv
+
+${info('Listing:')}
+  task list --priority high --assignee kim --tag api
+  task list --created-since 2026-10-01 --updated-before 2026-10-15
+  task list --sort=priority --limit 5           # Flat list, highest priority first
+  task list backlog --sort=created --reverse    # Newest first
+  Filters accept comma-separated values (--priority high,medium)
+
+${info('Output Formats:')}
+  list, view, search and stats accept --format=json|csv|tsv|markdown
+  Output uses stable field names and no colors, e.g. for scripts:
+  task list active --format=json
+  task stats --format=csv
+
+${info('Board:')}
+  task board                                    # One column per state, sized to the terminal
+  task board --compact                          # Only task IDs (automatic when narrow)
+  task board --all --width 160                  # Include hidden states, fixed width
+  IDs are colored by priority; each column shows its task count
+
+${info('Saved Views:')}
+  task views save mine active --assignee kim --priority high,medium
+  task views save api-bugs --tag api --query "bug -status:archived"
+  task list @mine                               # Run a view (flags override its filters)
+  task views list
+  Views are stored in .local-work/config.json and shared via git
+
+${info('Queries:')}
+  task list -q "priority:high tag:api -status:archived due<2026-11-01 assignee:@me"
+  task search "login priority:high,medium"
+  search ranks title matches first, tolerates typos and shows the matching line
+  task find "oauth"                             # Tasks in every state plus notes, one list
+  field:value (a,b = any of), field<value / <= / > / >= for dates, IDs and priority,
+  -term negates, words without a field match the title ("quoted phrases" too)
+  Fields: id title status priority assignee tag parent due created updated completed
+  @me is the "user" preference (task config set user kim), else your OS user name
+
+${info('Custom Fields:')}
+  Declare fields under "fields.task" in .local-work/config.json, then:
+  task new "Login page" --set story_points=3 --set component=api
+  task update TASK-001 sprint 12
+  task list -q "component:api story_points>=3"  # Numbers compare with < / <= / > / >=
+  task view shows them; task stats sums number fields per state
+
+${info('Templates:')}
+  New tasks and notes use <kind>-template.md (task, daily, meeting, technical,
+  learning) from .local-work/templates/, then the global config directory,
+  then the templates shipped with local-work
+  Variables: {{id}} {{title}} {{date}} {{time}} {{assignee}} {{git.branch}} ...
+  task new "Crash on login" --template bug      # Uses task-bug-template.md
+
+${info('Bulk Operations:')}
+  start, complete, archive, update and delete accept several IDs at once
+  task complete TASK-004 TASK-007               # Explicit IDs
+  task archive TASK-010..TASK-020               # ID range (existing tasks only)
+  task archive --filter "status:completed tag:sprint-12"
+  task update --filter "assignee:kim" priority high --dry-run
+  --filter takes a query (see Queries)
+  --dry-run lists the selected tasks without changing anything
 
 ${info('Standup Report:')}
   task standup                                  # Daily standup report
@@ -51,6 +174,9 @@ ${info('Examples:')}
   task create "Implement user authentication"
   task start TASK-001
   task update TASK-001 priority high
+  task create "Release notes" --due 2026-11-03  # Task with a deadline
+  task update TASK-001 due 2026-11-10
+  task create "Upgrade deps" --recur weekly:mon # Recreated after each completion
   task complete TASK-001
   task list active
   task search "authentication"
@@ -59,7 +185,7 @@ ${info('Examples:')}
   task -g create "Global task"                  # Use global workspace
   task config show
 
-${info('Directories:')} backlog, active, completed, archived
+${info('Directories:')} one per workflow state (default: backlog, active, completed, archived)
 `;
 
 // ============================================================================
@@ -96,6 +222,186 @@ function getTasksDirPath(useGlobal, cmd) {
   }
 }
 
+/**
+ * Extract values of flags that take an argument (e.g. `-p high`)
+ * @param {string[]} args - Command arguments
+ * @param {Record<string, string[]>} spec - Map of option name to accepted flag spellings
+ * @returns {{values: Record<string, string>, skipIndices: Set<number>}} Flag values and the argument indices they occupy
+ */
+function extractFlags(args, spec) {
+  /** @type {Record<string, string>} */
+  const values = {};
+  /** @type {Set<number>} */
+  const skipIndices = new Set();
+
+  Object.entries(spec).forEach(([name, flags]) => {
+    const index = Math.max(...flags.map((flag) => args.indexOf(flag)));
+    if (index >= 0) {
+      values[name] = args[index + 1] || '';
+      skipIndices.add(index);
+      skipIndices.add(index + 1);
+    }
+  });
+
+  return { values, skipIndices };
+}
+
+/**
+ * Take custom field values from `--set key=value` flags (repeatable)
+ * Exits with code 1 if a value is not written as key=value.
+ * @param {string[]} args - Command arguments
+ * @returns {{fields: Record<string, string>, skipIndices: Set<number>}} Field values and indices of consumed arguments
+ */
+function extractFieldValues(args) {
+  /** @type {Record<string, string>} */
+  const fields = {};
+  /** @type {Set<number>} */
+  const skipIndices = new Set();
+
+  args.forEach((arg, index) => {
+    const inline = arg.startsWith('--set=');
+    if (arg !== '--set' && !inline) return;
+    const pair = inline ? arg.slice('--set='.length) : args[index + 1] || '';
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      console.log(error(`\n Error: --set takes key=value (got "${pair}")\n`));
+      process.exit(1);
+    }
+    fields[pair.slice(0, separator).trim()] = pair.slice(separator + 1);
+    skipIndices.add(index);
+    if (!inline) skipIndices.add(index + 1);
+  });
+
+  return { fields, skipIndices };
+}
+
+/** Filter flags shared by `task list` and `task views save` */
+const VIEW_FLAGS = {
+  priority: ['-p', '--priority'],
+  assignee: ['-a', '--assignee'],
+  tag: ['-t', '--tag'],
+  query: ['--query', '-q'],
+};
+
+/**
+ * Split `--flag=value` arguments into `--flag value` so extractFlags sees both forms
+ * @param {string[]} args - Command arguments
+ * @returns {string[]} Arguments with flag values split off
+ */
+function splitFlagValues(args) {
+  return args.flatMap((arg) => {
+    const match = arg.match(/^(--[\w-]+)=(.*)$/);
+    return match ? [match[1], match[2]] : [arg];
+  });
+}
+
+/**
+ * Get moveTask options from `--force` and `--reason <text>` flags
+ * @param {string[]} args - Command arguments
+ * @returns {{force: boolean, reason?: string}} Move options
+ */
+function getMoveOptions(args) {
+  const { values } = extractFlags(splitFlagValues(args), { reason: ['--reason', '-r'] });
+  return { force: args.includes('--force'), reason: values.reason || undefined };
+}
+
+/**
+ * Get the state the start, done or archive command moves tasks to
+ * Exits if the workflow has no state for the command.
+ * @param {'start'|'done'|'archive'} command - Command name
+ * @param {() => string} getTasksDir - Tasks directory factory
+ * @returns {string} Target state
+ */
+function getShortcutState(command, getTasksDir) {
+  const state = getShortcutStates(getWorkflow(getTasksDir))[command];
+  if (!state) {
+    const kind = { start: 'in-progress', done: 'done', archive: 'hidden' }[command];
+    console.log(error(`\n Error: The workflow has no ${kind} state for "task ${command}"\n`));
+    console.log('Use: task move TASK-XXX <state>');
+    process.exit(1);
+  }
+  return state;
+}
+
+/**
+ * Split command arguments into task specs and selection flags
+ * Task specs are IDs and ID ranges; `--filter <expr>` (or `--filter=<expr>`) selects tasks by field.
+ * @param {string[]} args - Command arguments
+ * @returns {{specs: string[], filter?: string, dryRun: boolean}} Selection
+ */
+function getSelection(args) {
+  const split = splitFlagValues(args);
+  const { values, skipIndices } = extractFlags(split, {
+    reason: ['--reason', '-r'],
+    filter: ['--filter'],
+  });
+  return {
+    specs: split.filter((a, i) => i > 0 && !skipIndices.has(i) && !a.startsWith('--')),
+    filter: values.filter,
+    dryRun: args.includes('--dry-run'),
+  };
+}
+
+/**
+ * Run an operation on every selected task
+ * Exits with code 1 if the selection is invalid or the operation fails for any task.
+ * @param {{specs: string[], filter?: string, dryRun: boolean}} selection - Selected tasks
+ * @param {() => string} getTasksDir - Tasks directory factory
+ * @param {string} description - What the operation does (e.g. "move to completed")
+ * @param {(taskId: string) => boolean} operation - Operation for a single task
+ */
+function runOnSelection(selection, getTasksDir, description, operation) {
+  let ids;
+  try {
+    ids = task.selectTasks(selection.specs, getTasksDir, selection.filter);
+  } catch (err) {
+    console.log(error(`\n${icons.cross} ${/** @type {Error} */ (err).message}\n`));
+    process.exit(1);
+  }
+
+  const { failed } = task.applyToTasks(ids, operation, getTasksDir, {
+    description,
+    dryRun: selection.dryRun,
+  });
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Take the output format from `--format=<format>` (or `--format <format>`)
+ * Exits with code 1 for unknown formats.
+ * @param {string[]} args - Command arguments
+ * @returns {{format?: import('./output').OutputFormat, rest: string[]}} Format (undefined for colored text) and the remaining arguments
+ */
+function takeOutputFormat(args) {
+  const split = splitFlagValues(args);
+  const { values, skipIndices } = extractFlags(split, { format: ['--format'] });
+  const rest = split.filter((a, i) => !skipIndices.has(i));
+
+  if (values.format === undefined || values.format === 'text') return { rest };
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    console.log(
+      error(`\n Error: Invalid format "${values.format}". Use text, ${OUTPUT_FORMATS.join(', ')}\n`)
+    );
+    process.exit(1);
+  }
+  return { format: /** @type {import('./output').OutputFormat} */ (values.format), rest };
+}
+
+/**
+ * Run a command that takes a query, exiting with code 1 if the query is invalid
+ * @param {() => void} run - Command to run
+ */
+function runQuery(run) {
+  try {
+    run();
+  } catch (err) {
+    console.log(error(`\n${icons.cross} ${/** @type {Error} */ (err).message}\n`));
+    process.exit(1);
+  }
+}
+
 /**
  * Open directory in file explorer
  * @param {string} dirPath - Directory to open
@@ -132,38 +438,42 @@ function openDirectory(dirPath) {
 async function handleNew(args, getTasksDir) {
   const noEdit = args.includes('--no-edit');
 
-  // Extract priority and assignee values
-  const priorityIndex = Math.max(args.indexOf('-p'), args.indexOf('--priority'));
-  const assigneeIndex = Math.max(args.indexOf('-a'), args.indexOf('--assignee'));
-  const priority = priorityIndex >= 0 ? args[priorityIndex + 1] || 'medium' : 'medium';
-  const assignee = assigneeIndex >= 0 ? args[assigneeIndex + 1] || '' : '';
-
-  // Build title by filtering out flags and their values
-  const skipIndices = new Set();
-  if (priorityIndex >= 0) {
-    skipIndices.add(priorityIndex);
-    skipIndices.add(priorityIndex + 1);
-  }
-  if (assigneeIndex >= 0) {
-    skipIndices.add(assigneeIndex);
-    skipIndices.add(assigneeIndex + 1);
-  }
+  // Extract flag values; everything else makes up the title
+  const { values, skipIndices } = extractFlags(args, {
+    priority: ['-p', '--priority'],
+    assignee: ['-a', '--assignee'],
+    parent: ['--parent'],
+    due: ['--due'],
+    recurrence: ['--recur'],
+    template: ['--template'],
+  });
+  const priority = values.priority || 'medium';
+  const assignee = values.assignee || '';
+  const { fields, skipIndices: fieldIndices } = extractFieldValues(args);
 
   const titleParts = args.slice(1).filter((arg, index) => {
     const actualIndex = index + 1;
-    return arg !== '--no-edit' && !skipIndices.has(actualIndex);
+    return arg !== '--no-edit' && !skipIndices.has(actualIndex) && !fieldIndices.has(actualIndex);
   });
 
   const title = titleParts.join(' ') || '';
 
   if (!title) {
     console.log(error('\n Error: Task title is required\n'));
-    console.log('Usage: task new <title> [-p priority] [-a assignee] [--no-edit]');
+    console.log(
+      'Usage: task new <title> [-p priority] [-a assignee] [--parent TASK-XXX] [--due YYYY-MM-DD] [--recur RULE] [--set key=value] [--template NAME] [--no-edit]'
+    );
     process.exit(1);
   }
 
-  // API: createTask(title, getTasksDir, priority, assignee)
-  const result = task.createTask(title, getTasksDir, priority, assignee);
+  // API: createTask(title, getTasksDir, priority, assignee, options)
+  const result = task.createTask(title, getTasksDir, priority, assignee, {
+    parent: values.parent,
+    due: values.due,
+    recurrence: values.recurrence,
+    fields,
+    template: values.template,
+  });
 
   if (!noEdit) {
     console.log(info(`${icons.edit} Opening task in editor...\n`));
@@ -171,20 +481,43 @@ async function handleNew(args, getTasksDir) {
   }
 }
 
+/**
+ * Move a task to an in-progress state, warning about unfinished dependencies
+ * @param {string} taskId - Task ID
+ * @param {string} state - In-progress state
+ * @param {() => string} getTasksDir - Tasks directory factory
+ * @param {{force: boolean, reason?: string}} options - Move options
+ * @returns {boolean} True if the task was moved
+ */
+function startTask(taskId, state, getTasksDir, options) {
+  const blocked = warnUnfinishedDependencies(taskId, getTasksDir);
+  // API: moveTask(taskId, targetStatus, getTasksDir, options)
+  const moved = task.moveTask(taskId, state, getTasksDir, options);
+  if (moved && blocked) {
+    console.log(info(`${icons.info} Moved to ${state} before its dependencies were finished\n`));
+  }
+  return moved;
+}
+
 /**
  * Handle 'start' command
  * @param {string[]} args - Command arguments
  * @param {() => string} getTasksDir - Tasks directory factory
  */
 function handleStart(args, getTasksDir) {
-  const taskId = args[1];
-  if (!taskId) {
+  const selection = getSelection(args);
+  if (selection.specs.length === 0 && selection.filter === undefined) {
     console.log(error('\n Error: Task ID is required\n'));
-    console.log('Usage: task start TASK-XXX');
+    console.log(
+      'Usage: task start <id...> [--filter <expr>] [--dry-run] [--force] [--reason <text>]'
+    );
     process.exit(1);
   }
-  // API: moveTask(taskId, targetStatus, getTasksDir)
-  task.moveTask(taskId, 'active', getTasksDir);
+  const options = getMoveOptions(args);
+  const state = getShortcutState('start', getTasksDir);
+  runOnSelection(selection, getTasksDir, `move to ${state}`, (taskId) =>
+    startTask(taskId, state, getTasksDir, options)
+  );
 }
 
 /**
@@ -193,14 +526,44 @@ function handleStart(args, getTasksDir) {
  * @param {() => string} getTasksDir - Tasks directory factory
  */
 function handleComplete(args, getTasksDir) {
-  const taskId = args[1];
-  if (!taskId) {
+  const selection = getSelection(args);
+  if (selection.specs.length === 0 && selection.filter === undefined) {
     console.log(error('\n Error: Task ID is required\n'));
-    console.log('Usage: task done TASK-XXX');
+    console.log(
+      'Usage: task done <id...> [--filter <expr>] [--dry-run] [--force] [--reason <text>]'
+    );
+    process.exit(1);
+  }
+  const options = getMoveOptions(args);
+  const state = getShortcutState('done', getTasksDir);
+  // API: moveTask(taskId, targetStatus, getTasksDir, options)
+  runOnSelection(selection, getTasksDir, `move to ${state}`, (taskId) =>
+    task.moveTask(taskId, state, getTasksDir, options)
+  );
+}
+
+/**
+ * Handle 'move' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleMove(args, getTasksDir) {
+  const options = getMoveOptions(args);
+  const { skipIndices } = extractFlags(args, { reason: ['--reason', '-r'] });
+  const [taskId, state] = args.filter((a, i) => i > 0 && !skipIndices.has(i) && a !== '--force');
+  if (!taskId || !state) {
+    console.log(error('\n Error: Task ID and state are required\n'));
+    console.log('Usage: task move TASK-XXX <state> [--force] [--reason <text>]');
+    console.log(`States: ${getWorkflow(getTasksDir).states.join(', ')}`);
+    process.exit(1);
+  }
+  // API: moveTask(taskId, targetStatus, getTasksDir, options)
+  const moved = getInProgressStates(getWorkflow(getTasksDir)).includes(state)
+    ? startTask(taskId, state, getTasksDir, options)
+    : task.moveTask(taskId, state, getTasksDir, options);
+  if (!moved) {
     process.exit(1);
   }
-  // API: moveTask(taskId, targetStatus, getTasksDir)
-  task.moveTask(taskId, 'completed', getTasksDir);
 }
 
 /**
@@ -209,9 +572,126 @@ function handleComplete(args, getTasksDir) {
  * @param {() => string} getTasksDir - Tasks directory factory
  */
 function handleList(args, getTasksDir) {
-  const status = args[1] || null;
-  // API: listTasks(getTasksDir, status)
-  task.listTasks(getTasksDir, status);
+  const { format, rest: listArgs } = takeOutputFormat(args);
+  const { values, skipIndices } = extractFlags(listArgs, {
+    ...VIEW_FLAGS,
+    createdSince: ['--created-since'],
+    updatedBefore: ['--updated-before'],
+    sort: ['--sort'],
+    limit: ['--limit', '-n'],
+  });
+  let status = listArgs.find((a, i) => i > 0 && !skipIndices.has(i) && !a.startsWith('-'));
+
+  /** @param {string} message */
+  const fail = (message) => {
+    console.log(error(`\n Error: ${message}\n`));
+    console.log(
+      `Usage: task list [state | @view] [--priority P] [--assignee A] [--tag T] [--created-since D] [--updated-before D] [--sort=${SORT_FIELDS.join('|')}] [--reverse] [--limit N] [--query <expr>] [--format=FORMAT]`
+    );
+    process.exit(1);
+  };
+
+  ['createdSince', 'updatedBefore'].forEach((key) => {
+    if (values[key] !== undefined && !isValidDate(values[key])) {
+      fail(`Invalid date "${values[key]}". Use YYYY-MM-DD`);
+    }
+  });
+  if (values.sort !== undefined && !SORT_FIELDS.includes(values.sort)) {
+    fail(`Invalid sort field "${values.sort}"`);
+  }
+  const limit = values.limit === undefined ? undefined : Number(values.limit);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    fail(`Invalid limit "${values.limit}". Use a positive number`);
+  }
+
+  // Saved view: its filters apply unless overridden by flags
+  /** @type {import('./views').SavedView} */
+  let view = {};
+  if (status && status.startsWith('@')) {
+    const saved = task.getView(status, getTasksDir);
+    if (!saved) {
+      const names = Object.keys(task.getViews(getTasksDir));
+      fail(
+        `View ${status} not found${names.length > 0 ? `. Views: ${names.map((n) => `@${n}`).join(', ')}` : ''}`
+      );
+    }
+    view = /** @type {import('./views').SavedView} */ (saved);
+    status = view.status;
+  }
+
+  // API: listTasks(getTasksDir, status, options)
+  runQuery(() =>
+    task.listTasks(getTasksDir, status || null, {
+      tree: args.includes('--tree'),
+      priority: values.priority || view.priority,
+      assignee: values.assignee || view.assignee,
+      tag: values.tag || view.tag,
+      createdSince: values.createdSince,
+      updatedBefore: values.updatedBefore,
+      sort: /** @type {'priority'|'created'|'updated'|'id'|undefined} */ (values.sort),
+      reverse: args.includes('--reverse'),
+      limit,
+      query: [view.query, values.query].filter(Boolean).join(' ') || undefined,
+      format,
+    })
+  );
+}
+
+/**
+ * Handle 'views' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleViews(args, getTasksDir) {
+  const subCommand = args[1] || 'list';
+
+  switch (subCommand) {
+    case 'list':
+    case 'ls':
+      // API: printViews(getTasksDir)
+      task.printViews(getTasksDir);
+      break;
+
+    case 'save': {
+      const viewArgs = splitFlagValues(args);
+      const { values, skipIndices } = extractFlags(viewArgs, VIEW_FLAGS);
+      const [name, status] = viewArgs.filter(
+        (a, i) => i > 1 && !skipIndices.has(i) && !a.startsWith('-')
+      );
+      if (!name) {
+        console.log(error('\n Error: View name is required\n'));
+        console.log(
+          'Usage: task views save <name> [state] [--priority P] [--assignee A] [--tag T] [--query <expr>]'
+        );
+        process.exit(1);
+      }
+      // API: saveView(name, view, getTasksDir)
+      if (!task.saveView(name, { status, ...values }, getTasksDir)) {
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'delete':
+    case 'rm': {
+      const name = args[2];
+      if (!name) {
+        console.log(error('\n Error: View name is required\n'));
+        console.log('Usage: task views delete <name>');
+        process.exit(1);
+      }
+      // API: deleteView(name, getTasksDir)
+      if (!task.deleteView(name, getTasksDir)) {
+        process.exit(1);
+      }
+      break;
+    }
+
+    default:
+      console.log(error(`\n Error: Unknown views command "${subCommand}"\n`));
+      console.log('Usage: task views [list | save <name> [state] [filters] | delete <name>]');
+      process.exit(1);
+  }
 }
 
 /**
@@ -220,14 +700,17 @@ function handleList(args, getTasksDir) {
  * @param {() => string} getTasksDir - Tasks directory factory
  */
 function handleView(args, getTasksDir) {
-  const taskId = args[1];
+  const { format, rest } = takeOutputFormat(args);
+  const taskId = rest[1];
   if (!taskId) {
     console.log(error('\n Error: Task ID is required\n'));
-    console.log('Usage: task view TASK-XXX');
+    console.log('Usage: task view TASK-XXX [--format=json|csv|tsv|markdown]');
+    process.exit(1);
+  }
+  // API: viewTask(taskId, findTask, getTasksDir, options)
+  if (!task.viewTask(taskId, task.findTask, getTasksDir, { format })) {
     process.exit(1);
   }
-  // API: viewTask(taskId, findTask, getTasksDir)
-  task.viewTask(taskId, task.findTask, getTasksDir);
 }
 
 /**
@@ -246,20 +729,171 @@ async function handleEdit(args, getTasksDir) {
   await task.editTask(taskId, task.findTask, getTasksDir);
 }
 
+/**
+ * Handle 'history' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleHistory(args, getTasksDir) {
+  const taskId = args[1];
+  if (!taskId) {
+    console.log(error('\n Error: Task ID is required\n'));
+    console.log('Usage: task history TASK-XXX');
+    process.exit(1);
+  }
+  // API: showHistory(taskId, findTask, getTasksDir)
+  if (!task.showHistory(taskId, task.findTask, getTasksDir)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle 'delete' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleDelete(args, getTasksDir) {
+  const selection = getSelection(args);
+  if (selection.specs.length === 0 && selection.filter === undefined) {
+    console.log(error('\n Error: Task ID is required\n'));
+    console.log('Usage: task delete <id...> [--filter <expr>] [--dry-run]');
+    process.exit(1);
+  }
+  // API: deleteTask(taskId, getTasksDir)
+  runOnSelection(
+    selection,
+    getTasksDir,
+    'move to trash',
+    (taskId) => task.deleteTask(taskId, getTasksDir) !== null
+  );
+}
+
+/**
+ * Handle 'restore' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleRestore(args, getTasksDir) {
+  const taskId = args[1];
+  if (!taskId) {
+    console.log(error('\n Error: Task ID is required\n'));
+    console.log('Usage: task restore TASK-XXX');
+    process.exit(1);
+  }
+  // API: restoreTask(taskId, getTasksDir)
+  if (!task.restoreTask(taskId, getTasksDir)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle 'trash' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleTrash(args, getTasksDir) {
+  const subcommand = args[1];
+
+  switch (subcommand) {
+    case 'list':
+    case 'ls':
+    case undefined:
+      // API: printTrash(getTasksDir)
+      task.printTrash(getTasksDir);
+      break;
+
+    case 'empty': {
+      const { values } = extractFlags(args, { olderThan: ['--older-than'] });
+      const days = values.olderThan === undefined ? null : Number(values.olderThan);
+      if (days !== null && (!Number.isInteger(days) || days < 0)) {
+        console.log(error('\n Error: --older-than expects a number of days\n'));
+        process.exit(1);
+      }
+      // API: emptyTrash(getTasksDir, olderThanDays)
+      task.emptyTrash(getTasksDir, days);
+      break;
+    }
+
+    default:
+      console.log(error(`\n Error: Unknown trash command "${subcommand}"\n`));
+      console.log('Usage: task trash <list|empty [--older-than DAYS]>');
+      process.exit(1);
+  }
+}
+
+/**
+ * Handle 'timer' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleTimer(args, getTasksDir) {
+  const [, subcommand, taskId] = args;
+
+  switch (subcommand) {
+    case 'start':
+      if (!taskId) {
+        console.log(error('\n Error: Task ID is required\n'));
+        console.log('Usage: task timer start TASK-XXX');
+        process.exit(1);
+      }
+      // API: startTimer(taskId, getTasksDir)
+      if (!task.startTimer(taskId, getTasksDir)) {
+        process.exit(1);
+      }
+      break;
+
+    case 'stop':
+      // API: stopTimer(getTasksDir)
+      task.stopTimer(getTasksDir);
+      break;
+
+    case 'status':
+    case undefined:
+      // API: printTimerStatus(getTasksDir)
+      task.printTimerStatus(getTasksDir);
+      break;
+
+    default:
+      console.log(error(`\n Error: Unknown timer command "${subcommand}"\n`));
+      console.log('Usage: task timer <start TASK-XXX|stop|status>');
+      process.exit(1);
+  }
+}
+
 /**
  * Handle 'search' command
  * @param {string[]} args - Command arguments
  * @param {() => string} getTasksDir - Tasks directory factory
  */
 function handleSearch(args, getTasksDir) {
+  const { format, rest } = takeOutputFormat(args);
+  const term = rest.slice(1).join(' ');
+  if (!term) {
+    console.log(error('\n Error: Search term is required\n'));
+    console.log('Usage: task search <term | query> [--format=json|csv|tsv|markdown]');
+    process.exit(1);
+  }
+  // API: searchTasks(searchTerm, getTasksDir, includeArchived, options)
+  runQuery(() => task.searchTasks(term, getTasksDir, false, { format }));
+}
+
+/**
+ * Handle 'find' command (tasks in every state and notes)
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ * @param {boolean} useGlobal - Whether to use global workspace
+ */
+function handleFind(args, getTasksDir, useGlobal) {
   const term = args.slice(1).join(' ');
   if (!term) {
     console.log(error('\n Error: Search term is required\n'));
-    console.log('Usage: task search <term>');
+    console.log('Usage: task find <term | query>');
     process.exit(1);
   }
-  // API: searchTasks(searchTerm, getTasksDir, includeArchived)
-  task.searchTasks(term, getTasksDir, false);
+  // API: printFindResults(searchTerm, { getTasksDir, getNotesDir })
+  runQuery(() =>
+    printFindResults(term, { getTasksDir, getNotesDir: () => config.getNotesDir(useGlobal) })
+  );
 }
 
 /**
@@ -268,17 +902,82 @@ function handleSearch(args, getTasksDir) {
  * @param {() => string} getTasksDir - Tasks directory factory
  */
 function handleUpdate(args, getTasksDir) {
-  const [, taskId, field, ...valueParts] = args;
+  const selection = getSelection(args);
+  const specCount = selection.specs.findIndex((a) => !task.isTaskSpec(a));
+  const [field, ...valueParts] = specCount === -1 ? [] : selection.specs.slice(specCount);
   const value = valueParts.join(' ');
+  selection.specs = selection.specs.slice(0, specCount);
 
-  if (!taskId || !field || !value) {
+  if ((selection.specs.length === 0 && selection.filter === undefined) || !field || !value) {
     console.log(error('\n Error: Task ID, field, and value are required\n'));
-    console.log('Usage: task update TASK-XXX <field> <value>');
-    console.log('Fields: priority, status, assignee, estimate, tags');
+    console.log('Usage: task update <id...> [--filter <expr>] [--dry-run] <field> <value>');
+    console.log(
+      'Fields: title, priority, assignee, estimated, actual, tags, due, recurrence, or a field declared in config'
+    );
     process.exit(1);
   }
   // API: updateTask(taskId, field, value, getTasksDir)
-  task.updateTask(taskId, field, value, getTasksDir);
+  runOnSelection(selection, getTasksDir, `set ${field} to "${value}"`, (taskId) =>
+    task.updateTask(taskId, field, value, getTasksDir)
+  );
+}
+
+/**
+ * Handle 'rename' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleRename(args, getTasksDir) {
+  const [, taskId, ...titleParts] = args;
+  const title = titleParts.join(' ');
+
+  if (!taskId || !title) {
+    console.log(error('\n Error: Task ID and new title are required\n'));
+    console.log('Usage: task rename TASK-XXX "New title"');
+    process.exit(1);
+  }
+  // API: renameTask(taskId, title, getTasksDir)
+  if (!task.renameTask(taskId, title, getTasksDir)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle 'fix-filenames' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleFixFileNames(args, getTasksDir) {
+  // API: fixFileNames(getTasksDir, options)
+  task.fixFileNames(getTasksDir, { dryRun: args.includes('--dry-run') });
+}
+
+/**
+ * Handle 'doctor' command
+ * Exits with status 1 while problems remain.
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleDoctor(args, getTasksDir) {
+  // API: runDoctor(getTasksDir, options)
+  const { problems, fixed } = task.runDoctor(getTasksDir, { fix: args.includes('--fix') });
+  if (problems.length > fixed.length) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Handle 'lint' command
+ * Exits with status 1 on schema errors (and on warnings with --strict).
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleLint(args, getTasksDir) {
+  // API: lintTasks(getTasksDir)
+  const report = lintTasks(getTasksDir);
+  if (!printLintResults(report, getTasksDir(), 'task', { strict: args.includes('--strict') })) {
+    process.exit(1);
+  }
 }
 
 /**
@@ -287,23 +986,86 @@ function handleUpdate(args, getTasksDir) {
  * @param {() => string} getTasksDir - Tasks directory factory
  */
 function handleArchive(args, getTasksDir) {
-  const taskId = args[1];
-  if (!taskId) {
+  const selection = getSelection(args);
+  if (selection.specs.length === 0 && selection.filter === undefined) {
     console.log(error('\n Error: Task ID is required\n'));
-    console.log('Usage: task archive TASK-XXX');
+    console.log(
+      'Usage: task archive <id...> [--filter <expr>] [--dry-run] [--force] [--reason <text>]'
+    );
+    process.exit(1);
+  }
+  const options = getMoveOptions(args);
+  const state = getShortcutState('archive', getTasksDir);
+  // API: moveTask(taskId, targetStatus, getTasksDir, options)
+  runOnSelection(selection, getTasksDir, `move to ${state}`, (taskId) =>
+    task.moveTask(taskId, state, getTasksDir, options)
+  );
+}
+
+/**
+ * Handle 'depend' and 'undepend' commands
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleDepend(args, getTasksDir) {
+  const [command, taskId, dependsOnId] = args;
+  if (!taskId || !dependsOnId) {
+    console.log(error('\n Error: Task ID and dependency ID are required\n'));
+    console.log(`Usage: task ${command} TASK-XXX TASK-YYY`);
+    process.exit(1);
+  }
+
+  // API: addDependency(taskId, dependsOnId, getTasksDir) / removeDependency(...)
+  const ok =
+    command === 'undepend'
+      ? task.removeDependency(taskId, dependsOnId, getTasksDir)
+      : task.addDependency(taskId, dependsOnId, getTasksDir);
+
+  if (!ok) {
     process.exit(1);
   }
-  // API: moveTask(taskId, targetStatus, getTasksDir)
-  task.moveTask(taskId, 'archived', getTasksDir);
+}
+
+/**
+ * Handle 'agenda' command
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleAgenda(getTasksDir) {
+  // API: printAgenda(getTasksDir)
+  task.printAgenda(getTasksDir);
+}
+
+/**
+ * Handle 'board' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleBoard(args, getTasksDir) {
+  const { values } = extractFlags(splitFlagValues(args), { width: ['--width', '-w'] });
+  const width = values.width === undefined ? undefined : parseInt(values.width, 10);
+
+  if (width !== undefined && (!/^\d+$/.test(values.width) || width < 1)) {
+    console.log(error(`\n Error: Invalid --width "${values.width}". Use a positive number\n`));
+    process.exit(1);
+  }
+
+  // API: printBoard(getTasksDir, options)
+  task.printBoard(getTasksDir, {
+    width,
+    compact: args.includes('--compact') || args.includes('-c'),
+    all: args.includes('--all'),
+  });
 }
 
 /**
  * Handle 'stats' command
+ * @param {string[]} args - Command arguments
  * @param {() => string} getTasksDir - Tasks directory factory
  */
-function handleStats(getTasksDir) {
-  // API: getStats(getTasksDir)
-  task.getStats(getTasksDir);
+function handleStats(args, getTasksDir) {
+  const { format } = takeOutputFormat(args);
+  // API: getStats(getTasksDir, options)
+  task.getStats(getTasksDir, { format });
 }
 
 /**
@@ -328,6 +1090,39 @@ function handleStandup(args, getTasksDir) {
   }
 }
 
+/**
+ * Handle 'timesheet' command
+ * @param {string[]} args - Command arguments
+ * @param {() => string} getTasksDir - Tasks directory factory
+ */
+function handleTimesheet(args, getTasksDir) {
+  const { format, rest } = takeOutputFormat(args);
+  const { values } = extractFlags(rest, {
+    from: ['--from'],
+    to: ['--to'],
+    assignee: ['--assignee', '-a'],
+  });
+  for (const flag of /** @type {const} */ (['from', 'to'])) {
+    if (values[flag] !== undefined && !isValidDate(values[flag])) {
+      console.log(error(`\n Error: Invalid --${flag} date "${values[flag]}". Use YYYY-MM-DD\n`));
+      process.exit(1);
+    }
+  }
+  if (values.from && values.to && values.from > values.to) {
+    console.log(error('\n Error: --from must not be after --to\n'));
+    process.exit(1);
+  }
+
+  // API: generateTimesheet(getTasksDir, options) returns formatted string
+  const report = task.generateTimesheet(getTasksDir, {
+    from: values.from,
+    to: values.to,
+    assignee: values.assignee,
+    format,
+  });
+  console.log(report);
+}
+
 /**
  * Handle 'config' command
  * @param {string[]} args - Command arguments
@@ -453,9 +1248,16 @@ async function run(argv = process.argv) {
   // Create factory function for module API compatibility
   const getTasksDir = () => tasksDirPath;
 
-  // Ensure directories exist (except for init)
+  // Ensure a directory exists for every workflow state (except for init)
   if (command !== 'init' && command !== undefined && command !== 'help' && command !== '--help') {
-    ['active', 'backlog', 'completed', 'archived'].forEach((dir) => {
+    let states;
+    try {
+      states = getWorkflow(getTasksDir).states;
+    } catch (err) {
+      console.log(error(`\n${icons.cross} ${/** @type {Error} */ (err).message}\n`));
+      process.exit(1);
+    }
+    states.forEach((dir) => {
       ensureDir(path.join(tasksDirPath, dir));
     });
   }
@@ -487,31 +1289,98 @@ async function run(argv = process.argv) {
       handleView(args, getTasksDir);
       break;
 
+    case 'views':
+      handleViews(args, getTasksDir);
+      break;
+
     case 'edit':
       await handleEdit(args, getTasksDir);
       break;
 
+    case 'history':
+      handleHistory(args, getTasksDir);
+      break;
+
+    case 'delete':
+    case 'rm':
+      handleDelete(args, getTasksDir);
+      break;
+
+    case 'restore':
+      handleRestore(args, getTasksDir);
+      break;
+
+    case 'trash':
+      handleTrash(args, getTasksDir);
+      break;
+
+    case 'timer':
+      handleTimer(args, getTasksDir);
+      break;
+
     case 'search':
       handleSearch(args, getTasksDir);
       break;
 
+    case 'find':
+      handleFind(args, getTasksDir, useGlobal);
+      break;
+
     case 'update':
     case 'set':
       handleUpdate(args, getTasksDir);
       break;
 
+    case 'rename':
+      handleRename(args, getTasksDir);
+      break;
+
+    case 'fix-filenames':
+      handleFixFileNames(args, getTasksDir);
+      break;
+
+    case 'doctor':
+      handleDoctor(args, getTasksDir);
+      break;
+
+    case 'lint':
+      handleLint(args, getTasksDir);
+      break;
+
     case 'archive':
       handleArchive(args, getTasksDir);
       break;
 
+    case 'move':
+    case 'mv':
+      handleMove(args, getTasksDir);
+      break;
+
+    case 'depend':
+    case 'undepend':
+      handleDepend(args, getTasksDir);
+      break;
+
     case 'stats':
-      handleStats(getTasksDir);
+      handleStats(args, getTasksDir);
       break;
 
     case 'standup':
       handleStandup(args, getTasksDir);
       break;
 
+    case 'timesheet':
+      handleTimesheet(args, getTasksDir);
+      break;
+
+    case 'agenda':
+      handleAgenda(getTasksDir);
+      break;
+
+    case 'board':
+      handleBoard(args, getTasksDir);
+      break;
+
     case 'config':
       handleConfig(args);
       break;
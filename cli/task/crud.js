@@ -13,10 +13,76 @@ const {
   dim,
   icons,
   getCurrentDate,
+  getLocalDate,
   updateFrontmatter,
   colorize,
   getStatusColor,
+  isValidDate,
+  parseFrontmatter,
 } = require('../utils');
+const { getAllTasks, toList } = require('./list');
+const { parseRecurrence, anchorRecurrence, getNextOccurrence } = require('./recurrence');
+const { getWorkflow, isDoneState, canTransition, getShortcutStates } = require('./workflow');
+const { recordChange } = require('./history');
+const { getWipViolations } = require('./wip');
+const {
+  PRIORITIES,
+  getSchema,
+  getCustomFields,
+  parseFieldValue,
+  validateFrontmatter,
+  applySchema,
+  printSchemaErrors,
+} = require('../schema');
+const { findTemplate, listTemplates, fillTemplate } = require('../templates');
+
+/** Directory (inside the tasks directory) holding deleted tasks */
+const TRASH_DIR = '.trash';
+/** File (inside the tasks directory) storing the last task ID handed out */
+const ID_FILE = '.last-task-id';
+/** Lock file held while a new task ID is handed out */
+const LOCK_FILE = '.task-id.lock';
+
+/**
+ * Normalize a task ID to the canonical "TASK-XXX" form
+ * @param {string} taskId - Task ID (format: TASK-XXX or XXX)
+ * @returns {string} Normalized task ID
+ */
+function normalizeTaskId(taskId) {
+  return `TASK-${String(taskId)
+    .trim()
+    .replace(/^TASK-/i, '')}`;
+}
+
+/**
+ * Build the file name of a task from its ID and title
+ * @param {string} taskId - Task ID (format: TASK-XXX or XXX)
+ * @param {string} title - Task title
+ * @returns {string} File name (e.g. "TASK-001-fix-login.md")
+ */
+function getTaskFileName(taskId, title) {
+  return `${normalizeTaskId(taskId)}-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.md`;
+}
+
+/**
+ * Get the highest task ID used by a task file
+ * Trashed tasks count too, so their IDs are not reused.
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {number} Highest ID number (0 if there are no tasks)
+ */
+function getHighestTaskId(getTasksDir) {
+  /** @type {number[]} */
+  const ids = [0];
+  [...getWorkflow(getTasksDir).states, TRASH_DIR].forEach((dir) => {
+    const dirPath = path.join(getTasksDir(), dir);
+    if (!fs.existsSync(dirPath)) return;
+    fs.readdirSync(dirPath).forEach((file) => {
+      const match = file.match(/^TASK-(\d+)/);
+      if (match) ids.push(parseInt(match[1]));
+    });
+  });
+  return Math.max(...ids);
+}
 
 /**
  * Get next available task ID
@@ -27,8 +93,8 @@ const {
  */
 function getNextTaskId(getTasksDir) {
   const tasksDir = getTasksDir();
-  const lockFile = path.join(tasksDir, '.task-id.lock');
-  const idFile = path.join(tasksDir, '.last-task-id');
+  const lockFile = path.join(tasksDir, LOCK_FILE);
+  const idFile = path.join(tasksDir, ID_FILE);
 
   // Simple file-based locking with retry mechanism
   const maxRetries = 10;
@@ -40,24 +106,6 @@ function getNextTaskId(getTasksDir) {
       fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
 
       try {
-        // Read current max ID from all directories
-        /** @type {number[]} */
-        const allTasks = [];
-        const dirs = ['active', 'backlog', 'completed', 'archived'];
-
-        dirs.forEach((dir) => {
-          const dirPath = path.join(tasksDir, dir);
-          if (fs.existsSync(dirPath)) {
-            const files = fs.readdirSync(dirPath);
-            files.forEach((file) => {
-              const match = file.match(/^TASK-(\d+)/);
-              if (match) {
-                allTasks.push(parseInt(match[1]));
-              }
-            });
-          }
-        });
-
         // Also check stored last ID (in case files were deleted)
         let lastStoredId = 0;
         if (fs.existsSync(idFile)) {
@@ -67,8 +115,7 @@ function getNextTaskId(getTasksDir) {
           }
         }
 
-        const maxFromFiles = allTasks.length > 0 ? Math.max(...allTasks) : 0;
-        const newId = Math.max(maxFromFiles, lastStoredId) + 1;
+        const newId = Math.max(getHighestTaskId(getTasksDir), lastStoredId) + 1;
 
         // Store the new ID atomically
         fs.writeFileSync(idFile, String(newId));
@@ -98,25 +145,7 @@ function getNextTaskId(getTasksDir) {
   }
 
   // Fallback: simple method without locking (for backward compatibility)
-  /** @type {number[]} */
-  const allTasks = [];
-  const dirs = ['active', 'backlog', 'completed', 'archived'];
-
-  dirs.forEach((dir) => {
-    const dirPath = path.join(tasksDir, dir);
-    if (fs.existsSync(dirPath)) {
-      const files = fs.readdirSync(dirPath);
-      files.forEach((file) => {
-        const match = file.match(/^TASK-(\d+)/);
-        if (match) {
-          allTasks.push(parseInt(match[1]));
-        }
-      });
-    }
-  });
-
-  const maxId = allTasks.length > 0 ? Math.max(...allTasks) : 0;
-  return String(maxId + 1).padStart(3, '0');
+  return String(getHighestTaskId(getTasksDir) + 1).padStart(3, '0');
 }
 
 /**
@@ -126,7 +155,7 @@ function getNextTaskId(getTasksDir) {
  * @returns {{file: string, path: string, status: string}|null} Task location object or null if not found
  */
 function findTask(taskId, getTasksDir) {
-  const dirs = ['active', 'backlog', 'completed', 'archived'];
+  const dirs = getWorkflow(getTasksDir).states;
   const id = taskId.replace('TASK-', '');
 
   for (const dir of dirs) {
@@ -148,96 +177,336 @@ function findTask(taskId, getTasksDir) {
 }
 
 /**
- * Create a new task
+ * @typedef {Object} NewTaskOptions
+ * @property {string} [parent] - Parent task ID (makes this task a subtask)
+ * @property {string} [due] - Due date (YYYY-MM-DD)
+ * @property {string[]} [tags] - Initial tags
+ * @property {string} [recurrence] - Recurrence rule (e.g. "weekly:mon", "monthly:1")
+ * @property {Record<string, string>} [fields] - Values of fields declared in config (lists comma-separated)
+ * @property {string} [template] - Template name (uses task-<name>-template.md; see templates module)
+ */
+
+/**
+ * Create a new task, reporting problems instead of exiting
  * @param {string} title - Task title
  * @param {() => string} getTasksDir - Function to get tasks directory
  * @param {string} [priority='medium'] - Task priority (low, medium, high)
  * @param {string} [assignee=''] - Person assigned to the task
- * @returns {{id: string, fileName: string, filePath: string}} Created task information
+ * @param {NewTaskOptions} [options] - Additional options
+ * @returns {{id: string, fileName: string, filePath: string}|null} Created task information, or null if it could not be created
  */
-function createTask(title, getTasksDir, priority = 'medium', assignee = '') {
+function tryCreateTask(title, getTasksDir, priority = 'medium', assignee = '', options = {}) {
   if (!title || title.trim() === '') {
     console.log(error('Error: Task title is required'));
-    process.exit(1);
+    return null;
   }
 
-  const validPriorities = ['low', 'medium', 'high'];
-  if (!validPriorities.includes(priority)) {
-    console.log(warning(`Invalid priority "${priority}". Using "medium" instead.`));
-    priority = 'medium';
+  let parentId = '';
+  if (options.parent) {
+    const parentTask = findTask(options.parent, getTasksDir);
+    if (!parentTask) {
+      console.log(error(`\n${icons.cross} Parent task ${options.parent} not found\n`));
+      return null;
+    }
+    parentId = normalizeTaskId(options.parent);
   }
 
-  const taskId = getNextTaskId(getTasksDir);
-  const date = getCurrentDate();
-  const fileName = `TASK-${taskId}-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.md`;
-  const filePath = path.join(getTasksDir(), 'backlog', fileName);
-
-  const template = `---
-id: TASK-${taskId}
-title: "${title}"
-status: backlog
-priority: ${priority}
-created: ${date}
-updated: ${date}
-assignee: ${assignee}
-tags: []
-estimated: 0h
-actual: 0h
----
-
-## Description
-
-[Detailed description of the task]
-
-## Objectives
-
-- [ ] Objective 1
-- [ ] Objective 2
+  if (options.due && !isValidDate(options.due)) {
+    console.log(error(`\n${icons.cross} Invalid due date "${options.due}". Use YYYY-MM-DD\n`));
+    return null;
+  }
 
-## Technical Requirements
+  if (options.recurrence && !parseRecurrence(options.recurrence)) {
+    console.log(
+      error(
+        `\n${icons.cross} Invalid recurrence "${options.recurrence}". Use daily, weekly[:mon,thu] or monthly[:15]\n`
+      )
+    );
+    return null;
+  }
 
-- Requirement 1
-- Requirement 2
+  if (!PRIORITIES.includes(priority)) {
+    console.log(warning(`Invalid priority "${priority}". Using "medium" instead.`));
+    priority = 'medium';
+  }
 
-## Notes
+  const customFields = getCustomFields('task', getTasksDir);
+  const unknownField = Object.keys(options.fields || {}).find((name) => !(name in customFields));
+  if (unknownField) {
+    const declared = Object.keys(customFields).join(', ') || 'none';
+    console.log(
+      error(`\n${icons.cross} Unknown field "${unknownField}". Declared fields: ${declared}\n`)
+    );
+    return null;
+  }
 
-[Observations and notes during execution]
+  const template = findTemplate('task', getTasksDir, options.template || null);
+  if (!template) {
+    const available = listTemplates('task', getTasksDir)
+      .map((t) => t.name)
+      .join(', ');
+    console.log(
+      error(
+        `\n${icons.cross} Task template "${options.template}" not found. Available: ${available || 'none'}\n`
+      )
+    );
+    return null;
+  }
 
-## Links/References
+  const initialStatus = getWorkflow(getTasksDir).initial;
+  const date = getCurrentDate();
 
-- [relevant link]
+  // Fields set by the command win over what the template says
+  /** @type {Record<string, import('../schema').YamlValue>} */
+  const fields = {
+    title,
+    status: initialStatus,
+    priority,
+    created: date,
+    updated: date,
+    assignee,
+  };
+  if (options.tags && options.tags.length > 0) fields.tags = options.tags;
+  if (options.due) fields.due = options.due;
+  const recurrence = options.recurrence
+    ? anchorRecurrence(options.recurrence, options.due || getLocalDate())
+    : '';
+  if (recurrence) fields.recurrence = recurrence;
+  if (parentId) fields.parent = parentId;
+  Object.entries(options.fields || {}).forEach(([name, value]) => {
+    fields[name] = parseFieldValue(value, customFields[name]);
+  });
 
-## Acceptance Criteria
+  /**
+   * Fill in the template for a task ID and check the result against the schema
+   * @param {string} taskId - Task ID number (e.g. "007")
+   * @returns {{content: string, errors: import('../schema').SchemaIssue[]}} Task content and schema errors
+   */
+  const render = (taskId) => {
+    const filled = fillTemplate(template, {
+      id: `TASK-${taskId}`,
+      title,
+      status: initialStatus,
+      priority,
+      assignee,
+      tags: (options.tags || []).join(', '),
+      due: options.due || '',
+      recurrence,
+      parent: parentId,
+    });
+    const withFields = Object.entries({ id: `TASK-${taskId}`, ...fields }).reduce(
+      (text, [name, value]) => updateFrontmatter(text, name, value),
+      filled
+    );
+    return applySchema(withFields, 'task', getTasksDir);
+  };
+
+  // Check the task before handing out its ID, so a rejected task does not use one up
+  const draft = render(String(getHighestTaskId(getTasksDir) + 1).padStart(3, '0'));
+  if (draft.errors.length > 0) {
+    printSchemaErrors('Task', draft.errors);
+    return null;
+  }
 
-- [ ] Criterion 1
-- [ ] Criterion 2
-`;
+  const taskId = getNextTaskId(getTasksDir);
+  const { content } = render(taskId);
+  const fileName = getTaskFileName(taskId, title);
+  const filePath = path.join(getTasksDir(), initialStatus, fileName);
 
-  fs.writeFileSync(filePath, template);
+  fs.writeFileSync(filePath, content);
   console.log(success(`\n${icons.check} Task created successfully!`));
   console.log(info(`${icons.task} ID: TASK-${taskId}`));
+  if (parentId) {
+    console.log(info(`   Parent: ${parentId}`));
+  }
+  if (options.due) {
+    console.log(info(`   Due: ${options.due}`));
+  }
+  if (recurrence) {
+    console.log(info(`   Repeats: ${recurrence}`));
+  }
   console.log(dim(`   Location: ${filePath}\n`));
 
   return { id: taskId, fileName, filePath };
 }
 
 /**
- * Move task to a different status directory
+ * Create a new task
+ * Exits the process if the task cannot be created.
+ * @param {string} title - Task title
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {string} [priority='medium'] - Task priority (low, medium, high)
+ * @param {string} [assignee=''] - Person assigned to the task
+ * @param {NewTaskOptions} [options] - Additional options
+ * @returns {{id: string, fileName: string, filePath: string}} Created task information
+ */
+function createTask(title, getTasksDir, priority = 'medium', assignee = '', options = {}) {
+  const task = tryCreateTask(title, getTasksDir, priority, assignee, options);
+  if (!task) process.exit(1);
+  return task;
+}
+
+/**
+ * Get subtasks of a task that are not yet in a done state
+ * @param {string} taskId - Parent task ID
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Array<{id: string, title: string, status: string}>} Open child tasks
+ */
+function getOpenChildren(taskId, getTasksDir) {
+  const parentId = normalizeTaskId(taskId);
+  const workflow = getWorkflow(getTasksDir);
+  return getAllTasks(getTasksDir).filter(
+    (t) => t.parent === parentId && !isDoneState(workflow, t.status)
+  );
+}
+
+/**
+ * Create the next instance of a recurring task
+ * The new task gets a fresh ID and carries over title, priority, tags,
+ * assignee, parent, the recurrence rule and the fields declared in config.
+ * Its due date is the next occurrence after the completed instance's due
+ * date, or after today if that has passed.
+ * @param {string} content - Content of the completed task
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {{id: string, fileName: string, filePath: string}|null} Created task, or null if not recurring or it could not be created
+ */
+function createNextRecurrence(content, getTasksDir) {
+  const meta = parseFrontmatter(content);
+  const rule = meta.recurrence ? String(meta.recurrence) : '';
+  if (!rule || !parseRecurrence(rule)) return null;
+
+  const today = getLocalDate();
+  const due = meta.due ? String(meta.due) : '';
+  const from = isValidDate(due) && due > today ? due : today;
+  const nextDue = /** @type {string} */ (getNextOccurrence(rule, from));
+
+  /** @type {Record<string, string>} */
+  const fields = {};
+  Object.keys(getCustomFields('task', getTasksDir)).forEach((name) => {
+    const value = meta[name];
+    if (value === undefined || value === null || value === '') return;
+    fields[name] = Array.isArray(value) ? value.join(', ') : String(value);
+  });
+  const parent = meta.parent ? String(meta.parent) : '';
+
+  console.log(info(`${icons.clock} Recurring task - creating next instance due ${nextDue}`));
+  const next = tryCreateTask(
+    String(meta.title || 'Untitled'),
+    getTasksDir,
+    String(meta.priority || 'medium'),
+    String(meta.assignee || ''),
+    {
+      due: nextDue,
+      tags: toList(meta.tags),
+      recurrence: rule,
+      parent: parent && findTask(parent, getTasksDir) ? parent : undefined,
+      fields,
+    }
+  );
+  if (!next) {
+    console.log(
+      error(`${icons.cross} Could not create the next instance of ${meta.id || 'the task'}\n`)
+    );
+  }
+  return next;
+}
+
+/**
+ * Move task to a different workflow state
+ * The target must be a state of the configured workflow, and the move must be
+ * allowed by the workflow's transitions. Moving a parent task into a done
+ * state is refused while it still has open subtasks. `options.force` overrides
+ * both checks for exceptional cases. Every move is recorded in the task's
+ * History section, along with the reason if given. Finishing a recurring task
+ * creates its next instance, once: the finished task's `next` field names it.
  * @param {string} taskId - Task ID to move
- * @param {string} targetStatus - Target status directory (active, backlog, completed, archived)
+ * @param {string} targetStatus - Target workflow state (e.g. active, completed)
  * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {Object} [options] - Move options
+ * @param {boolean} [options.force] - Move even if the transition is not allowed or subtasks are still open
+ * @param {string} [options.reason] - Why the task is being moved
+ * @returns {boolean} True if the task was moved
  */
-function moveTask(taskId, targetStatus, getTasksDir) {
+function moveTask(taskId, targetStatus, getTasksDir, options = {}) {
+  const workflow = getWorkflow(getTasksDir);
+
+  if (!workflow.states.includes(targetStatus)) {
+    console.log(
+      error(
+        `\n${icons.cross} Unknown state "${targetStatus}". Valid states: ${workflow.states.join(', ')}\n`
+      )
+    );
+    return false;
+  }
+
   const task = findTask(taskId, getTasksDir);
 
   if (!task) {
     console.log(error(`\n${icons.cross} Task ${taskId} not found\n`));
-    return;
+    return false;
   }
 
   if (task.status === targetStatus) {
     console.log(warning(`\n${icons.warning} Task is already in ${targetStatus}\n`));
-    return;
+    return false;
+  }
+
+  const allowed = canTransition(workflow, task.status, targetStatus);
+  if (!allowed) {
+    const log = options.force ? warning : error;
+    const icon = options.force ? icons.warning : icons.cross;
+    console.log(log(`\n${icon} Moving from ${task.status} to ${targetStatus} is not allowed`));
+    console.log(
+      dim(
+        `   Allowed from ${task.status}: ${workflow.transitions[task.status].join(', ') || 'none'}`
+      )
+    );
+    if (!options.force) {
+      console.log(info(`\nUse --force to move anyway\n`));
+      return false;
+    }
+  }
+
+  const assignee = String(parseFrontmatter(fs.readFileSync(task.path, 'utf8')).assignee || '');
+  const wipViolations = getWipViolations(
+    { status: task.status, assignee },
+    targetStatus,
+    getTasksDir
+  );
+  if (wipViolations.length > 0) {
+    const log = options.force ? warning : error;
+    const icon = options.force ? icons.warning : icons.cross;
+    wipViolations.forEach((usage) => {
+      const scope = usage.assignee === null ? 'WIP limit' : `WIP limit for @${usage.assignee}`;
+      console.log(
+        log(`\n${icon} ${scope} reached: ${usage.count}/${usage.limit} task(s) in progress`)
+      );
+      usage.tasks.forEach((t) => {
+        console.log(dim(`   ${icons.bullet} ${t.id}: ${t.title} (${t.status})`));
+      });
+    });
+    if (!options.force) {
+      console.log(info(`\nFinish a task first, or use --force to move anyway\n`));
+      return false;
+    }
+  }
+
+  if (isDoneState(workflow, targetStatus)) {
+    const openChildren = getOpenChildren(taskId, getTasksDir);
+    if (openChildren.length > 0) {
+      const log = options.force ? warning : error;
+      const icon = options.force ? icons.warning : icons.cross;
+      console.log(
+        log(`\n${icon} Task ${normalizeTaskId(taskId)} has ${openChildren.length} open subtask(s):`)
+      );
+      openChildren.forEach((child) => {
+        console.log(dim(`   ${icons.bullet} ${child.id}: ${child.title} (${child.status})`));
+      });
+      if (!options.force) {
+        console.log(info(`\nComplete the subtasks first, or use --force to move anyway\n`));
+        return false;
+      }
+    }
   }
 
   const targetPath = path.join(getTasksDir(), targetStatus, task.file);
@@ -246,6 +515,15 @@ function moveTask(taskId, targetStatus, getTasksDir) {
   let content = fs.readFileSync(task.path, 'utf8');
   content = updateFrontmatter(content, 'status', targetStatus);
   content = updateFrontmatter(content, 'updated', getCurrentDate());
+  if (isDoneState(workflow, targetStatus) && !isDoneState(workflow, task.status)) {
+    content = updateFrontmatter(content, 'completedAt', getCurrentDate());
+  } else if (!isDoneState(workflow, targetStatus) && parseFrontmatter(content).completedAt) {
+    content = updateFrontmatter(content, 'completedAt', '');
+  }
+  content = recordChange(content, 'status', task.status, targetStatus, {
+    forced: !allowed || wipViolations.length > 0,
+    note: options.reason,
+  });
 
   // Move the file
   fs.writeFileSync(targetPath, content);
@@ -259,66 +537,235 @@ function moveTask(taskId, targetStatus, getTasksDir) {
       `   ${task.status} ${icons.arrow} ${colorize(targetStatus, /** @type {keyof typeof import('../utils').colors} */ (statusColor))}\n`
     )
   );
+
+  // `next` records the instance already created, so reopening and finishing
+  // the task again does not create another one
+  if (
+    isDoneState(workflow, targetStatus) &&
+    !isDoneState(workflow, task.status) &&
+    !parseFrontmatter(content).next
+  ) {
+    const next = createNextRecurrence(content, getTasksDir);
+    if (next) {
+      fs.writeFileSync(targetPath, updateFrontmatter(content, 'next', `TASK-${next.id}`));
+    }
+  }
+  return true;
 }
 
 /**
  * Update task metadata field
  * @param {string} taskId - Task ID to update
- * @param {string} field - Field name to update (title, priority, assignee, estimated, actual, tags)
+ * @param {string} field - Field name to update (title, priority, assignee, estimated, actual, tags, due, recurrence, or a field declared in config)
  * @param {string} value - New value for the field
  * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {boolean} True if the task was updated
  */
 function updateTask(taskId, field, value, getTasksDir) {
   const task = findTask(taskId, getTasksDir);
 
   if (!task) {
     console.log(error(`\n${icons.cross} Task ${taskId} not found\n`));
-    return;
+    return false;
   }
 
-  const validFields = ['priority', 'assignee', 'estimated', 'actual', 'tags'];
+  const validFields = [
+    'title',
+    'priority',
+    'assignee',
+    'estimated',
+    'actual',
+    'tags',
+    'due',
+    'recurrence',
+  ];
+  const customFields = getCustomFields('task', getTasksDir);
+  validFields.push(...Object.keys(customFields));
   if (!validFields.includes(field)) {
     console.log(
       error(`\n${icons.cross} Invalid field "${field}". Valid fields: ${validFields.join(', ')}\n`)
     );
-    return;
+    return false;
+  }
+
+  if (field === 'title') {
+    return renameTask(taskId, value, getTasksDir) !== null;
   }
 
   let content = fs.readFileSync(task.path, 'utf8');
+  const oldValue = parseFrontmatter(content)[field];
+  /** @type {import('../schema').YamlValue} */
+  let newValue = value;
 
   // Parse value for specific fields
   if (field === 'tags') {
-    const processedValue = value.split(',').map((/** @type {string} */ t) => t.trim());
-    content = updateFrontmatter(content, field, processedValue);
+    newValue = value.split(',').map((/** @type {string} */ t) => t.trim());
+    content = updateFrontmatter(content, field, newValue);
   } else if (field === 'priority') {
-    const validPriorities = ['low', 'medium', 'high'];
-    if (!validPriorities.includes(value)) {
+    if (!PRIORITIES.includes(value)) {
       console.log(error(`\n${icons.cross} Invalid priority. Use: low, medium, or high\n`));
-      return;
+      return false;
     }
     content = updateFrontmatter(content, field, value);
+  } else if (field === 'due') {
+    if (!isValidDate(value)) {
+      console.log(error(`\n${icons.cross} Invalid due date. Use YYYY-MM-DD\n`));
+      return false;
+    }
+    content = updateFrontmatter(content, field, value);
+  } else if (field === 'recurrence') {
+    if (!parseRecurrence(value)) {
+      console.log(
+        error(`\n${icons.cross} Invalid recurrence. Use daily, weekly[:mon,thu] or monthly[:15]\n`)
+      );
+      return false;
+    }
+    const due = String(parseFrontmatter(content).due || '');
+    newValue = anchorRecurrence(value, isValidDate(due) ? due : getLocalDate());
+    content = updateFrontmatter(content, field, newValue);
+  } else if (field in customFields) {
+    newValue = parseFieldValue(value, customFields[field]);
+    content = updateFrontmatter(content, field, newValue);
   } else {
     content = updateFrontmatter(content, field, value);
   }
+
+  const invalid = validateFrontmatter(
+    parseFrontmatter(content),
+    getSchema('task', getTasksDir),
+    'task'
+  ).find((issue) => issue.field === field && issue.severity === 'error');
+  if (invalid) {
+    console.log(error(`\n${icons.cross} ${invalid.message}\n`));
+    return false;
+  }
   content = updateFrontmatter(content, 'updated', getCurrentDate());
+  content = recordChange(content, field, oldValue, newValue);
 
   fs.writeFileSync(task.path, content);
 
   console.log(success(`\n${icons.check} Task updated successfully!`));
   console.log(info(`   ${field}: ${value}\n`));
+  return true;
+}
+
+/**
+ * Rename a task
+ * Updates the title and renames the file to match, keeping its ID and state.
+ * @param {string} taskId - Task ID to rename
+ * @param {string} title - New title
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {string|null} New file path, or null if the task could not be renamed
+ */
+function renameTask(taskId, title, getTasksDir) {
+  if (!title || title.trim() === '') {
+    console.log(error(`\n${icons.cross} Task title is required\n`));
+    return null;
+  }
+  title = title.trim();
+
+  const task = findTask(taskId, getTasksDir);
+  if (!task) {
+    console.log(error(`\n${icons.cross} Task ${taskId} not found\n`));
+    return null;
+  }
+
+  let content = fs.readFileSync(task.path, 'utf8');
+  const oldTitle = parseFrontmatter(content).title;
+  content = updateFrontmatter(content, 'title', title);
+  content = updateFrontmatter(content, 'updated', getCurrentDate());
+  content = recordChange(content, 'title', oldTitle, title);
+
+  const [id] = /** @type {RegExpMatchArray} */ (task.file.match(/^TASK-\d+/));
+  const fileName = getTaskFileName(id, title);
+  const targetPath = path.join(path.dirname(task.path), fileName);
+  fs.writeFileSync(targetPath, content);
+  if (targetPath !== task.path) {
+    fs.unlinkSync(task.path);
+  }
+
+  console.log(success(`\n${icons.check} Task renamed successfully!`));
+  console.log(info(`   title: ${title}`));
+  if (fileName !== task.file) {
+    console.log(dim(`   ${task.file} ${icons.arrow} ${fileName}\n`));
+  } else {
+    console.log('');
+  }
+  return targetPath;
+}
+
+/**
+ * Rename task files whose name no longer matches their title
+ * The ID in the file name is kept; only the slug is updated.
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun] - Only report what would be renamed
+ * @returns {Array<{status: string, from: string, to: string}>} Renamed (or to-be-renamed) files
+ */
+function fixFileNames(getTasksDir, options = {}) {
+  /** @type {Array<{status: string, from: string, to: string}>} */
+  const renames = [];
+
+  getWorkflow(getTasksDir).states.forEach((status) => {
+    const dirPath = path.join(getTasksDir(), status);
+    if (!fs.existsSync(dirPath)) return;
+
+    fs.readdirSync(dirPath)
+      .filter((f) => /^TASK-\d+.*\.md$/.test(f))
+      .forEach((file) => {
+        const meta = parseFrontmatter(fs.readFileSync(path.join(dirPath, file), 'utf8'));
+        if (!meta.title) return;
+
+        const id = /** @type {RegExpMatchArray} */ (file.match(/^TASK-\d+/))[0];
+        const expected = getTaskFileName(id, String(meta.title));
+        if (expected === file) return;
+
+        if (fs.existsSync(path.join(dirPath, expected))) {
+          console.log(warning(`${icons.warning} Skipping ${file}: ${expected} already exists`));
+          return;
+        }
+        if (!options.dryRun) {
+          fs.renameSync(path.join(dirPath, file), path.join(dirPath, expected));
+        }
+        renames.push({ status, from: file, to: expected });
+      });
+  });
+
+  if (renames.length === 0) {
+    console.log(dim(`\n${icons.info} All task file names match their titles\n`));
+    return renames;
+  }
+
+  const verb = options.dryRun ? 'Would rename' : 'Renamed';
+  console.log(success(`\n${icons.check} ${verb} ${renames.length} file(s):`));
+  renames.forEach((r) => {
+    console.log(dim(`   ${r.status}/${r.from} ${icons.arrow} ${r.to}`));
+  });
+  console.log('');
+  return renames;
 }
 
 /**
  * Archive completed tasks older than specified days
+ * Tasks move from the first done state to the first hidden state of the
+ * workflow (completed and archived by default).
  * @param {() => string} getTasksDir - Function to get tasks directory
  * @param {number} [days=30] - Number of days threshold for archiving
  */
 function archiveOldTasks(getTasksDir, days = 30) {
-  const completedDir = path.join(getTasksDir(), 'completed');
-  const archivedDir = path.join(getTasksDir(), 'archived');
+  const { done: from, archive: to } = getShortcutStates(getWorkflow(getTasksDir));
+  if (!from || !to || from === to) {
+    console.log(
+      warning(`\n${icons.warning} Workflow has no done and hidden states to archive between\n`)
+    );
+    return;
+  }
+
+  const completedDir = path.join(getTasksDir(), from);
+  const archivedDir = path.join(getTasksDir(), to);
 
   if (!fs.existsSync(completedDir)) {
-    console.log(dim(`\n${icons.info} No completed tasks to archive\n`));
+    console.log(dim(`\n${icons.info} No ${from} tasks to archive\n`));
     return;
   }
 
@@ -333,7 +780,13 @@ function archiveOldTasks(getTasksDir, days = 30) {
 
     if (daysSinceModified > days) {
       const targetPath = path.join(archivedDir, file);
-      fs.renameSync(filePath, targetPath);
+      let content = fs.readFileSync(filePath, 'utf8');
+      content = updateFrontmatter(content, 'status', to);
+      content = recordChange(content, 'status', from, to, {
+        note: `auto-archived after ${days} days`,
+      });
+      fs.writeFileSync(targetPath, content);
+      fs.unlinkSync(filePath);
       archivedCount++;
     }
   });
@@ -348,10 +801,20 @@ function archiveOldTasks(getTasksDir, days = 30) {
 }
 
 module.exports = {
+  TRASH_DIR,
+  ID_FILE,
+  LOCK_FILE,
+  PRIORITIES,
+  normalizeTaskId,
+  getTaskFileName,
+  getHighestTaskId,
   getNextTaskId,
   findTask,
   createTask,
   moveTask,
   updateTask,
+  renameTask,
+  fixFileNames,
   archiveOldTasks,
+  createNextRecurrence,
 };
@@ -0,0 +1,245 @@
+/**
+ * Task dependency management (depends_on / blocked-by tracking)
+ * @module task/depend
+ */
+
+const fs = require('fs');
+const {
+  success,
+  error,
+  warning,
+  dim,
+  icons,
+  getCurrentDate,
+  parseFrontmatter,
+  updateFrontmatter,
+} = require('../utils');
+const { normalizeTaskId, findTask } = require('./crud');
+const { getAllTasks, toList } = require('./list');
+const { getWorkflow, isDoneState } = require('./workflow');
+const { recordChange } = require('./history');
+
+/**
+ * Read the depends_on list from a task file
+ * @param {string} filePath - Path to the task file
+ * @returns {string[]} Dependency task IDs
+ */
+function readDependencies(filePath) {
+  const meta = parseFrontmatter(fs.readFileSync(filePath, 'utf8'));
+  return toList(meta.depends_on).map(normalizeTaskId);
+}
+
+/**
+ * Write the depends_on list to a task file
+ * @param {string} filePath - Path to the task file
+ * @param {string[]} dependencies - Dependency task IDs
+ */
+function writeDependencies(filePath, dependencies) {
+  let content = fs.readFileSync(filePath, 'utf8');
+  const previous = toList(parseFrontmatter(content).depends_on);
+  content = updateFrontmatter(content, 'depends_on', dependencies);
+  content = recordChange(content, 'depends_on', previous, dependencies);
+  content = updateFrontmatter(content, 'updated', getCurrentDate());
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Build a dependency graph of all tasks
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Map<string, {status: string, title: string, dependsOn: string[]}>} Graph keyed by task ID
+ */
+function getDependencyGraph(getTasksDir) {
+  /** @type {Map<string, {status: string, title: string, dependsOn: string[]}>} */
+  const graph = new Map();
+  getAllTasks(getTasksDir).forEach((task) => {
+    graph.set(task.id, { status: task.status, title: task.title, dependsOn: task.dependsOn });
+  });
+  return graph;
+}
+
+/**
+ * Find a dependency path from one task to another
+ * @param {Map<string, {dependsOn: string[]}>} graph - Dependency graph
+ * @param {string} fromId - Task to start from
+ * @param {string} toId - Task to look for
+ * @returns {string[]|null} Path of task IDs from `fromId` to `toId`, or null if unreachable
+ */
+function findDependencyPath(graph, fromId, toId) {
+  const visited = new Set();
+
+  /**
+   * @param {string} id
+   * @returns {string[]|null}
+   */
+  const visit = (id) => {
+    if (id === toId) return [id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+
+    const node = graph.get(id);
+    for (const dep of node ? node.dependsOn : []) {
+      const rest = visit(dep);
+      if (rest) return [id, ...rest];
+    }
+    return null;
+  };
+
+  return visit(fromId);
+}
+
+/**
+ * Get dependencies of a task that are not finished yet
+ * @param {string} taskId - Task ID
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Array<{id: string, title: string, status: string}>} Unfinished dependencies
+ */
+function getUnfinishedDependencies(taskId, getTasksDir) {
+  const workflow = getWorkflow(getTasksDir);
+  const graph = getDependencyGraph(getTasksDir);
+  const node = graph.get(normalizeTaskId(taskId));
+  if (!node) return [];
+
+  /** @type {Array<{id: string, title: string, status: string}>} */
+  const unfinished = [];
+  node.dependsOn.forEach((depId) => {
+    const dep = graph.get(depId);
+    if (dep && !isDoneState(workflow, dep.status)) {
+      unfinished.push({ id: depId, title: dep.title, status: dep.status });
+    }
+  });
+  return unfinished;
+}
+
+/**
+ * Get open tasks that are waiting on unfinished dependencies
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Array<{id: string, title: string, status: string, priority: string, blockedBy: string[]}>}
+ */
+function getBlockedTasks(getTasksDir) {
+  const workflow = getWorkflow(getTasksDir);
+  const allTasks = getAllTasks(getTasksDir);
+  /** @type {Map<string, string>} */
+  const statusById = new Map(allTasks.map((t) => [t.id, t.status]));
+
+  return allTasks
+    .filter((task) => !isDoneState(workflow, task.status))
+    .map((task) => ({
+      id: task.id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      blockedBy: task.dependsOn.filter((depId) => {
+        const status = statusById.get(depId);
+        return status !== undefined && !isDoneState(workflow, status);
+      }),
+    }))
+    .filter((task) => task.blockedBy.length > 0);
+}
+
+/**
+ * Record that a task depends on another task
+ * Rejects self-dependencies and dependencies that would create a cycle.
+ * @param {string} taskId - Task that cannot start yet
+ * @param {string} dependsOnId - Task that must be finished first
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {boolean} True if the dependency was added
+ */
+function addDependency(taskId, dependsOnId, getTasksDir) {
+  const task = findTask(taskId, getTasksDir);
+  if (!task) {
+    console.log(error(`\n${icons.cross} Task ${taskId} not found\n`));
+    return false;
+  }
+  if (!findTask(dependsOnId, getTasksDir)) {
+    console.log(error(`\n${icons.cross} Task ${dependsOnId} not found\n`));
+    return false;
+  }
+
+  const id = normalizeTaskId(taskId);
+  const depId = normalizeTaskId(dependsOnId);
+
+  if (id === depId) {
+    console.log(error(`\n${icons.cross} A task cannot depend on itself\n`));
+    return false;
+  }
+
+  const dependencies = readDependencies(task.path);
+  if (dependencies.includes(depId)) {
+    console.log(warning(`\n${icons.warning} ${id} already depends on ${depId}\n`));
+    return false;
+  }
+
+  // Adding id -> depId closes a cycle if depId already (transitively) depends on id
+  const cycle = findDependencyPath(getDependencyGraph(getTasksDir), depId, id);
+  if (cycle) {
+    console.log(error(`\n${icons.cross} Dependency would create a cycle:`));
+    console.log(dim(`   ${[id, ...cycle].join(` ${icons.arrow} `)}\n`));
+    return false;
+  }
+
+  writeDependencies(task.path, [...dependencies, depId]);
+  console.log(success(`\n${icons.check} ${id} now depends on ${depId}\n`));
+  return true;
+}
+
+/**
+ * Remove a dependency between two tasks
+ * @param {string} taskId - Dependent task
+ * @param {string} dependsOnId - Dependency to remove
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {boolean} True if the dependency was removed
+ */
+function removeDependency(taskId, dependsOnId, getTasksDir) {
+  const task = findTask(taskId, getTasksDir);
+  if (!task) {
+    console.log(error(`\n${icons.cross} Task ${taskId} not found\n`));
+    return false;
+  }
+
+  const id = normalizeTaskId(taskId);
+  const depId = normalizeTaskId(dependsOnId);
+  const dependencies = readDependencies(task.path);
+
+  if (!dependencies.includes(depId)) {
+    console.log(warning(`\n${icons.warning} ${id} does not depend on ${depId}\n`));
+    return false;
+  }
+
+  writeDependencies(
+    task.path,
+    dependencies.filter((d) => d !== depId)
+  );
+  console.log(success(`\n${icons.check} Removed dependency ${id} ${icons.arrow} ${depId}\n`));
+  return true;
+}
+
+/**
+ * Print a warning listing unfinished dependencies of a task
+ * Only the blockers are listed; the caller reports whether the task moved.
+ * @param {string} taskId - Task ID
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {boolean} True if the task has unfinished dependencies
+ */
+function warnUnfinishedDependencies(taskId, getTasksDir) {
+  const unfinished = getUnfinishedDependencies(taskId, getTasksDir);
+  if (unfinished.length === 0) return false;
+
+  console.log(
+    warning(
+      `\n${icons.warning} ${normalizeTaskId(taskId)} is blocked by ${unfinished.length} unfinished task(s):`
+    )
+  );
+  unfinished.forEach((dep) => {
+    console.log(dim(`   ${icons.bullet} ${dep.id}: ${dep.title} (${dep.status})`));
+  });
+  return true;
+}
+
+module.exports = {
+  addDependency,
+  removeDependency,
+  getUnfinishedDependencies,
+  getBlockedTasks,
+  findDependencyPath,
+  warnUnfinishedDependencies,
+};
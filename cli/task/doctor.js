@@ -0,0 +1,318 @@
+/**
+ * Workspace integrity checks (task doctor)
+ *
+ * Finds what hand edits and crashes leave behind: task files without
+ * frontmatter, a status that does not match the directory a file lives in,
+ * duplicate IDs, invalid priorities, unreadable time estimates, a stale
+ * `.task-id.lock` and an outdated `.last-task-id`.
+ *
+ * Safe problems can be repaired automatically (see fixProblems); the rest
+ * are reported with file and line so they can be fixed by hand.
+ *
+ * @module task/doctor
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  success,
+  warning,
+  dim,
+  bold,
+  icons,
+  parseTime,
+  parseFrontmatter,
+  splitFrontmatter,
+  getFrontmatterLine,
+} = require('../utils');
+const { ID_FILE, LOCK_FILE, PRIORITIES, getHighestTaskId } = require('./crud');
+const { getWorkflow } = require('./workflow');
+
+/** Age after which a lock file is stale even if its process still runs (ms) */
+const STALE_LOCK_AGE = 60 * 1000;
+
+/**
+ * @typedef {{type: 'move', to: string} | {type: 'remove'} | {type: 'write', content: string}} Repair
+ */
+
+/**
+ * @typedef {Object} Problem
+ * @property {string} file - Path of the file with the problem
+ * @property {number|null} line - Line number (1-based), or null for the whole file
+ * @property {string} message - What is wrong
+ * @property {Repair|null} repair - Safe automatic repair, or null if it must be fixed by hand
+ */
+
+/**
+ * Whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return /** @type {NodeJS.ErrnoException} */ (err).code === 'EPERM';
+  }
+}
+
+/**
+ * Check one task file
+ * @param {string} filePath - Task file path
+ * @param {string} dir - State directory the file is in
+ * @param {string[]} states - Workflow states
+ * @returns {Problem[]} Problems found in the file
+ */
+function checkTaskFile(filePath, dir, states) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const file = path.basename(filePath);
+  /** @type {Problem[]} */
+  const problems = [];
+  /**
+   * @param {string|null} field - Field the problem is on (for the line number)
+   * @param {string} message - What is wrong
+   * @param {Repair|null} [repair] - Safe repair
+   */
+  const report = (field, message, repair = null) => {
+    const line = field ? getFrontmatterLine(content, field) : null;
+    problems.push({ file: filePath, line: line || (field ? 1 : null), message, repair });
+  };
+
+  if (!splitFrontmatter(content).frontmatter) {
+    problems.push({
+      file: filePath,
+      line: 1,
+      message: 'Missing frontmatter (expected a "---" block at the top of the file)',
+      repair: null,
+    });
+    return problems;
+  }
+
+  const meta = parseFrontmatter(content);
+  const fileId = /** @type {RegExpMatchArray} */ (file.match(/^TASK-\d+/))[0];
+  const id = typeof meta.id === 'string' ? meta.id : '';
+  if (id === '') {
+    report('id', `Missing id (file name says ${fileId})`);
+  } else if (id.toUpperCase() !== fileId) {
+    report('id', `id ${id} does not match file name ${fileId}`);
+  }
+
+  const status = typeof meta.status === 'string' ? meta.status : '';
+  if (status === '') {
+    report('status', `Missing status (file is in ${dir}/)`);
+  } else if (!states.includes(status)) {
+    report('status', `Unknown status "${status}" (use ${states.join(', ')})`);
+  } else if (status !== dir) {
+    report('status', `status is "${status}" but the file is in ${dir}/`, {
+      type: 'move',
+      to: path.join(path.dirname(path.dirname(filePath)), status, file),
+    });
+  }
+
+  const priority = typeof meta.priority === 'string' ? meta.priority : '';
+  if (!PRIORITIES.includes(priority)) {
+    report(
+      'priority',
+      priority === ''
+        ? 'Missing priority'
+        : `Invalid priority "${priority}" (use ${PRIORITIES.join(', ')})`
+    );
+  }
+
+  ['estimated', 'actual'].forEach((field) => {
+    const value = meta[field];
+    if (value === undefined || value === '') return;
+    if (typeof value !== 'string' || parseTime(value) === null) {
+      report(field, `Cannot read ${field} "${value}" (use e.g. 2h, 30m or 1h 30m)`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Check the ID counter and lock file
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Problem[]} Problems found
+ */
+function checkIdFiles(getTasksDir) {
+  /** @type {Problem[]} */
+  const problems = [];
+  const lockFile = path.join(getTasksDir(), LOCK_FILE);
+  const idFile = path.join(getTasksDir(), ID_FILE);
+
+  if (fs.existsSync(lockFile)) {
+    const pid = parseInt(fs.readFileSync(lockFile, 'utf8').trim());
+    const age = Date.now() - fs.statSync(lockFile).mtimeMs;
+    if (isNaN(pid) || !isProcessRunning(pid) || age > STALE_LOCK_AGE) {
+      problems.push({
+        file: lockFile,
+        line: null,
+        message: 'Stale lock left behind by an interrupted "task new"',
+        repair: { type: 'remove' },
+      });
+    }
+  }
+
+  const highest = getHighestTaskId(getTasksDir);
+  const repair = /** @type {Repair} */ ({ type: 'write', content: String(highest) });
+  if (!fs.existsSync(idFile)) {
+    if (highest > 0) {
+      problems.push({ file: idFile, line: null, message: 'Missing ID counter', repair });
+    }
+    return problems;
+  }
+
+  const stored = fs.readFileSync(idFile, 'utf8').trim();
+  if (!/^\d+$/.test(stored)) {
+    problems.push({ file: idFile, line: 1, message: `Invalid ID counter "${stored}"`, repair });
+  } else if (parseInt(stored) < highest) {
+    problems.push({
+      file: idFile,
+      line: 1,
+      message: `ID counter is ${stored} but TASK-${String(highest).padStart(3, '0')} exists`,
+      repair,
+    });
+  }
+  return problems;
+}
+
+/**
+ * Check the whole task workspace
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {{checked: number, problems: Problem[]}} Number of task files checked and problems found
+ */
+function checkWorkspace(getTasksDir) {
+  const { states } = getWorkflow(getTasksDir);
+  /** @type {Problem[]} */
+  const problems = [];
+  /** @type {Map<string, string>} */
+  const seen = new Map();
+  let checked = 0;
+
+  states.forEach((dir) => {
+    const dirPath = path.join(getTasksDir(), dir);
+    if (!fs.existsSync(dirPath)) return;
+
+    fs.readdirSync(dirPath)
+      .filter((file) => file.endsWith('.md'))
+      .sort()
+      .forEach((file) => {
+        const filePath = path.join(dirPath, file);
+        const match = file.match(/^TASK-\d+/);
+        if (!match) {
+          problems.push({
+            file: filePath,
+            line: null,
+            message: 'File name does not start with a task ID, so the task is ignored',
+            repair: null,
+          });
+          return;
+        }
+
+        checked++;
+        const previous = seen.get(match[0]);
+        if (previous) {
+          problems.push({
+            file: filePath,
+            line: null,
+            message: `Duplicate ID ${match[0]} (also used by ${path.relative(getTasksDir(), previous)})`,
+            repair: null,
+          });
+        } else {
+          seen.set(match[0], filePath);
+        }
+        problems.push(...checkTaskFile(filePath, dir, states));
+      });
+  });
+
+  problems.push(...checkIdFiles(getTasksDir));
+  return { checked, problems };
+}
+
+/**
+ * Apply the safe repairs of the given problems
+ * A file is never moved over an existing one.
+ * @param {Problem[]} problems - Problems (those without a repair are skipped)
+ * @returns {Problem[]} Problems that were fixed
+ */
+function fixProblems(problems) {
+  /** @type {Problem[]} */
+  const fixed = [];
+  problems.forEach((problem) => {
+    const { repair } = problem;
+    if (!repair) return;
+
+    if (repair.type === 'move') {
+      if (!fs.existsSync(problem.file) || fs.existsSync(repair.to)) return;
+      fs.mkdirSync(path.dirname(repair.to), { recursive: true });
+      fs.renameSync(problem.file, repair.to);
+    } else if (repair.type === 'remove') {
+      fs.rmSync(problem.file, { force: true });
+    } else {
+      fs.writeFileSync(problem.file, repair.content);
+    }
+    fixed.push(problem);
+  });
+  return fixed;
+}
+
+/**
+ * Describe what a repair does
+ * @param {Repair} repair - Repair
+ * @param {string} tasksDir - Tasks directory (to shorten paths)
+ * @returns {string} Short description
+ */
+function describeRepair(repair, tasksDir) {
+  if (repair.type === 'move') return `move to ${path.relative(tasksDir, path.dirname(repair.to))}/`;
+  if (repair.type === 'remove') return 'remove';
+  return `set to ${repair.content}`;
+}
+
+/**
+ * Check the workspace, print the problems and optionally fix the safe ones
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fix=false] - Repair the problems that can be fixed safely
+ * @returns {{problems: Problem[], fixed: Problem[]}} Problems found and those fixed
+ */
+function runDoctor(getTasksDir, options = {}) {
+  const tasksDir = getTasksDir();
+  const { checked, problems } = checkWorkspace(getTasksDir);
+  const fixed = options.fix ? fixProblems(problems) : [];
+
+  console.log(bold(`\n${icons.info} Checked ${checked} task file(s) in ${tasksDir}\n`));
+
+  if (problems.length === 0) {
+    console.log(success(`${icons.check} No problems found\n`));
+    return { problems, fixed };
+  }
+
+  problems.forEach((problem) => {
+    const where = `${path.relative(tasksDir, problem.file) || problem.file}${problem.line ? `:${problem.line}` : ''}`;
+    const repaired = fixed.includes(problem);
+    const icon = repaired ? success(icons.check) : warning(icons.warning);
+    const hint = problem.repair
+      ? dim(` (${repaired ? 'fixed' : 'fixable'}: ${describeRepair(problem.repair, tasksDir)})`)
+      : '';
+    console.log(`${icon} ${bold(where)} ${problem.message}${hint}`);
+  });
+
+  const fixable = problems.filter((p) => p.repair && !fixed.includes(p)).length;
+  const left = problems.length - fixed.length;
+  console.log('');
+  if (fixed.length > 0) console.log(success(`${icons.check} Fixed ${fixed.length} problem(s)`));
+  if (left > 0) {
+    console.log(warning(`${icons.warning} ${left} problem(s) left`));
+    if (fixable > 0) console.log(dim(`Run "task doctor --fix" to repair ${fixable} of them`));
+  }
+  console.log('');
+  return { problems, fixed };
+}
+
+module.exports = {
+  checkWorkspace,
+  fixProblems,
+  runDoctor,
+};
@@ -11,8 +11,39 @@ const {
   icons,
   getCurrentDate,
   updateFrontmatter,
+  parseFrontmatter,
+  splitFrontmatter,
   openInEditor,
 } = require('../utils');
+const { appendHistory, recordChange } = require('./history');
+
+/**
+ * Record what changed between two versions of a task in its History section
+ * Each changed frontmatter field gets its own entry; any change to the body
+ * is recorded as a single "body: edited" entry.
+ * @param {string} before - Content before editing
+ * @param {string} after - Content after editing
+ * @returns {string} `after` with history entries appended
+ */
+function recordEdit(before, after) {
+  const oldMeta = parseFrontmatter(before);
+  const newMeta = parseFrontmatter(after);
+  const fields = [...new Set([...Object.keys(oldMeta), ...Object.keys(newMeta)])].filter(
+    (field) => field !== 'updated'
+  );
+
+  let content = after;
+  fields.forEach((field) => {
+    content = recordChange(content, field, oldMeta[field], newMeta[field]);
+  });
+
+  /** @param {string} text */
+  const body = (text) => splitFrontmatter(text).body.trim();
+  if (body(before) !== body(after)) {
+    content = appendHistory(content, 'body: edited');
+  }
+  return content;
+}
 
 /**
  * Open task file in default editor
@@ -38,7 +69,10 @@ async function editTask(taskId, findTask, getTasksDir) {
   // Only update 'updated' field if content actually changed
   const newContent = fs.readFileSync(task.path, 'utf8');
   if (newContent !== originalContent) {
-    const updatedContent = updateFrontmatter(newContent, 'updated', getCurrentDate());
+    const updatedContent = recordEdit(
+      originalContent,
+      updateFrontmatter(newContent, 'updated', getCurrentDate())
+    );
     fs.writeFileSync(task.path, updatedContent);
     console.log(success(`\n${icons.check} Task updated!\n`));
   } else {
@@ -48,4 +82,5 @@ async function editTask(taskId, findTask, getTasksDir) {
 
 module.exports = {
   editTask,
+  recordEdit,
 };
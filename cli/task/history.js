@@ -0,0 +1,215 @@
+/**
+ * Task history section (## History in the task body)
+ *
+ * Every status move, field update and edit appends one line:
+ *
+ *   - 2026-10-19 14:03:22 status: backlog -> archived (forced): Duplicate of TASK-009
+ *   - 2026-10-19 14:05:10 priority: medium -> high
+ *   - 2026-10-19 14:06:45 body: edited
+ *   - 2026-10-19 14:08:02 title: Fix login -> "Fix: login -> crash"
+ *
+ * Values that contain " -> ", ": " or " (forced)" are double-quoted so the
+ * entry can be read back.
+ *
+ * @module task/history
+ */
+
+const fs = require('fs');
+const { error, dim, bold, icons, formatTable, getCurrentDateTime } = require('../utils');
+
+const HISTORY_HEADING = '## History';
+const ENTRY_PATTERN = /^- (\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}) ([\w-]+): (.*)$/;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} timestamp - When the change happened (UTC, YYYY-MM-DD HH:MM:SS)
+ * @property {string} field - Changed field ("status", "priority", "body", ...)
+ * @property {string} [from] - Previous value
+ * @property {string} [to] - New value
+ * @property {boolean} forced - Whether a transition rule was overridden
+ * @property {string} [note] - Reason or free-form description
+ */
+
+/**
+ * Append an entry to the History section of a task, creating the section if needed
+ * Entries are Markdown list items prefixed with the current UTC date and time.
+ * @param {string} content - Task file content
+ * @param {string} entry - Entry text (e.g. "status: backlog -> active: picked up")
+ * @returns {string} Updated task file content
+ */
+function appendHistory(content, entry) {
+  const line = `- ${getCurrentDateTime()} ${entry}`;
+  const lines = content.replace(/\n+$/, '').split('\n');
+  const start = lines.indexOf(HISTORY_HEADING);
+
+  if (start === -1) {
+    return `${lines.join('\n')}\n\n${HISTORY_HEADING}\n\n${line}\n`;
+  }
+
+  // Insert after the last entry of the section (before the next heading)
+  let end = lines.findIndex((l, i) => i > start && /^#{1,2} /.test(l));
+  if (end === -1) end = lines.length;
+  while (end > start + 1 && lines[end - 1].trim() === '') end--;
+
+  lines.splice(end, 0, ...(end === start + 1 ? ['', line] : [line]));
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format a frontmatter value for a history entry
+ * @param {unknown} value - Field value
+ * @returns {string} Single-line representation ("(none)" when empty)
+ */
+function formatValue(value) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    const entries = Object.entries(value).map(([key, item]) => `${key}: ${formatValue(item)}`);
+    return entries.length === 0 ? '(none)' : entries.join(', ');
+  }
+  const list = Array.isArray(value) ? value : value === undefined || value === null ? [] : [value];
+  const text = list
+    .filter((v) => v !== '')
+    .map((v) => (v !== null && typeof v === 'object' ? formatValue(v) : v))
+    .join(', ');
+  return text.trim() === '' ? '(none)' : text.replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Quote a value that would otherwise be split wrongly when the entry is read back
+ * @param {string} text - Formatted value
+ * @returns {string} Value, double-quoted if it contains an entry separator
+ */
+function quoteValue(text) {
+  return /^"| -> |: | \(forced\)/.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Read a value from the start of an entry's details
+ * @param {string} text - Details text starting with the value
+ * @param {string[]} separators - Texts that end an unquoted value
+ * @returns {{value: string, rest: string}} Value and the text after it
+ */
+function readValue(text, separators) {
+  const quoted = text.match(/^"(?:[^"\\]|\\.)*"/);
+  if (quoted) {
+    return { value: JSON.parse(quoted[0]), rest: text.slice(quoted[0].length) };
+  }
+  const end = Math.min(
+    ...separators.map((separator) => {
+      const index = text.indexOf(separator);
+      return index === -1 ? text.length : index;
+    })
+  );
+  return { value: text.slice(0, end), rest: text.slice(end) };
+}
+
+/**
+ * Append a field change to the History section
+ * Nothing is recorded when the value did not change.
+ * @param {string} content - Task file content
+ * @param {string} field - Changed field
+ * @param {unknown} from - Previous value
+ * @param {unknown} to - New value
+ * @param {Object} [options] - Entry details
+ * @param {boolean} [options.forced] - Mark the change as overriding a rule
+ * @param {string} [options.note] - Reason for the change
+ * @returns {string} Updated task file content
+ */
+function recordChange(content, field, from, to, options = {}) {
+  const oldValue = formatValue(from);
+  const newValue = formatValue(to);
+  if (oldValue === newValue) return content;
+
+  const forced = options.forced ? ' (forced)' : '';
+  const note = options.note ? `: ${options.note}` : '';
+  return appendHistory(
+    content,
+    `${field}: ${quoteValue(oldValue)} -> ${quoteValue(newValue)}${forced}${note}`
+  );
+}
+
+/**
+ * Parse the History section of a task
+ * @param {string} content - Task file content
+ * @returns {HistoryEntry[]} Entries, oldest first
+ */
+function parseHistory(content) {
+  const lines = content.split('\n');
+  const start = lines.indexOf(HISTORY_HEADING);
+  if (start === -1) return [];
+
+  /** @type {HistoryEntry[]} */
+  const entries = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^#{1,2} /.test(line)) break;
+    const match = line.match(ENTRY_PATTERN);
+    if (!match) continue;
+
+    const [, timestamp, field, details] = match;
+    const from = readValue(details, [' -> ']);
+    if (!from.rest.startsWith(' -> ')) {
+      entries.push({ timestamp, field, forced: false, note: details });
+      continue;
+    }
+
+    const to = readValue(from.rest.slice(' -> '.length), [' (forced)', ': ']);
+    let rest = to.rest;
+    const forced = rest.startsWith(' (forced)');
+    if (forced) rest = rest.slice(' (forced)'.length);
+    entries.push({
+      timestamp,
+      field,
+      from: from.value,
+      to: to.value,
+      forced,
+      note: rest.startsWith(': ') ? rest.slice(2) : undefined,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Print the change history of a task
+ * @param {string} taskId - Task ID
+ * @param {(taskId: string, getTasksDir: () => string) => {file: string, path: string, status: string}|null} findTask - Function to find task
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {HistoryEntry[]|null} Entries, or null if the task does not exist
+ */
+function showHistory(taskId, findTask, getTasksDir) {
+  const task = findTask(taskId, getTasksDir);
+
+  if (!task) {
+    console.log(error(`\n${icons.cross} Task ${taskId} not found\n`));
+    return null;
+  }
+
+  const entries = parseHistory(fs.readFileSync(task.path, 'utf8'));
+  const id = task.file.split('-').slice(0, 2).join('-');
+  console.log(bold(`\n${icons.clock} History of ${id}\n`));
+
+  if (entries.length === 0) {
+    console.log(dim(`${icons.info} No recorded changes\n`));
+    return entries;
+  }
+
+  console.log(
+    formatTable(
+      ['When', 'Field', 'From', 'To', 'Note'],
+      entries.map((e) => [
+        e.timestamp,
+        e.field,
+        e.from || '-',
+        e.to || '-',
+        [e.forced ? 'forced' : '', e.note || ''].filter(Boolean).join(': ') || '-',
+      ])
+    )
+  );
+  console.log('');
+  return entries;
+}
+
+module.exports = {
+  appendHistory,
+  recordChange,
+  parseHistory,
+  showHistory,
+};
@@ -9,6 +9,20 @@ const list = require('./list');
 const stats = require('./stats');
 const edit = require('./edit');
 const standup = require('./standup');
+const depend = require('./depend');
+const agenda = require('./agenda');
+const board = require('./board');
+const wip = require('./wip');
+const workflow = require('./workflow');
+const history = require('./history');
+const timer = require('./timer');
+const timesheet = require('./timesheet');
+const trash = require('./trash');
+const bulk = require('./bulk');
+const query = require('./query');
+const views = require('./views');
+const output = require('./output');
+const doctor = require('./doctor');
 
 module.exports = {
   // CRUD operations
@@ -17,10 +31,14 @@ module.exports = {
   createTask: crud.createTask,
   moveTask: crud.moveTask,
   updateTask: crud.updateTask,
+  renameTask: crud.renameTask,
+  fixFileNames: crud.fixFileNames,
   archiveOldTasks: crud.archiveOldTasks,
 
   // List operations
   listTasks: list.listTasks,
+  filterTasks: list.filterTasks,
+  sortTasks: list.sortTasks,
   viewTask: list.viewTask,
   searchTasks: list.searchTasks,
   getAllTasks: list.getAllTasks,
@@ -36,4 +54,71 @@ module.exports = {
   generateStandup: standup.generateStandup,
   printStandup: standup.printStandup,
   getWeeklySummary: standup.getWeeklySummary,
+
+  // Dependency operations
+  addDependency: depend.addDependency,
+  removeDependency: depend.removeDependency,
+  getUnfinishedDependencies: depend.getUnfinishedDependencies,
+  getBlockedTasks: depend.getBlockedTasks,
+
+  // Agenda operations
+  getAgenda: agenda.getAgenda,
+  printAgenda: agenda.printAgenda,
+
+  // Board
+  getBoard: board.getBoard,
+  printBoard: board.printBoard,
+
+  // WIP limits
+  getWipLimits: wip.getWipLimits,
+  getWipStatus: wip.getWipStatus,
+
+  // Workspace checks
+  checkWorkspace: doctor.checkWorkspace,
+  runDoctor: doctor.runDoctor,
+
+  // Workflow
+  getWorkflow: workflow.getWorkflow,
+  canTransition: workflow.canTransition,
+
+  // History
+  parseHistory: history.parseHistory,
+  showHistory: history.showHistory,
+
+  // Time tracking
+  getRunningTimer: timer.getRunningTimer,
+  getSessions: timer.getSessions,
+  startTimer: timer.startTimer,
+  stopTimer: timer.stopTimer,
+  printTimerStatus: timer.printTimerStatus,
+  getTimesheet: timesheet.getTimesheet,
+  generateTimesheet: timesheet.generateTimesheet,
+
+  // Trash
+  getTrash: trash.getTrash,
+  deleteTask: trash.deleteTask,
+  restoreTask: trash.restoreTask,
+  emptyTrash: trash.emptyTrash,
+  printTrash: trash.printTrash,
+
+  // Bulk operations
+  isTaskSpec: bulk.isTaskSpec,
+  selectTasks: bulk.selectTasks,
+  applyToTasks: bulk.applyToTasks,
+
+  // Query language
+  parseQuery: query.parseQuery,
+  createQueryFilter: query.createQueryFilter,
+
+  // Saved views
+  getViews: views.getViews,
+  getView: views.getView,
+  saveView: views.saveView,
+  deleteView: views.deleteView,
+  printViews: views.printViews,
+
+  // Output formats
+  formatTasks: output.formatTasks,
+  formatTask: output.formatTask,
+  formatStats: output.formatStats,
 };
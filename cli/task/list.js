@@ -11,12 +11,30 @@ const {
   icons,
   formatDate,
   parseFrontmatter,
+  splitFrontmatter,
   formatTable,
   colorize,
   getStatusColor,
   getPriorityColor,
   error,
+  warning,
+  isOverdue,
+  getCurrentDate,
+  scoreDocument,
+  recencyBoost,
+  findSnippet,
+  highlightMatches,
 } = require('../utils');
+const { getWorkflow, getVisibleStates } = require('./workflow');
+const {
+  parseQuery,
+  queryUsesField,
+  createQueryFilter,
+  isTextTerm,
+  getTextTerms,
+} = require('./query');
+const { formatTasks, formatTask } = require('./output');
+const { getCustomFields, isCustomField } = require('../schema');
 
 // ============================================================================
 // Type Definitions
@@ -35,6 +53,10 @@ const {
  * @property {string} [updated] - Last update date
  * @property {string} [completedAt] - Completion date
  * @property {string|string[]} [tags] - Task tags
+ * @property {string} [due] - Due date (YYYY-MM-DD)
+ * @property {string} [recurrence] - Recurrence rule
+ * @property {string} [parent] - Parent task ID
+ * @property {string|string[]} [depends_on] - IDs of tasks that must be finished first
  */
 
 /**
@@ -46,51 +68,277 @@ function asTaskMeta(frontmatter) {
   return /** @type {TaskMeta} */ (frontmatter);
 }
 
+/**
+ * Normalize a frontmatter list value (e.g. tags, depends_on) to an array
+ * @param {string|string[]|undefined} value - Raw frontmatter value
+ * @returns {string[]} Non-empty list items
+ */
+function toList(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return list.filter((item) => item !== '');
+}
+
+/**
+ * Format a due date, highlighting it when the task is overdue
+ * Finished tasks are never shown as overdue.
+ * @param {string|undefined} due - Due date (YYYY-MM-DD)
+ * @param {string} status - Task status
+ * @param {string[]} [doneStates] - States in which a task is finished
+ * @returns {string} Formatted due date or '-'
+ */
+function formatDue(due, status, doneStates = ['completed', 'archived']) {
+  if (!due) return '-';
+  if (!doneStates.includes(status) && isOverdue(due)) {
+    return colorize(`${due} (overdue)`, 'red');
+  }
+  return due;
+}
+
+/**
+ * Print tasks as a parent/child tree
+ * Tasks whose parent is not part of `tasks` are rendered as roots. Tasks in a
+ * parent cycle (A is the parent of B and B of A) have no root; they are
+ * printed at the top level after a warning.
+ * @param {Array<{id: string, title: string, status: string, priority: string, parent?: string}>} tasks - Tasks to render
+ * @param {string} [indentPrefix='  '] - Prefix printed before every line
+ */
+function printTaskTree(tasks, indentPrefix = '  ') {
+  const ids = new Set(tasks.map((t) => t.id));
+  /** @type {Record<string, typeof tasks>} */
+  const childrenOf = {};
+  tasks.forEach((task) => {
+    if (task.parent && ids.has(task.parent)) {
+      if (!childrenOf[task.parent]) {
+        childrenOf[task.parent] = [];
+      }
+      childrenOf[task.parent].push(task);
+    }
+  });
+
+  const roots = tasks.filter((t) => !t.parent || !ids.has(t.parent));
+  const visited = new Set();
+
+  /**
+   * @param {typeof tasks[number]} task
+   * @param {string} prefix
+   * @param {string} connector
+   * @param {string} childPrefix
+   */
+  const printNode = (task, prefix, connector, childPrefix) => {
+    if (visited.has(task.id)) return;
+    visited.add(task.id);
+
+    const statusBadge = colorize(
+      task.status,
+      /** @type {keyof typeof import('../utils').colors} */ (getStatusColor(task.status))
+    );
+    const priorityBadge = colorize(
+      `[${task.priority}]`,
+      /** @type {keyof typeof import('../utils').colors} */ (getPriorityColor(task.priority))
+    );
+    console.log(
+      `${prefix}${connector}${bold(task.id)}: ${task.title} ${statusBadge} ${priorityBadge}`
+    );
+
+    const children = childrenOf[task.id] || [];
+    children.forEach((child, index) => {
+      const isLast = index === children.length - 1;
+      printNode(child, prefix + childPrefix, isLast ? '└─ ' : '├─ ', isLast ? '   ' : '│  ');
+    });
+  };
+
+  roots.forEach((task) => printNode(task, indentPrefix, '', ''));
+
+  const unreached = tasks.filter((t) => !visited.has(t.id));
+  if (unreached.length > 0) {
+    console.log(
+      warning(
+        `${indentPrefix}${icons.warning} Parent cycle: ${unreached.map((t) => t.id).join(', ')}`
+      )
+    );
+    unreached.forEach((task) => printNode(task, indentPrefix, '', ''));
+  }
+}
+
 // ============================================================================
 // List Tasks
 // ============================================================================
 
+const PRIORITY_ORDER = ['high', 'medium', 'low'];
+const SORT_FIELDS = ['priority', 'created', 'updated', 'id'];
+
 /**
- * List tasks by status
- * @param {() => string} getTasksDir - Function to get tasks directory
- * @param {string|null} [status=null] - Specific status to filter by, or null for all active statuses
+ * @typedef {Object} ListOptions
+ * @property {boolean} [tree] - Render parent/child hierarchy instead of grouping by status
+ * @property {string} [priority] - Only tasks with this priority (comma-separated for any of several)
+ * @property {string} [assignee] - Only tasks assigned to this person (comma-separated for any of several)
+ * @property {string} [tag] - Only tasks with this tag (comma-separated for any of several)
+ * @property {string} [createdSince] - Only tasks created on or after this date (YYYY-MM-DD)
+ * @property {string} [updatedBefore] - Only tasks last updated before this date (YYYY-MM-DD)
+ * @property {'priority'|'created'|'updated'|'id'} [sort] - Sort field (prints a single list instead of groups)
+ * @property {boolean} [reverse] - Reverse the sort order
+ * @property {number} [limit] - Show at most this many tasks
+ * @property {string} [query] - Query expression (see task/query); searches every state if it filters on status
+ * @property {import('./output').OutputFormat} [format] - Print machine-readable output instead of text
  */
-function listTasks(getTasksDir, status = null) {
-  const dirs = status ? [status] : ['active', 'backlog', 'completed'];
-  /** @type {Array<{id: string, title: string, status: string, priority: string, assignee: string, estimated: string, actual: string, created: string}>} */
-  const allTasks = [];
-
-  dirs.forEach((dir) => {
-    const dirPath = path.join(getTasksDir(), dir);
-    if (fs.existsSync(dirPath)) {
-      const files = fs.readdirSync(dirPath).filter((f) => f.startsWith('TASK-'));
 
-      files.forEach((file) => {
-        const content = fs.readFileSync(path.join(dirPath, file), 'utf8');
-        const meta = asTaskMeta(parseFrontmatter(content));
+/**
+ * Split a comma-separated option into lowercase values
+ * @param {string} value - Option value (e.g. "high,medium")
+ * @returns {string[]} Values without "@" prefixes
+ */
+function optionValues(value) {
+  return value
+    .split(',')
+    .map((v) => v.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+}
 
-        allTasks.push({
-          id: String(meta.id || file.split('-').slice(0, 2).join('-')),
-          title: String(meta.title || 'Unknown'),
-          status: String(meta.status || dir),
-          priority: String(meta.priority || 'medium'),
-          assignee: String(meta.assignee || '-'),
-          estimated: String(meta.estimated || '0h'),
-          actual: String(meta.actual || '0h'),
-          created: String(meta.created || ''),
-        });
-      });
+/**
+ * Filter tasks by priority, assignee, tag and dates
+ * All given filters must match.
+ * @param {TaskSummary[]} tasks - Tasks to filter
+ * @param {ListOptions} [options] - Filters
+ * @returns {TaskSummary[]} Matching tasks
+ */
+function filterTasks(tasks, options = {}) {
+  return tasks.filter((task) => {
+    if (options.priority && !optionValues(options.priority).includes(task.priority)) {
+      return false;
+    }
+    if (
+      options.assignee &&
+      !optionValues(options.assignee).includes(task.assignee.toLowerCase().replace(/^@/, ''))
+    ) {
+      return false;
     }
+    if (options.tag) {
+      const wanted = optionValues(options.tag);
+      if (!task.tags.some((t) => wanted.includes(t.toLowerCase()))) return false;
+    }
+    if (options.createdSince && !(task.created && task.created >= options.createdSince)) {
+      return false;
+    }
+    if (options.updatedBefore && !(task.updated && task.updated < options.updatedBefore)) {
+      return false;
+    }
+    return true;
   });
+}
+
+/**
+ * Sort tasks
+ * Priority sorts high to low, the other fields oldest/lowest first; ties are
+ * broken by ID.
+ * @param {TaskSummary[]} tasks - Tasks to sort
+ * @param {'priority'|'created'|'updated'|'id'} field - Sort field
+ * @param {boolean} [reverse=false] - Reverse the order
+ * @returns {TaskSummary[]} Sorted copy
+ */
+function sortTasks(tasks, field, reverse = false) {
+  /** @param {TaskSummary} task */
+  const rank = (task) => {
+    const index = PRIORITY_ORDER.indexOf(task.priority);
+    return index === -1 ? PRIORITY_ORDER.length : index;
+  };
+  /** @type {(a: TaskSummary, b: TaskSummary) => number} */
+  const compare = (a, b) => {
+    let result = 0;
+    if (field === 'priority') result = rank(a) - rank(b);
+    else if (field === 'created') result = a.created.localeCompare(b.created);
+    else if (field === 'updated') result = a.updated.localeCompare(b.updated);
+    return result || a.id.localeCompare(b.id, undefined, { numeric: true });
+  };
+
+  const sorted = [...tasks].sort(compare);
+  return reverse ? sorted.reverse() : sorted;
+}
+
+/**
+ * Print a task with its details
+ * @param {TaskSummary} task - Task to print
+ * @param {string[]} doneStates - Workflow states that count as finished
+ * @param {boolean} [showStatus=false] - Include a status badge
+ */
+function printTaskLine(task, doneStates, showStatus = false) {
+  const priorityBadge = colorize(
+    `[${task.priority}]`,
+    /** @type {keyof typeof import('../utils').colors} */ (getPriorityColor(task.priority))
+  );
+  const statusBadge = showStatus
+    ? ` ${colorize(
+        task.status,
+        /** @type {keyof typeof import('../utils').colors} */ (getStatusColor(task.status))
+      )}`
+    : '';
+  const assigneeBadge = task.assignee ? dim(`@${task.assignee}`) : '';
+
+  console.log(
+    `  ${icons.bullet} ${bold(task.id)}: ${task.title}${statusBadge} ${priorityBadge} ${assigneeBadge}`
+  );
+  const dueInfo = task.due ? ` | Due: ${formatDue(task.due, task.status, doneStates)}` : '';
+  console.log(
+    dim(
+      `    Est: ${task.estimated} | Actual: ${task.actual} | Created: ${formatDate(String(task.created))}${dueInfo}`
+    )
+  );
+}
+
+/**
+ * List tasks by status
+ * Without `sort`, tasks are grouped by status in workflow order.
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {string|null} [status=null] - Specific status to filter by, or null for all visible workflow states
+ * @param {ListOptions} [options] - Filter, sort and display options
+ * @returns {TaskSummary[]} Listed tasks
+ * @throws {Error} If the query is invalid
+ */
+function listTasks(getTasksDir, status = null, options = {}) {
+  const workflow = getWorkflow(getTasksDir);
+  const customFields = getCustomFields('task', getTasksDir);
+  const terms = options.query ? parseQuery(options.query, customFields) : [];
+  const dirs = status
+    ? [status]
+    : queryUsesField(terms, 'status')
+      ? workflow.states
+      : getVisibleStates(workflow);
+  let allTasks = filterTasks(getAllTasks(getTasksDir, dirs), options).filter(
+    createQueryFilter(terms, { fields: customFields })
+  );
+  if (options.sort) {
+    allTasks = sortTasks(allTasks, options.sort, options.reverse);
+  } else if (options.reverse) {
+    allTasks.reverse();
+  }
+  if (options.limit !== undefined) {
+    allTasks = allTasks.slice(0, options.limit);
+  }
+
+  if (options.format) {
+    console.log(formatTasks(allTasks, options.format, Object.keys(customFields)));
+    return allTasks;
+  }
 
   if (allTasks.length === 0) {
     console.log(dim(`\n${icons.info} No tasks found\n`));
-    return;
+    return allTasks;
   }
 
   console.log(bold(`\n${icons.task} Tasks Overview\n`));
 
-  /** @type {Record<string, Array<{id: string, title: string, status: string, priority: string, assignee: string, estimated: string, actual: string, created: string}>>} */
+  if (options.tree) {
+    printTaskTree(allTasks);
+    console.log('');
+    return allTasks;
+  }
+
+  if (options.sort) {
+    allTasks.forEach((task) => printTaskLine(task, workflow.done, true));
+    console.log('');
+    return allTasks;
+  }
+
+  /** @type {Record<string, typeof allTasks>} */
   const groupedByStatus = {};
   allTasks.forEach((task) => {
     if (!groupedByStatus[task.status]) {
@@ -110,26 +358,11 @@ function listTasks(getTasksDir, status = null) {
       )
     );
 
-    tasks.forEach((task) => {
-      const priorityColor = getPriorityColor(task.priority);
-      const priorityBadge = colorize(
-        `[${task.priority}]`,
-        /** @type {keyof typeof import('../utils').colors} */ (priorityColor)
-      );
-      const assigneeBadge = task.assignee !== '-' ? dim(`@${task.assignee}`) : '';
-
-      console.log(
-        `  ${icons.bullet} ${bold(task.id)}: ${task.title} ${priorityBadge} ${assigneeBadge}`
-      );
-      console.log(
-        dim(
-          `    Est: ${task.estimated} | Actual: ${task.actual} | Created: ${formatDate(String(task.created))}`
-        )
-      );
-    });
+    tasks.forEach((task) => printTaskLine(task, workflow.done));
   });
 
   console.log('');
+  return allTasks;
 }
 
 /**
@@ -137,19 +370,41 @@ function listTasks(getTasksDir, status = null) {
  * @param {string} taskId - Task ID to view
  * @param {(taskId: string, getTasksDir: () => string) => {file: string, path: string, status: string}|null} findTask - Function to find task
  * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {Object} [options] - Display options
+ * @param {import('./output').OutputFormat} [options.format] - Print machine-readable output instead of text
+ * @returns {boolean} True if the task was found
  */
-function viewTask(taskId, findTask, getTasksDir) {
+function viewTask(taskId, findTask, getTasksDir, options = {}) {
   const task = findTask(taskId, getTasksDir);
 
   if (!task) {
     console.log(error(`\n${icons.cross} Task ${taskId} not found\n`));
-    return;
+    return false;
   }
 
   const content = fs.readFileSync(task.path, 'utf8');
   const meta = asTaskMeta(parseFrontmatter(content));
 
+  if (options.format) {
+    const summary = toTaskSummary(meta, task.file, task.status);
+    const subtasks = getAllTasks(getTasksDir)
+      .filter((t) => t.parent === summary.id)
+      .map((t) => t.id);
+    const { body } = splitFrontmatter(content);
+    console.log(
+      formatTask(
+        summary,
+        body,
+        subtasks,
+        options.format,
+        Object.keys(getCustomFields('task', getTasksDir))
+      )
+    );
+    return true;
+  }
+
   const statusStr = String(meta.status);
+  const { done: doneStates } = getWorkflow(getTasksDir);
   const priorityStr = String(meta.priority);
 
   console.log(bold(`\n${icons.task} ${meta.title}\n`));
@@ -175,32 +430,91 @@ function viewTask(taskId, findTask, getTasksDir) {
         ['Assignee', meta.assignee || '-'],
         ['Created', formatDate(String(meta.created))],
         ['Updated', formatDate(String(meta.updated))],
+        ['Due', formatDue(meta.due, statusStr, doneStates)],
+        ['Repeats', meta.recurrence || '-'],
         ['Estimated', meta.estimated || '-'],
         ['Actual', meta.actual || '-'],
         ['Tags', Array.isArray(meta.tags) ? meta.tags.join(', ') : meta.tags || '-'],
+        ['Parent', meta.parent || '-'],
+        ['Depends On', toList(meta.depends_on).join(', ') || '-'],
+        ...Object.keys(getCustomFields('task', getTasksDir)).map((field) => {
+          const value = /** @type {Record<string, unknown>} */ (meta)[field];
+          return [field, (Array.isArray(value) ? value.join(', ') : String(value || '')) || '-'];
+        }),
       ]
     )
   );
 
+  // Show subtask hierarchy below this task
+  const allTasks = getAllTasks(getTasksDir);
+  const descendantIds = new Set([String(meta.id)]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    allTasks.forEach((t) => {
+      if (t.parent && descendantIds.has(t.parent) && !descendantIds.has(t.id)) {
+        descendantIds.add(t.id);
+        grew = true;
+      }
+    });
+  }
+  descendantIds.delete(String(meta.id));
+
+  if (descendantIds.size > 0) {
+    const subtasks = allTasks.filter((t) => descendantIds.has(t.id));
+    const directChildren = subtasks.filter((t) => t.parent === meta.id);
+    const done = directChildren.filter((t) => doneStates.includes(t.status)).length;
+    console.log(bold(`\nSubtasks (${done}/${directChildren.length} done)`));
+    printTaskTree(subtasks);
+  }
+
   // Show content without frontmatter
-  const bodyContent = content.replace(/^---\n[\s\S]*?\n---\n/, '');
   console.log(dim('\n' + '-'.repeat(53) + '\n'));
-  console.log(bodyContent);
+  console.log(splitFrontmatter(content).body);
+  return true;
 }
 
 /**
- * Search for tasks by term
- * @param {string} searchTerm - Search query (searches in title, assignee, and tags)
+ * @typedef {Object} SearchResult
+ * @property {string} id - Task ID
+ * @property {string} title - Task title
+ * @property {string} status - Task status
+ * @property {string} priority - Task priority
+ * @property {string} assignee - Person assigned ('-' if none)
+ * @property {string} file - Task file name
+ * @property {string} path - Task file path
+ * @property {number} score - Relevance (higher is better)
+ * @property {import('../utils/search').Snippet|null} snippet - Best matching line of the task body
+ */
+
+/**
+ * Find and rank tasks matching a search query (without printing)
+ * @param {string} searchTerm - Search query (see searchTasks)
  * @param {() => string} getTasksDir - Function to get tasks directory
- * @param {boolean} [includeArchived=false] - Whether to include archived tasks
- * @returns {Array<{id: string, title: string, status: string, priority: string, assignee: string, file: string, path: string}>} Array of matching tasks
+ * @param {boolean} [includeArchived=false] - Also search hidden states (e.g. archived)
+ * @returns {Array<{task: TaskSummary, result: SearchResult}>} Matches, best first
+ * @throws {Error} If the query is invalid
  */
-function searchTasks(searchTerm, getTasksDir, includeArchived = false) {
-  const dirs = includeArchived
-    ? ['active', 'backlog', 'completed', 'archived']
-    : ['active', 'backlog', 'completed'];
-  /** @type {Array<{id: string, title: string, status: string, priority: string, assignee: string, file: string, path: string}>} */
-  const results = [];
+function rankTasks(searchTerm, getTasksDir, includeArchived = false) {
+  const workflow = getWorkflow(getTasksDir);
+  const customFields = getCustomFields('task', getTasksDir);
+  const terms = parseQuery(searchTerm, customFields);
+  const dirs =
+    includeArchived || queryUsesField(terms, 'status')
+      ? workflow.states
+      : getVisibleStates(workflow);
+
+  // Text terms are ranked; field terms filter
+  const textTerms = getTextTerms(terms);
+  const matches = createQueryFilter(
+    terms.filter((t) => !isTextTerm(t)),
+    { fields: customFields }
+  );
+  const snippetTerms = textTerms.filter((t) => t.scope === 'any' && !t.negated).map((t) => t.text);
+  const today = getCurrentDate();
+
+  /** @type {Array<{task: TaskSummary, result: SearchResult}>} */
+  const found = [];
 
   dirs.forEach((dir) => {
     const dirPath = path.join(getTasksDir(), dir);
@@ -209,25 +523,73 @@ function searchTasks(searchTerm, getTasksDir, includeArchived = false) {
 
       files.forEach((file) => {
         const content = fs.readFileSync(path.join(dirPath, file), 'utf8');
-        const meta = asTaskMeta(parseFrontmatter(content));
-
-        // Search in title, description, and content
-        const searchContent = `${meta.title} ${content}`.toLowerCase();
-        if (searchContent.includes(searchTerm.toLowerCase())) {
-          results.push({
-            id: String(meta.id),
-            title: String(meta.title),
-            status: String(meta.status),
-            priority: String(meta.priority),
-            assignee: String(meta.assignee || '-'),
+        const task = toTaskSummary(asTaskMeta(parseFrontmatter(content)), file, dir);
+        const { frontmatter, body } = splitFrontmatter(content);
+
+        const score = matches(task) ? scoreDocument({ title: task.title, body }, textTerms) : null;
+        if (score === null) return;
+
+        found.push({
+          task,
+          result: {
+            id: task.id,
+            title: task.title,
+            status: task.status,
+            priority: task.priority,
+            assignee: task.assignee || '-',
             file,
             path: path.join(dirPath, file),
-          });
-        }
+            score: score + recencyBoost(task.updated, today),
+            snippet: findSnippet(body, snippetTerms, {
+              firstLine: frontmatter.split('\n').length,
+              skip: (line) => line === `# ${task.title}`,
+            }),
+          },
+        });
       });
     }
   });
 
+  return found.sort(
+    (a, b) =>
+      b.result.score - a.result.score ||
+      b.task.updated.localeCompare(a.task.updated) ||
+      a.task.id.localeCompare(b.task.id, undefined, { numeric: true })
+  );
+}
+
+/**
+ * Search for tasks by term
+ * The term is a query (see task/query). Words without a field are matched
+ * in the title and the task file, tolerating typos; `title:` words only
+ * match the title. Results are ranked: title matches above body matches,
+ * then recently updated tasks first.
+ * @param {string} searchTerm - Search query (e.g. "login priority:high")
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {boolean} [includeArchived=false] - Whether to include archived tasks
+ * @param {Object} [options] - Display options
+ * @param {import('./output').OutputFormat} [options.format] - Print machine-readable output instead of text
+ * @returns {SearchResult[]} Matching tasks, best match first
+ * @throws {Error} If the query is invalid
+ */
+function searchTasks(searchTerm, getTasksDir, includeArchived = false, options = {}) {
+  const found = rankTasks(searchTerm, getTasksDir, includeArchived);
+  const results = found.map((f) => f.result);
+  const words = getTextTerms(parseQuery(searchTerm, getCustomFields('task', getTasksDir)))
+    .filter((t) => !t.negated)
+    .map((t) => t.text);
+
+  if (options.format) {
+    console.log(
+      formatTasks(
+        found.map((f) => f.task),
+        options.format,
+        Object.keys(getCustomFields('task', getTasksDir))
+      )
+    );
+    return results;
+  }
+
   if (results.length === 0) {
     console.log(dim(`\n${icons.info} No tasks found matching "${searchTerm}"\n`));
     return results; // Return empty array
@@ -240,25 +602,93 @@ function searchTasks(searchTerm, getTasksDir, includeArchived = false) {
     const statusColor = getStatusColor(task.status);
     const priorityColor = getPriorityColor(task.priority);
 
-    console.log(`${icons.bullet} ${bold(task.id)}: ${task.title}`);
+    console.log(`${icons.bullet} ${bold(task.id)}: ${highlightMatches(task.title, words)}`);
     console.log(
       dim(
         `  Status: ${colorize(task.status, /** @type {keyof typeof import('../utils').colors} */ (statusColor))} | Priority: ${colorize(task.priority, /** @type {keyof typeof import('../utils').colors} */ (priorityColor))}`
       )
     );
+    if (task.snippet) {
+      console.log(
+        `  ${dim(`${task.snippet.line}:`)} ${highlightMatches(task.snippet.text, words)}`
+      );
+    }
   });
 
   return results; // Always return results array
 }
 
+/**
+ * @typedef {Object} TaskSummary
+ * @property {string} id - Task ID
+ * @property {string} title - Task title
+ * @property {string} status - Task status
+ * @property {string} priority - Task priority
+ * @property {string} assignee - Person assigned
+ * @property {string} estimated - Estimated time
+ * @property {string} actual - Actual time spent
+ * @property {string} created - Creation date
+ * @property {string} updated - Last update date
+ * @property {string} [completedAt] - Completion date
+ * @property {string} [due] - Due date (YYYY-MM-DD)
+ * @property {string} [recurrence] - Recurrence rule
+ * @property {string} [parent] - Parent task ID
+ * @property {string[]} tags - Task tags
+ * @property {string[]} dependsOn - IDs of tasks that must be finished first
+ * @property {Record<string, string|string[]>} [fields] - Other frontmatter fields (e.g. fields declared in config)
+ */
+
+/**
+ * Build the summary of a task from its metadata
+ * @param {TaskMeta} meta - Task metadata
+ * @param {string} file - Task file name
+ * @param {string} dir - State directory the file is in
+ * @returns {TaskSummary} Task summary
+ */
+function toTaskSummary(meta, file, dir) {
+  return {
+    id: String(meta.id || file.split('-').slice(0, 2).join('-')),
+    title: String(meta.title || 'Unknown'),
+    status: String(meta.status || dir),
+    priority: String(meta.priority || 'medium'),
+    assignee: String(meta.assignee || ''),
+    estimated: String(meta.estimated || '0h'),
+    actual: String(meta.actual || '0h'),
+    created: String(meta.created || ''),
+    updated: String(meta.updated || ''),
+    completedAt: meta.completedAt ? String(meta.completedAt) : undefined,
+    due: meta.due ? String(meta.due) : undefined,
+    recurrence: meta.recurrence ? String(meta.recurrence) : undefined,
+    parent: meta.parent ? String(meta.parent) : undefined,
+    tags: toList(meta.tags),
+    dependsOn: toList(meta.depends_on),
+    fields: getOtherFields(meta),
+  };
+}
+
+/**
+ * Get the frontmatter fields that are not built into tasks
+ * @param {TaskMeta} meta - Task metadata
+ * @returns {Record<string, string|string[]>} Field values (lists as arrays)
+ */
+function getOtherFields(meta) {
+  /** @type {Record<string, string|string[]>} */
+  const fields = {};
+  Object.entries(meta).forEach(([field, value]) => {
+    if (!isCustomField('task', field)) return;
+    fields[field] = Array.isArray(value) ? value.map(String) : String(value ?? '');
+  });
+  return fields;
+}
+
 /**
  * Get all tasks data for external use (e.g., standup)
  * @param {() => string} getTasksDir - Function to get tasks directory
- * @param {string[]} [statusFilter] - Statuses to include
- * @returns {Array<{id: string, title: string, status: string, priority: string, assignee: string, estimated: string, actual: string, created: string, updated: string, completedAt?: string}>}
+ * @param {string[]} [statusFilter] - Statuses to include (defaults to every workflow state)
+ * @returns {TaskSummary[]} Tasks in the given states
  */
-function getAllTasks(getTasksDir, statusFilter = ['active', 'backlog', 'completed', 'archived']) {
-  /** @type {Array<{id: string, title: string, status: string, priority: string, assignee: string, estimated: string, actual: string, created: string, updated: string, completedAt?: string}>} */
+function getAllTasks(getTasksDir, statusFilter = getWorkflow(getTasksDir).states) {
+  /** @type {TaskSummary[]} */
   const allTasks = [];
 
   statusFilter.forEach((dir) => {
@@ -270,18 +700,7 @@ function getAllTasks(getTasksDir, statusFilter = ['active', 'backlog', 'complete
         const content = fs.readFileSync(path.join(dirPath, file), 'utf8');
         const meta = asTaskMeta(parseFrontmatter(content));
 
-        allTasks.push({
-          id: String(meta.id || file.split('-').slice(0, 2).join('-')),
-          title: String(meta.title || 'Unknown'),
-          status: String(meta.status || dir),
-          priority: String(meta.priority || 'medium'),
-          assignee: String(meta.assignee || ''),
-          estimated: String(meta.estimated || '0h'),
-          actual: String(meta.actual || '0h'),
-          created: String(meta.created || ''),
-          updated: String(meta.updated || ''),
-          completedAt: meta.completedAt ? String(meta.completedAt) : undefined,
-        });
+        allTasks.push(toTaskSummary(meta, file, dir));
       });
     }
   });
@@ -290,8 +709,15 @@ function getAllTasks(getTasksDir, statusFilter = ['active', 'backlog', 'complete
 }
 
 module.exports = {
+  SORT_FIELDS,
+  toTaskSummary,
+  toList,
+  formatDue,
+  filterTasks,
+  sortTasks,
   listTasks,
   viewTask,
   searchTasks,
+  rankTasks,
   getAllTasks,
 };
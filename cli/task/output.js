@@ -0,0 +1,216 @@
+/**
+ * Machine-readable output (--format=json|csv|tsv|markdown)
+ *
+ * Every format uses the same field names in the same order, and none of them
+ * contains color codes, so the output can be consumed by scripts.
+ *
+ * @module task/output
+ */
+
+/**
+ * @typedef {import('./list').TaskSummary} TaskSummary
+ */
+
+/**
+ * @typedef {'json'|'csv'|'tsv'|'markdown'} OutputFormat
+ */
+
+/** Output formats besides the default colored text */
+const OUTPUT_FORMATS = ['json', 'csv', 'tsv', 'markdown'];
+
+/** Task fields in output order */
+const TASK_FIELDS = [
+  'id',
+  'title',
+  'status',
+  'priority',
+  'assignee',
+  'tags',
+  'estimated',
+  'actual',
+  'created',
+  'updated',
+  'completedAt',
+  'due',
+  'recurrence',
+  'parent',
+  'dependsOn',
+];
+
+/**
+ * Quote a CSV field if needed
+ * @param {string} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Make a value safe for a TSV field (tabs and line breaks become spaces)
+ * @param {string} value - Field value
+ * @returns {string} TSV-safe field
+ */
+function tsvField(value) {
+  return value.replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Escape a value for a markdown table cell
+ * @param {string} value - Cell value
+ * @returns {string} Escaped value
+ */
+function mdCell(value) {
+  return value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Convert a task to a plain record with every output field
+ * Fields declared in config follow the built-in fields. Missing optional
+ * values become null.
+ * @param {TaskSummary} task - Task
+ * @param {string[]} [customFields=[]] - Names of the fields declared in config, in declaration order
+ * @returns {Record<string, string|string[]|null>} Record with TASK_FIELDS and customFields keys in order
+ */
+function toRecord(task, customFields = []) {
+  /** @type {Record<string, string|string[]|null>} */
+  const record = {};
+  [...TASK_FIELDS, ...customFields].forEach((field) => {
+    const value = TASK_FIELDS.includes(field)
+      ? /** @type {Record<string, unknown>} */ (task)[field]
+      : (task.fields || {})[field];
+    record[field] = Array.isArray(value)
+      ? value.map(String)
+      : value === undefined || value === null || value === ''
+        ? null
+        : String(value);
+  });
+  return record;
+}
+
+/**
+ * Format a record value for a table cell
+ * @param {string|string[]|number|null} value - Value
+ * @returns {string} Cell text (lists are comma-separated, null is empty)
+ */
+function cellText(value) {
+  if (Array.isArray(value)) return value.join(',');
+  return value === null ? '' : String(value);
+}
+
+/**
+ * Render rows as CSV, TSV or a markdown table
+ * @param {string[]} headers - Column names
+ * @param {Array<Array<string|string[]|number|null>>} rows - Rows
+ * @param {'csv'|'tsv'|'markdown'} format - Table format
+ * @returns {string} Rendered table
+ */
+function formatRows(headers, rows, format) {
+  if (format === 'markdown') {
+    return [
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map((row) => `| ${row.map((v) => mdCell(cellText(v))).join(' | ')} |`),
+    ].join('\n');
+  }
+
+  const field = format === 'csv' ? csvField : tsvField;
+  const separator = format === 'csv' ? ',' : '\t';
+  return [headers, ...rows]
+    .map((row) => row.map((v) => field(cellText(v))).join(separator))
+    .join('\n');
+}
+
+/**
+ * Format a list of tasks
+ * @param {TaskSummary[]} tasks - Tasks
+ * @param {OutputFormat} format - Output format
+ * @param {string[]} [customFields=[]] - Names of the fields declared in config, in declaration order
+ * @returns {string} Formatted tasks (JSON array, or a table with one row per task)
+ */
+function formatTasks(tasks, format, customFields = []) {
+  const fields = [...TASK_FIELDS, ...customFields];
+  const records = tasks.map((task) => toRecord(task, customFields));
+  if (format === 'json') return JSON.stringify(records, null, 2);
+  return formatRows(
+    fields,
+    records.map((r) => fields.map((f) => r[f])),
+    format
+  );
+}
+
+/**
+ * Format a single task with its body
+ * CSV and TSV contain one row with the task fields (no body).
+ * @param {TaskSummary} task - Task
+ * @param {string} body - Task content without frontmatter
+ * @param {string[]} subtasks - IDs of direct subtasks
+ * @param {OutputFormat} format - Output format
+ * @param {string[]} [customFields=[]] - Names of the fields declared in config, in declaration order
+ * @returns {string} Formatted task
+ */
+function formatTask(task, body, subtasks, format, customFields = []) {
+  const record = toRecord(task, customFields);
+  if (format === 'json') {
+    return JSON.stringify({ ...record, subtasks, body }, null, 2);
+  }
+  if (format === 'markdown') {
+    return [
+      `# ${task.title}`,
+      '',
+      formatRows(
+        ['field', 'value'],
+        [...Object.entries(record), ['subtasks', subtasks]],
+        'markdown'
+      ),
+      '',
+      body.trim(),
+      '',
+    ].join('\n');
+  }
+  return formatTasks([task], format, customFields);
+}
+
+/**
+ * Format task statistics
+ * Tables have one row per value: `group,name,value` (e.g. `status,active,3`).
+ * @param {import('./stats').TaskStatistics} stats - Statistics from getStatsData
+ * @param {OutputFormat} format - Output format
+ * @returns {string} Formatted statistics
+ */
+function formatStats(stats, format) {
+  if (format === 'json') return JSON.stringify(stats, null, 2);
+
+  /** @type {Array<Array<string|number>>} */
+  const rows = [
+    ...Object.entries(stats.byStatus).map(([name, count]) => ['status', name, count]),
+    ...Object.entries(stats.byPriority).map(([name, count]) => ['priority', name, count]),
+    ['time', 'estimated', Math.round(stats.totalEstimated * 100) / 100],
+    ['time', 'actual', Math.round(stats.totalActual * 100) / 100],
+    ['total', 'tasks', stats.total],
+    ...(stats.wip.global
+      ? [['wip', 'all', `${stats.wip.global.count}/${stats.wip.global.limit}`]]
+      : []),
+    ...Object.entries(stats.wip.assignees).map(([name, usage]) => [
+      'wip',
+      `@${name}`,
+      `${usage.count}/${usage.limit}`,
+    ]),
+    ...Object.entries(stats.fields).flatMap(([name, totals]) => [
+      [`field:${name}`, 'total', totals.total],
+      ...Object.entries(totals.byStatus).map(([status, sum]) => [`field:${name}`, status, sum]),
+    ]),
+  ];
+  return formatRows(['group', 'name', 'value'], rows, format);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  TASK_FIELDS,
+  csvField,
+  mdCell,
+  formatRows,
+  formatTasks,
+  formatTask,
+  formatStats,
+};
@@ -0,0 +1,408 @@
+/**
+ * Task query language
+ *
+ * A query is a list of terms separated by spaces; a task matches when every
+ * term matches:
+ *
+ *   priority:high tag:api -status:archived due<2026-11-01 assignee:@me login
+ *
+ * - `field:value` matches a value (comma-separated values match any of them)
+ * - `field<value`, `field<=value`, `field>value`, `field>=value` compare
+ *   dates, IDs, priorities and numbers
+ * - fields declared under "fields.task" in the config can be queried by name
+ *   (e.g. `component:api story_points>=3`)
+ * - a leading `-` negates the term
+ * - words without a field match the title; quote phrases ("login page")
+ * - `field:none` matches tasks without a value (lists: without items)
+ * - URLs (`https://...`) are text; quote other text containing ":" ("re: login")
+ *
+ * @module task/query
+ */
+
+const os = require('os');
+const { isValidDate, getCurrentDate } = require('../utils');
+const { getPreference } = require('../config');
+
+/**
+ * @typedef {import('./list').TaskSummary} TaskSummary
+ */
+
+/**
+ * @typedef {':'|'<'|'<='|'>'|'>='} QueryOperator
+ * @typedef {'id'|'text'|'value'|'list'|'date'|'priority'|'number'} FieldType
+ */
+
+/**
+ * @typedef {Object} QueryTerm
+ * @property {string|null} field - Field name, or null for free text
+ * @property {boolean} [custom] - Whether the field is declared in config (values come from `task.fields`)
+ * @property {QueryOperator} operator - Comparison operator
+ * @property {string[]} values - Values (lowercase; several for "a,b")
+ * @property {boolean} negated - Whether the term starts with "-"
+ * @property {number} start - Offset of the term in the query
+ * @property {string} token - Term as written
+ */
+
+/**
+ * @typedef {Object} QueryContext
+ * @property {string} [me] - Name `@me` stands for (default: "user" preference or OS user name)
+ * @property {(task: TaskSummary) => string} [text] - Text free-text terms search (default: title)
+ * @property {import('../schema').Schema} [fields] - Fields declared in config (see schema.getCustomFields)
+ */
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+/** @type {Record<string, {type: FieldType, aliases?: string[]}>} */
+const FIELDS = {
+  id: { type: 'id' },
+  title: { type: 'text' },
+  status: { type: 'value', aliases: ['state'] },
+  priority: { type: 'priority' },
+  assignee: { type: 'value' },
+  tag: { type: 'list', aliases: ['tags'] },
+  parent: { type: 'id' },
+  due: { type: 'date' },
+  created: { type: 'date' },
+  updated: { type: 'date' },
+  completed: { type: 'date', aliases: ['completedat'] },
+};
+
+/** Query types of the field types that can be declared in config */
+const CUSTOM_FIELD_TYPES = /** @type {Record<string, FieldType>} */ ({
+  string: 'value',
+  enum: 'value',
+  duration: 'value',
+  number: 'number',
+  date: 'date',
+  list: 'list',
+});
+
+const TERM_PATTERN = /^([A-Za-z_][\w-]*)(<=|>=|:|<|>)/;
+/** URL-like tokens ("https://...") are searched as text, not as a field term */
+const URL_PATTERN = /^[A-Za-z][\w+.-]*:\/\//;
+
+/**
+ * Build an error that points at a token of the query
+ * @param {string} query - Full query
+ * @param {number} start - Offset of the bad token
+ * @param {number} length - Length of the bad token
+ * @param {string} message - What is wrong
+ * @returns {Error} Error whose message shows the query with the token underlined
+ */
+function queryError(query, start, length, message) {
+  return new Error(
+    `Invalid query: ${message}\n  ${query}\n  ${' '.repeat(start)}${'^'.repeat(Math.max(1, length))}`
+  );
+}
+
+/**
+ * Resolve a field name or alias
+ * Built-in fields take precedence over fields declared in config.
+ * @param {string} name - Field name as written
+ * @param {import('../schema').Schema} customFields - Fields declared in config
+ * @returns {{field: string, type: FieldType, custom: boolean}|null} Canonical field, or null if unknown
+ */
+function resolveField(name, customFields) {
+  const lower = name.toLowerCase();
+  const found = Object.entries(FIELDS).find(
+    ([field, def]) => field === lower || (def.aliases || []).includes(lower)
+  );
+  if (found) return { field: found[0], type: found[1].type, custom: false };
+
+  const custom = Object.keys(customFields).find((field) => field.toLowerCase() === lower);
+  if (!custom) return null;
+  return { field: custom, type: CUSTOM_FIELD_TYPES[customFields[custom].type], custom: true };
+}
+
+/**
+ * Get the query type of a term's field
+ * @param {QueryTerm} term - Parsed field term
+ * @param {import('../schema').Schema} customFields - Fields declared in config
+ * @returns {FieldType} Field type
+ */
+function getFieldType(term, customFields) {
+  const field = /** @type {string} */ (term.field);
+  return term.custom ? CUSTOM_FIELD_TYPES[customFields[field].type] : FIELDS[field].type;
+}
+
+/**
+ * Split a query into raw tokens, keeping quoted parts together
+ * @param {string} query - Query string
+ * @returns {Array<{token: string, start: number}>} Tokens with their offsets
+ * @throws {Error} If a quote is not closed
+ */
+function tokenize(query) {
+  /** @type {Array<{token: string, start: number}>} */
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+    const start = i;
+    let inQuote = false;
+    while (i < query.length && (inQuote || !/\s/.test(query[i]))) {
+      if (query[i] === '"') inQuote = !inQuote;
+      i++;
+    }
+    if (inQuote) {
+      throw queryError(query, start, i - start, 'missing closing quote');
+    }
+    tokens.push({ token: query.slice(start, i), start });
+  }
+
+  return tokens;
+}
+
+/**
+ * Check a term's values against the field type
+ * @param {string} query - Full query (for error messages)
+ * @param {QueryTerm} term - Parsed term
+ * @param {import('../schema').Schema} customFields - Fields declared in config
+ * @throws {Error} If the operator or a value does not fit the field
+ */
+function validateTerm(query, term, customFields) {
+  if (term.field === null) return;
+  const type = getFieldType(term, customFields);
+  /** @param {string} message */
+  const fail = (message) => queryError(query, term.start, term.token.length, message);
+
+  if (term.operator !== ':' && !['id', 'date', 'priority', 'number'].includes(type)) {
+    throw fail(`"${term.field}" does not support "${term.operator}" (use ${term.field}:value)`);
+  }
+  if (term.operator !== ':' && term.values.length > 1) {
+    throw fail(`"${term.operator}" takes a single value`);
+  }
+
+  term.values.forEach((value) => {
+    if (type === 'date' && value !== 'none' && value !== 'today' && !isValidDate(value)) {
+      throw fail(`"${value}" is not a date (use YYYY-MM-DD, today or none)`);
+    }
+    if (type === 'id' && !/^(task-)?\d+$/.test(value) && value !== 'none') {
+      throw fail(`"${value}" is not a task ID`);
+    }
+    if (type === 'priority' && !(value in PRIORITY_RANK)) {
+      throw fail(`"${value}" is not a priority (use low, medium or high)`);
+    }
+    if (type === 'number' && value !== 'none' && !/^-?\d+(\.\d+)?$/.test(value)) {
+      throw fail(`"${value}" is not a number`);
+    }
+  });
+}
+
+/**
+ * Parse a query into terms
+ * @param {string} query - Query string
+ * @param {import('../schema').Schema} [customFields] - Fields declared in config, queryable by name
+ * @returns {QueryTerm[]} Parsed terms
+ * @throws {Error} If the query is invalid; the message points at the bad token
+ */
+function parseQuery(query, customFields = {}) {
+  return tokenize(query).map(({ token, start }) => {
+    const negated = token.startsWith('-');
+    const body = negated ? token.slice(1) : token;
+    if (body === '') {
+      throw queryError(query, start, token.length, '"-" must be followed by a term');
+    }
+
+    const match = body.match(TERM_PATTERN);
+    /** @type {QueryTerm} */
+    let term;
+    if (!match || body.startsWith('"') || URL_PATTERN.test(body)) {
+      term = {
+        field: null,
+        operator: ':',
+        values: [body.replace(/"/g, '').toLowerCase()],
+        negated,
+        start,
+        token,
+      };
+    } else {
+      const resolved = resolveField(match[1], customFields);
+      if (!resolved) {
+        const names = [...Object.keys(FIELDS), ...Object.keys(customFields)];
+        throw queryError(
+          query,
+          start,
+          token.length,
+          `unknown field "${match[1]}" (fields: ${names.join(', ')}; quote text that contains ":")`
+        );
+      }
+      const { field, type, custom } = resolved;
+      const raw = body.slice(match[0].length).replace(/"/g, '');
+      const values = (type === 'text' ? [raw] : raw.split(','))
+        .map((v) => v.trim().toLowerCase())
+        .filter(Boolean);
+      if (values.length === 0) {
+        throw queryError(query, start, token.length, `missing value for "${field}"`);
+      }
+      term = {
+        field,
+        ...(custom ? { custom } : {}),
+        operator: /** @type {QueryOperator} */ (match[2]),
+        values,
+        negated,
+        start,
+        token,
+      };
+    }
+
+    validateTerm(query, term, customFields);
+    return term;
+  });
+}
+
+/**
+ * Get the name `@me` stands for
+ * @returns {string} Lowercase user name
+ */
+function getCurrentUser() {
+  return String(getPreference('user', '') || os.userInfo().username).toLowerCase();
+}
+
+/**
+ * Compare two values with a query operator
+ * @param {number|string} actual - Task value
+ * @param {QueryOperator} operator - Operator
+ * @param {number|string} expected - Query value
+ * @returns {boolean} Comparison result
+ */
+function compare(actual, operator, expected) {
+  if (operator === '<') return actual < expected;
+  if (operator === '<=') return actual <= expected;
+  if (operator === '>') return actual > expected;
+  if (operator === '>=') return actual >= expected;
+  return actual === expected;
+}
+
+/**
+ * Check whether a task matches a single term (ignoring negation)
+ * @param {TaskSummary} task - Task
+ * @param {QueryTerm} term - Term
+ * @param {Required<QueryContext>} context - Resolved context
+ * @returns {boolean} True if the term matches
+ */
+function matchesTerm(task, term, context) {
+  if (term.field === null || term.field === 'title') {
+    const text = (term.field === null ? context.text(task) : task.title).toLowerCase();
+    return text.includes(term.values[0]);
+  }
+
+  const type = getFieldType(term, context.fields);
+  const customValue = term.custom ? (task.fields || {})[term.field] : undefined;
+  return term.values.some((value) => {
+    if (type === 'id') {
+      const actual = term.field === 'id' ? task.id : task.parent || '';
+      if (value === 'none') return actual === '';
+      if (actual === '') return false;
+      const number = (/** @type {string} */ id) => parseInt(id.replace(/^task-/i, ''), 10);
+      return compare(number(actual), term.operator, number(value));
+    }
+    if (type === 'priority') {
+      const rank = PRIORITY_RANK[/** @type {keyof typeof PRIORITY_RANK} */ (task.priority)] || 0;
+      return compare(
+        rank,
+        term.operator,
+        PRIORITY_RANK[/** @type {keyof typeof PRIORITY_RANK} */ (value)]
+      );
+    }
+    if (type === 'list') {
+      const items = term.custom ? [customValue || []].flat() : task.tags;
+      if (value === 'none') return items.length === 0;
+      return items.some((t) => t.toLowerCase() === value.replace(/^#/, ''));
+    }
+    if (type === 'number') {
+      const actual = String(customValue || '');
+      if (value === 'none') return actual === '';
+      if (actual === '') return false;
+      return compare(parseFloat(actual), term.operator, parseFloat(value));
+    }
+    if (type === 'date') {
+      const actual = term.custom
+        ? String(customValue || '')
+        : term.field === 'completed'
+          ? task.completedAt || ''
+          : String(task[/** @type {'due'|'created'|'updated'} */ (term.field)] || '');
+      const day = actual.slice(0, 10);
+      if (value === 'none') return day === '';
+      if (day === '') return false;
+      return compare(day, term.operator, value === 'today' ? getCurrentDate() : value);
+    }
+
+    const actual = String(
+      (term.custom ? customValue : task[/** @type {'status'|'assignee'} */ (term.field)]) || ''
+    ).toLowerCase();
+    if (value === 'none') return actual === '';
+    const expected = value === '@me' ? context.me : value;
+    return actual.replace(/^@/, '') === expected.replace(/^@/, '');
+  });
+}
+
+/**
+ * Check whether a query refers to a field
+ * Used to widen the set of states that is searched (e.g. for "status:archived").
+ * @param {QueryTerm[]} terms - Parsed query
+ * @param {string} field - Field name
+ * @returns {boolean} True if any term uses the field
+ */
+function queryUsesField(terms, field) {
+  return terms.some((t) => t.field === field);
+}
+
+/**
+ * Build a task predicate from a query
+ * @param {string|QueryTerm[]} query - Query string or parsed terms
+ * @param {QueryContext} [context] - How to resolve `@me` and free text
+ * @returns {(task: TaskSummary) => boolean} Predicate
+ * @throws {Error} If the query is invalid
+ */
+function createQueryFilter(query, context = {}) {
+  const fields = context.fields || {};
+  const terms = typeof query === 'string' ? parseQuery(query, fields) : query;
+  /** @type {string|null} */
+  let me = context.me === undefined ? null : context.me.toLowerCase();
+
+  /** @type {Required<QueryContext>} */
+  const resolved = {
+    get me() {
+      if (me === null) me = getCurrentUser();
+      return me;
+    },
+    text: context.text || ((task) => task.title),
+    fields,
+  };
+
+  return (task) => terms.every((term) => matchesTerm(task, term, resolved) !== term.negated);
+}
+
+/**
+ * Check whether a term is searched as text (free text or `title:`)
+ * @param {QueryTerm} term - Parsed term
+ * @returns {boolean} True for text terms
+ */
+function isTextTerm(term) {
+  return term.field === null || term.field === 'title';
+}
+
+/**
+ * Get the text terms of a query for ranked search (see utils/search)
+ * @param {QueryTerm[]} terms - Parsed query
+ * @returns {import('../utils/search').SearchTerm[]} Text terms; `title:` terms only match the title
+ */
+function getTextTerms(terms) {
+  return terms.filter(isTextTerm).map((t) => ({
+    text: t.values[0],
+    scope: t.field === 'title' ? 'title' : 'any',
+    negated: t.negated,
+  }));
+}
+
+module.exports = {
+  parseQuery,
+  isTextTerm,
+  getTextTerms,
+  queryUsesField,
+  createQueryFilter,
+};
@@ -0,0 +1,136 @@
+/**
+ * Recurrence rules for repeating tasks
+ *
+ * Supported rules:
+ * - `daily`             every day
+ * - `weekly`            every 7 days
+ * - `weekly:mon,thu`    on the given weekdays
+ * - `monthly`           every month on the same day (stored as `monthly:<day>`)
+ * - `monthly:15`        every month on day 15 (clamped to the month's last day)
+ *
+ * @module task/recurrence
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {'daily'|'weekly'|'monthly'} type - Repeat interval
+ * @property {number[]} [weekdays] - Weekdays for weekly rules (0 = Sunday)
+ * @property {number} [day] - Day of month for monthly rules (1-31)
+ */
+
+/**
+ * Parse a recurrence rule string
+ * @param {string} rule - Rule such as "daily", "weekly:mon,thu" or "monthly:15"
+ * @returns {Recurrence|null} Parsed rule or null if invalid
+ */
+function parseRecurrence(rule) {
+  if (!rule || typeof rule !== 'string') return null;
+
+  const [type, arg] = rule.trim().toLowerCase().split(':');
+
+  if (type === 'daily' && arg === undefined) {
+    return { type: 'daily' };
+  }
+
+  if (type === 'weekly') {
+    if (arg === undefined) return { type: 'weekly' };
+    const weekdays = arg.split(',').map((d) => WEEKDAYS.indexOf(d.trim().slice(0, 3)));
+    if (weekdays.length === 0 || weekdays.some((d) => d < 0)) return null;
+    return { type: 'weekly', weekdays: [...new Set(weekdays)].sort() };
+  }
+
+  if (type === 'monthly') {
+    if (arg === undefined) return { type: 'monthly' };
+    const day = Number(arg);
+    if (!Number.isInteger(day) || day < 1 || day > 31) return null;
+    return { type: 'monthly', day };
+  }
+
+  return null;
+}
+
+/**
+ * Pin a plain `monthly` rule to the day of a date
+ * Counting "the same day" from each due date drifts after a short month
+ * (Jan 31 -> Feb 28 -> Mar 28), so new rules keep the day they started on.
+ * @param {string} rule - Recurrence rule
+ * @param {string} date - Date whose day of month to keep (YYYY-MM-DD)
+ * @returns {string} `monthly:<day>` for a plain monthly rule, any other rule unchanged
+ */
+function anchorRecurrence(rule, date) {
+  const recurrence = parseRecurrence(rule);
+  if (!recurrence || recurrence.type !== 'monthly' || recurrence.day) return rule;
+  return `monthly:${Number(date.slice(8, 10))}`;
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Build a UTC date, clamping the day to the last day of the month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (may overflow into the next year)
+ * @param {number} day - Desired day of month
+ * @returns {Date} Date at UTC midnight
+ */
+function clampedDate(year, month, day) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+}
+
+/**
+ * Get the next occurrence of a rule strictly after a date
+ * @param {string} rule - Recurrence rule
+ * @param {string} fromDate - Reference date (YYYY-MM-DD)
+ * @returns {string|null} Next occurrence (YYYY-MM-DD) or null if the rule is invalid
+ */
+function getNextOccurrence(rule, fromDate) {
+  const recurrence = parseRecurrence(rule);
+  if (!recurrence) return null;
+
+  const from = new Date(`${fromDate}T00:00:00Z`);
+  if (isNaN(from.getTime())) return null;
+
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth();
+  const date = from.getUTCDate();
+
+  if (recurrence.type === 'daily') {
+    return toDateString(new Date(Date.UTC(year, month, date + 1)));
+  }
+
+  if (recurrence.type === 'weekly') {
+    const weekdays = recurrence.weekdays;
+    if (!weekdays) {
+      return toDateString(new Date(Date.UTC(year, month, date + 7)));
+    }
+    for (let offset = 1; offset <= 7; offset++) {
+      const candidate = new Date(Date.UTC(year, month, date + offset));
+      if (weekdays.includes(candidate.getUTCDay())) {
+        return toDateString(candidate);
+      }
+    }
+  }
+
+  // Monthly
+  const day = recurrence.day || date;
+  const thisMonth = clampedDate(year, month, day);
+  if (thisMonth > from) {
+    return toDateString(thisMonth);
+  }
+  return toDateString(clampedDate(year, month + 1, day));
+}
+
+module.exports = {
+  parseRecurrence,
+  anchorRecurrence,
+  getNextOccurrence,
+};
@@ -7,6 +7,8 @@ const fs = require('fs');
 const path = require('path');
 const { success, dim, bold, icons, colorize } = require('../utils/colors');
 const { parseFrontmatter } = require('../utils/format');
+const { getBlockedTasks } = require('./depend');
+const { getWorkflow, getVisibleStates, getInProgressStates, isDoneState } = require('./workflow');
 
 // ============================================================================
 // Type Definitions
@@ -77,9 +79,8 @@ function getTasksFromDir(dirPath) {
     .map((file) => {
       const filePath = path.join(dirPath, file);
       const content = fs.readFileSync(filePath, 'utf8');
-      const { frontmatter } = parseFrontmatter(content);
       /** @type {any} */
-      const meta = frontmatter;
+      const meta = parseFrontmatter(content);
 
       return {
         id: meta.id || file.split('-')[0] + '-' + file.split('-')[1],
@@ -121,25 +122,23 @@ function generateStandup(getTasksDir, options = {}) {
   const { yesterday = true, today = true, blockers = true, format = 'text' } = options;
 
   const tasksDir = getTasksDir();
+  const workflow = getWorkflow(getTasksDir);
+  const inProgress = getInProgressStates(workflow);
 
   // Collect all tasks
-  const allTasks = [
-    ...getTasksFromDir(path.join(tasksDir, 'active')),
-    ...getTasksFromDir(path.join(tasksDir, 'completed')),
-    ...getTasksFromDir(path.join(tasksDir, 'backlog')),
-  ];
-
-  // Filter tasks by date
-  const yesterdayTasks = filterByDate(allTasks, isYesterday).filter(
-    (t) => t.status === 'completed' || t.status === 'active'
+  const allTasks = getVisibleStates(workflow).flatMap((state) =>
+    getTasksFromDir(path.join(tasksDir, state))
   );
 
-  const todayTasks = allTasks.filter((t) => t.status === 'active');
+  // Filter tasks by date (anything moved past the initial state counts as worked on)
+  const yesterdayTasks = filterByDate(allTasks, isYesterday)
+    .filter((t) => isDoneState(workflow, t.status) || inProgress.includes(t.status))
+    .map((t) => ({ ...t, done: isDoneState(workflow, t.status) }));
 
-  // High priority backlog items as potential blockers
-  const blockerTasks = allTasks.filter(
-    (t) => t.status === 'backlog' && (t.priority === 'high' || t.priority === 'urgent')
-  );
+  const todayTasks = allTasks.filter((t) => inProgress.includes(t.status));
+
+  // Open tasks waiting on unfinished dependencies
+  const blockerTasks = getBlockedTasks(getTasksDir);
 
   // Generate report based on format
   if (format === 'json') {
@@ -175,7 +174,7 @@ function generateStandup(getTasksDir, options = {}) {
  * Generate text format report
  * @param {Array<any>} yesterdayTasks - Tasks from yesterday
  * @param {Array<any>} todayTasks - Tasks for today
- * @param {Array<any>} blockerTasks - Potential blockers
+ * @param {Array<any>} blockerTasks - Tasks blocked by unfinished dependencies
  * @param {StandupOptions} options - Standup options
  * @returns {string}
  */
@@ -194,7 +193,7 @@ function generateTextReport(yesterdayTasks, todayTasks, blockerTasks, options) {
       lines.push(dim('  No tasks updated yesterday'));
     } else {
       yesterdayTasks.forEach((task) => {
-        const statusIcon = task.status === 'completed' ? icons.check : icons.clock;
+        const statusIcon = task.done ? icons.check : icons.clock;
         lines.push(`  ${statusIcon} ${task.title}`);
         lines.push(dim(`     ${task.id} - ${task.status}`));
       });
@@ -226,7 +225,7 @@ function generateTextReport(yesterdayTasks, todayTasks, blockerTasks, options) {
     } else {
       blockerTasks.forEach((task) => {
         lines.push(`  ${icons.warning} ${task.title}`);
-        lines.push(dim(`     ${task.id} - ${task.priority} priority in backlog`));
+        lines.push(dim(`     ${task.id} - blocked by ${task.blockedBy.join(', ')}`));
       });
     }
     lines.push('');
@@ -239,7 +238,7 @@ function generateTextReport(yesterdayTasks, todayTasks, blockerTasks, options) {
  * Generate markdown format report
  * @param {Array<any>} yesterdayTasks - Tasks from yesterday
  * @param {Array<any>} todayTasks - Tasks for today
- * @param {Array<any>} blockerTasks - Potential blockers
+ * @param {Array<any>} blockerTasks - Tasks blocked by unfinished dependencies
  * @param {StandupOptions} options - Standup options
  * @returns {string}
  */
@@ -257,7 +256,7 @@ function generateMarkdownReport(yesterdayTasks, todayTasks, blockerTasks, option
       lines.push('- No tasks updated yesterday');
     } else {
       yesterdayTasks.forEach((task) => {
-        const statusMark = task.status === 'completed' ? '[x]' : '[ ]';
+        const statusMark = task.done ? '[x]' : '[ ]';
         lines.push(`- ${statusMark} **${task.title}** (${task.id})`);
       });
     }
@@ -286,7 +285,7 @@ function generateMarkdownReport(yesterdayTasks, todayTasks, blockerTasks, option
       lines.push('- No blockers');
     } else {
       blockerTasks.forEach((task) => {
-        lines.push(`- ⚠️ **${task.title}** (${task.id}) - ${task.priority} priority`);
+        lines.push(`- ⚠️ **${task.title}** (${task.id}) - blocked by ${task.blockedBy.join(', ')}`);
       });
     }
     lines.push('');
@@ -312,8 +311,11 @@ function printStandup(getTasksDir, options = {}) {
  */
 function getWeeklySummary(getTasksDir) {
   const tasksDir = getTasksDir();
+  const workflow = getWorkflow(getTasksDir);
 
-  const completedTasks = getTasksFromDir(path.join(tasksDir, 'completed'));
+  const completedTasks = getVisibleStates(workflow)
+    .filter((state) => isDoneState(workflow, state))
+    .flatMap((state) => getTasksFromDir(path.join(tasksDir, state)));
   const weekTasks = filterByDate(completedTasks, isThisWeek);
 
   const lines = [];
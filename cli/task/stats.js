@@ -16,6 +16,10 @@ const {
   getStatusColor,
   getPriorityColor,
 } = require('../utils');
+const { getWorkflow } = require('./workflow');
+const { getWipStatus } = require('./wip');
+const { formatStats } = require('./output');
+const { getCustomFields } = require('../schema');
 
 // ============================================================================
 // Type Definitions
@@ -28,6 +32,29 @@ const {
  * @property {string} [actual] - Actual time spent
  */
 
+/**
+ * @typedef {Object} WipSummary
+ * @property {{count: number, limit: number}|null} global - In-progress tasks against the global limit
+ * @property {Record<string, {count: number, limit: number}>} assignees - In-progress tasks per assignee with a limit
+ */
+
+/**
+ * @typedef {Object} FieldTotal
+ * @property {number} total - Sum over all tasks
+ * @property {Record<string, number>} byStatus - Sum per workflow state
+ */
+
+/**
+ * @typedef {Object} TaskStatistics
+ * @property {number} total - Number of tasks
+ * @property {Record<string, number>} byStatus - Tasks per workflow state
+ * @property {Record<string, number>} byPriority - Tasks per priority
+ * @property {number} totalEstimated - Estimated hours
+ * @property {number} totalActual - Actual hours
+ * @property {WipSummary} wip - Work in progress against the WIP limits
+ * @property {Record<string, FieldTotal>} fields - Sums of the number fields declared in config
+ */
+
 /**
  * Helper to safely get frontmatter as TaskStats
  * @param {Record<string, unknown>} frontmatter - Raw frontmatter object
@@ -37,52 +64,29 @@ function asTaskStats(frontmatter) {
   return /** @type {TaskStats} */ (frontmatter);
 }
 
+/**
+ * Round a sum of field values to two decimals (avoids 0.1 + 0.2 noise)
+ * @param {number} value - Sum
+ * @returns {number} Rounded sum
+ */
+function roundSum(value) {
+  return Math.round(value * 100) / 100;
+}
+
 /**
  * Display task statistics
  * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {Object} [options] - Display options
+ * @param {import('./output').OutputFormat} [options.format] - Print machine-readable output instead of text
+ * @returns {TaskStatistics}
  */
-function getStats(getTasksDir) {
-  const dirs = ['active', 'backlog', 'completed', 'archived'];
-  const stats = {
-    total: 0,
-    /** @type {Record<string, number>} */
-    byStatus: {},
-    byPriority: { low: 0, medium: 0, high: 0 },
-    totalEstimated: 0,
-    totalActual: 0,
-  };
+function getStats(getTasksDir, options = {}) {
+  const stats = getStatsData(getTasksDir);
 
-  dirs.forEach((dir) => {
-    const dirPath = path.join(getTasksDir(), dir);
-    if (fs.existsSync(dirPath)) {
-      const files = fs.readdirSync(dirPath).filter((f) => f.startsWith('TASK-'));
-
-      stats.byStatus[dir] = files.length;
-      stats.total += files.length;
-
-      files.forEach((file) => {
-        const content = fs.readFileSync(path.join(dirPath, file), 'utf8');
-        const meta = asTaskStats(parseFrontmatter(content));
-
-        if (meta.priority) {
-          const priority = String(meta.priority);
-          if (priority === 'low' || priority === 'medium' || priority === 'high') {
-            stats.byPriority[priority] = (stats.byPriority[priority] || 0) + 1;
-          }
-        }
-
-        if (meta.estimated) {
-          const estimated = parseTime(String(meta.estimated));
-          if (estimated !== null) stats.totalEstimated += estimated;
-        }
-
-        if (meta.actual) {
-          const actual = parseTime(String(meta.actual));
-          if (actual !== null) stats.totalActual += actual;
-        }
-      });
-    }
-  });
+  if (options.format) {
+    console.log(formatStats(stats, options.format));
+    return stats;
+  }
 
   console.log(bold(`\n${icons.star} Task Statistics\n`));
 
@@ -119,6 +123,30 @@ function getStats(getTasksDir) {
     );
   }
 
+  const fieldTotals = Object.entries(stats.fields);
+  if (fieldTotals.length > 0) {
+    console.log(info('\nCustom Fields:'));
+    fieldTotals.forEach(([name, { total, byStatus }]) => {
+      const perStatus = Object.entries(byStatus)
+        .filter(([, sum]) => sum !== 0)
+        .map(([status, sum]) => `${status} ${sum}`)
+        .join(', ');
+      console.log(`  ${name.padEnd(12)}: ${total}${perStatus ? ` (${perStatus})` : ''}`);
+    });
+  }
+
+  /** @type {Array<[string, {count: number, limit: number}]>} */
+  const wipUsage = Object.entries(stats.wip.assignees).map(([name, usage]) => [`@${name}`, usage]);
+  if (stats.wip.global) wipUsage.unshift(['all', stats.wip.global]);
+  if (wipUsage.length > 0) {
+    console.log(info('\nWIP Limits:'));
+    wipUsage.forEach(([name, { count, limit }]) => {
+      const color = count > limit ? 'red' : count === limit ? 'yellow' : 'green';
+      const note = count > limit ? ' (over)' : count === limit ? ' (full)' : '';
+      console.log(`  ${name.padEnd(12)}: ${colorize(`${count}/${limit}${note}`, color)}`);
+    });
+  }
+
   console.log(bold(`\nTotal Tasks: ${stats.total}\n`));
 
   return stats;
@@ -127,10 +155,14 @@ function getStats(getTasksDir) {
 /**
  * Get detailed statistics object (for programmatic use)
  * @param {() => string} getTasksDir - Function to get tasks directory
- * @returns {{total: number, byStatus: Record<string, number>, byPriority: Record<string, number>, totalEstimated: number, totalActual: number}}
+ * @returns {TaskStatistics}
  */
 function getStatsData(getTasksDir) {
-  const dirs = ['active', 'backlog', 'completed', 'archived'];
+  const dirs = getWorkflow(getTasksDir).states;
+  const numberFields = Object.entries(getCustomFields('task', getTasksDir))
+    .filter(([, definition]) => definition.type === 'number')
+    .map(([name]) => name);
+  /** @type {TaskStatistics} */
   const stats = {
     total: 0,
     /** @type {Record<string, number>} */
@@ -139,7 +171,12 @@ function getStatsData(getTasksDir) {
     byPriority: { low: 0, medium: 0, high: 0 },
     totalEstimated: 0,
     totalActual: 0,
+    wip: { global: null, assignees: {} },
+    fields: {},
   };
+  numberFields.forEach((name) => {
+    stats.fields[name] = { total: 0, byStatus: Object.fromEntries(dirs.map((dir) => [dir, 0])) };
+  });
 
   dirs.forEach((dir) => {
     const dirPath = path.join(getTasksDir(), dir);
@@ -169,10 +206,24 @@ function getStatsData(getTasksDir) {
           const actual = parseTime(String(meta.actual));
           if (actual !== null) stats.totalActual += actual;
         }
+
+        numberFields.forEach((name) => {
+          const value = parseFloat(String(/** @type {Record<string, unknown>} */ (meta)[name]));
+          if (isNaN(value)) return;
+          const totals = stats.fields[name];
+          totals.total = roundSum(totals.total + value);
+          totals.byStatus[dir] = roundSum(totals.byStatus[dir] + value);
+        });
       });
     }
   });
 
+  const wip = getWipStatus(getTasksDir);
+  if (wip.global) stats.wip.global = { count: wip.global.count, limit: wip.global.limit };
+  wip.assignees.forEach((usage) => {
+    stats.wip.assignees[String(usage.assignee)] = { count: usage.count, limit: usage.limit };
+  });
+
   return stats;
 }
 
@@ -0,0 +1,256 @@
+/**
+ * Built-in time tracking (task timer start/stop/status)
+ *
+ * The running timer is kept in `<tasksDir>/.timer.json`. Each stopped timer is
+ * appended as one JSON line to `<tasksDir>/.time-sessions.jsonl` and added to
+ * the task's `actual` field.
+ *
+ * @module task/timer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  success,
+  error,
+  warning,
+  info,
+  dim,
+  bold,
+  icons,
+  parseTime,
+  formatTime,
+  getCurrentDate,
+  getLocalDate,
+  parseFrontmatter,
+  updateFrontmatter,
+} = require('../utils');
+const { normalizeTaskId, findTask } = require('./crud');
+const { recordChange } = require('./history');
+
+const TIMER_FILE = '.timer.json';
+const SESSIONS_FILE = '.time-sessions.jsonl';
+
+/**
+ * @typedef {Object} RunningTimer
+ * @property {string} taskId - Task being timed
+ * @property {string} title - Task title when the timer was started
+ * @property {string} started - Start time (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} TimeSession
+ * @property {string} taskId - Task that was worked on
+ * @property {string} title - Task title
+ * @property {string} assignee - Task assignee when the session ended
+ * @property {string} start - Start time (ISO 8601)
+ * @property {string} end - End time (ISO 8601)
+ * @property {number} hours - Session length in hours
+ */
+
+/**
+ * Get the running timer, if any
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {RunningTimer|null} Running timer or null
+ */
+function getRunningTimer(getTasksDir) {
+  const timerFile = path.join(getTasksDir(), TIMER_FILE);
+  if (!fs.existsSync(timerFile)) return null;
+
+  try {
+    const timer = JSON.parse(fs.readFileSync(timerFile, 'utf8'));
+    return timer && timer.taskId && timer.started ? timer : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get all recorded time sessions
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {TimeSession[]} Sessions in the order they were recorded
+ */
+function getSessions(getTasksDir) {
+  const sessionsFile = path.join(getTasksDir(), SESSIONS_FILE);
+  if (!fs.existsSync(sessionsFile)) return [];
+
+  /** @type {TimeSession[]} */
+  const sessions = [];
+  fs.readFileSync(sessionsFile, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .forEach((line) => {
+      try {
+        sessions.push(JSON.parse(line));
+      } catch {
+        // Skip corrupted lines
+      }
+    });
+  return sessions;
+}
+
+/**
+ * Get hours elapsed since a start time
+ * @param {string} started - Start time (ISO 8601)
+ * @returns {number} Elapsed hours
+ */
+function getElapsedHours(started) {
+  return Math.max(0, Date.now() - new Date(started).getTime()) / (1000 * 60 * 60);
+}
+
+/**
+ * Format the running total of the `actual` field
+ * formatTime rounds to whole minutes, which would drop every session shorter
+ * than 30 seconds, so fractions of a minute are kept (e.g. "1h 2.5m").
+ * @param {number} hours - Time in hours
+ * @returns {string} Time string that parseTime reads back
+ */
+function formatActual(hours) {
+  const minutes = Math.round(hours * 6000) / 100;
+  if (Number.isInteger(minutes)) return formatTime(minutes / 60);
+  const h = Math.floor(minutes / 60);
+  const m = Math.round((minutes - h * 60) * 100) / 100;
+  return h === 0 ? `${m}m` : `${h}h ${m}m`;
+}
+
+/**
+ * Start timing a task
+ * Only one timer can run at a time.
+ * @param {string} taskId - Task ID
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {boolean} True if the timer was started
+ */
+function startTimer(taskId, getTasksDir) {
+  const running = getRunningTimer(getTasksDir);
+  if (running) {
+    console.log(
+      error(
+        `\n${icons.cross} A timer is already running for ${running.taskId} (${formatTime(getElapsedHours(running.started))})`
+      )
+    );
+    console.log(info(`   Stop it first with: task timer stop\n`));
+    return false;
+  }
+
+  const task = findTask(taskId, getTasksDir);
+  if (!task) {
+    console.log(error(`\n${icons.cross} Task ${taskId} not found\n`));
+    return false;
+  }
+
+  const meta = parseFrontmatter(fs.readFileSync(task.path, 'utf8'));
+  /** @type {RunningTimer} */
+  const timer = {
+    taskId: normalizeTaskId(taskId),
+    title: String(meta.title || task.file),
+    started: new Date().toISOString(),
+  };
+  fs.writeFileSync(path.join(getTasksDir(), TIMER_FILE), JSON.stringify(timer, null, 2));
+
+  console.log(success(`\n${icons.clock} Timer started for ${timer.taskId}: ${timer.title}\n`));
+  return true;
+}
+
+/**
+ * Stop the running timer
+ * Records the session and adds its length to the task's `actual` field. An
+ * `actual` value that cannot be read is left as is (the session is still logged).
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {TimeSession|null} Recorded session, or null if no timer was running
+ */
+function stopTimer(getTasksDir) {
+  const running = getRunningTimer(getTasksDir);
+  if (!running) {
+    console.log(warning(`\n${icons.warning} No timer is running\n`));
+    return null;
+  }
+
+  const hours = getElapsedHours(running.started);
+  const task = findTask(running.taskId, getTasksDir);
+  let assignee = '';
+
+  if (task) {
+    let content = fs.readFileSync(task.path, 'utf8');
+    const meta = parseFrontmatter(content);
+    const recorded =
+      meta.actual === undefined || meta.actual === '' ? 0 : parseTime(String(meta.actual));
+    assignee = String(meta.assignee || '');
+
+    if (recorded === null) {
+      console.log(
+        warning(
+          `\n${icons.warning} Cannot read actual "${meta.actual}" of ${running.taskId}; left it unchanged`
+        )
+      );
+      console.log(
+        dim(`   Session kept in log. Fix it with: task update ${running.taskId} actual <time>`)
+      );
+    } else {
+      const actual = formatActual(recorded + hours);
+      content = updateFrontmatter(content, 'actual', actual);
+      content = updateFrontmatter(content, 'updated', getCurrentDate());
+      content = recordChange(content, 'actual', meta.actual, actual, {
+        note: `timer session ${formatTime(hours)}`,
+      });
+      fs.writeFileSync(task.path, content);
+    }
+  } else {
+    console.log(
+      warning(`\n${icons.warning} Task ${running.taskId} no longer exists; session kept in log`)
+    );
+  }
+
+  /** @type {TimeSession} */
+  const session = {
+    taskId: running.taskId,
+    title: running.title,
+    assignee,
+    start: running.started,
+    end: new Date().toISOString(),
+    hours: Math.round(hours * 10000) / 10000,
+  };
+  fs.appendFileSync(path.join(getTasksDir(), SESSIONS_FILE), JSON.stringify(session) + '\n');
+  fs.unlinkSync(path.join(getTasksDir(), TIMER_FILE));
+
+  console.log(success(`\n${icons.check} Timer stopped for ${running.taskId}: ${running.title}`));
+  console.log(info(`   Session: ${formatTime(hours)}\n`));
+  return session;
+}
+
+/**
+ * Print the running timer and today's tracked time
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {RunningTimer|null} Running timer or null
+ */
+function printTimerStatus(getTasksDir) {
+  const running = getRunningTimer(getTasksDir);
+
+  console.log(bold(`\n${icons.clock} Timer\n`));
+  if (running) {
+    console.log(`  ${bold(running.taskId)}: ${running.title}`);
+    console.log(
+      dim(
+        `  Running for ${formatTime(getElapsedHours(running.started))} (since ${new Date(running.started).toLocaleTimeString()})`
+      )
+    );
+  } else {
+    console.log(dim(`  No timer running`));
+  }
+
+  // Sessions are stored in UTC; "today" is the local day
+  const today = getLocalDate();
+  const todayHours = getSessions(getTasksDir)
+    .filter((s) => getLocalDate(s.end) === today)
+    .reduce((sum, s) => sum + s.hours, 0);
+  console.log(dim(`  Tracked today: ${formatTime(todayHours)}\n`));
+
+  return running;
+}
+
+module.exports = {
+  getRunningTimer,
+  getSessions,
+  startTimer,
+  stopTimer,
+  printTimerStatus,
+};
@@ -0,0 +1,258 @@
+/**
+ * Timesheet report from logged timer sessions
+ * @module task/timesheet
+ */
+
+const { bold, dim, icons, colorize, formatTime, getLocalDate } = require('../utils');
+const { getSessions } = require('./timer');
+const { mdCell, formatRows } = require('./output');
+
+/**
+ * @typedef {Object} TimesheetOptions
+ * @property {string} [from] - First day to include (YYYY-MM-DD, default: Monday of this week)
+ * @property {string} [to] - Last day to include (YYYY-MM-DD, default: today)
+ * @property {string} [assignee] - Only include sessions of this assignee
+ * @property {import('./output').OutputFormat} [format] - Output format (default: colored text)
+ */
+
+/**
+ * @typedef {Object} TimesheetTask
+ * @property {string} taskId - Task ID
+ * @property {string} title - Task title
+ * @property {number} hours - Hours tracked
+ */
+
+/**
+ * @typedef {Object} TimesheetDay
+ * @property {string} date - Day (YYYY-MM-DD)
+ * @property {number} hours - Hours tracked that day
+ * @property {TimesheetTask[]} tasks - Hours per task that day
+ */
+
+/**
+ * @typedef {Object} Timesheet
+ * @property {string} from - First day included
+ * @property {string} to - Last day included
+ * @property {string} [assignee] - Assignee filter
+ * @property {TimesheetDay[]} days - Days with tracked time, in order
+ * @property {TimesheetTask[]} tasks - Hours per task over the whole range
+ * @property {number} total - Total hours
+ */
+
+const HOUR_MS = 1000 * 60 * 60;
+
+/**
+ * Get Monday of the current week (local time)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getWeekStart() {
+  const today = new Date();
+  const offset = (today.getDay() + 6) % 7;
+  return getLocalDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset));
+}
+
+/**
+ * Split a session into hours per local day
+ * @param {string} start - Start time (ISO 8601)
+ * @param {string} end - End time (ISO 8601)
+ * @returns {Array<[string, number]>} Pairs of day and hours
+ */
+function splitByDay(start, end) {
+  /** @type {Array<[string, number]>} */
+  const parts = [];
+  let cursor = new Date(start).getTime();
+  const stop = new Date(end).getTime();
+
+  while (cursor < stop) {
+    const now = new Date(cursor);
+    const day = getLocalDate(now);
+    const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+    const partEnd = Math.min(stop, nextMidnight);
+    parts.push([day, (partEnd - cursor) / HOUR_MS]);
+    cursor = partEnd;
+  }
+  return parts;
+}
+
+/**
+ * Add hours for a task to a list of per-task totals
+ * @param {TimesheetTask[]} list - Totals to update
+ * @param {{taskId: string, title: string}} session - Session the hours come from
+ * @param {number} hours - Hours to add
+ */
+function addTaskHours(list, session, hours) {
+  const entry = list.find((t) => t.taskId === session.taskId);
+  if (entry) {
+    entry.hours += hours;
+  } else {
+    list.push({ taskId: session.taskId, title: session.title, hours });
+  }
+}
+
+/**
+ * Aggregate logged sessions per day and per task
+ * Sessions that span midnight are split between the days (local time).
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {TimesheetOptions} [options] - Date range and assignee filter
+ * @returns {Timesheet} Aggregated timesheet
+ */
+function getTimesheet(getTasksDir, options = {}) {
+  const from = options.from || getWeekStart();
+  const to = options.to || getLocalDate();
+  const assignee = options.assignee ? options.assignee.replace(/^@/, '').toLowerCase() : '';
+
+  /** @type {Map<string, TimesheetDay>} */
+  const days = new Map();
+  /** @type {TimesheetTask[]} */
+  const tasks = [];
+  let total = 0;
+
+  getSessions(getTasksDir)
+    .filter((s) => !assignee || String(s.assignee || '').toLowerCase() === assignee)
+    .forEach((session) => {
+      splitByDay(session.start, session.end).forEach(([date, hours]) => {
+        if (date < from || date > to) return;
+
+        if (!days.has(date)) days.set(date, { date, hours: 0, tasks: [] });
+        const day = /** @type {TimesheetDay} */ (days.get(date));
+        day.hours += hours;
+        addTaskHours(day.tasks, session, hours);
+        addTaskHours(tasks, session, hours);
+        total += hours;
+      });
+    });
+
+  return {
+    from,
+    to,
+    assignee: options.assignee,
+    days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    tasks: tasks.sort((a, b) => a.taskId.localeCompare(b.taskId)),
+    total,
+  };
+}
+
+/**
+ * Format hours as a decimal number for CSV
+ * @param {number} hours - Hours
+ * @returns {string} Hours with two decimals
+ */
+function toDecimal(hours) {
+  return hours.toFixed(2);
+}
+
+/**
+ * Generate text format timesheet
+ * @param {Timesheet} sheet - Timesheet data
+ * @returns {string}
+ */
+function generateTextTimesheet(sheet) {
+  const lines = [];
+
+  lines.push('');
+  lines.push(bold(`${icons.clock} Timesheet ${sheet.from} to ${sheet.to}`));
+  if (sheet.assignee) lines.push(dim(`Assignee: ${sheet.assignee}`));
+  lines.push('');
+
+  if (sheet.days.length === 0) {
+    lines.push(dim('No time tracked in this period'));
+    lines.push('');
+    return lines.join('\n');
+  }
+
+  sheet.days.forEach((day) => {
+    lines.push(colorize(`${icons.arrow} ${day.date}  ${formatTime(day.hours)}`, 'cyan'));
+    day.tasks.forEach((task) => {
+      lines.push(`  ${icons.bullet} ${task.taskId}: ${task.title} ${dim(formatTime(task.hours))}`);
+    });
+    lines.push('');
+  });
+
+  lines.push(colorize(`${icons.arrow} Per task`, 'green'));
+  sheet.tasks.forEach((task) => {
+    lines.push(`  ${icons.bullet} ${task.taskId}: ${task.title} ${dim(formatTime(task.hours))}`);
+  });
+  lines.push('');
+  lines.push(bold(`Total: ${formatTime(sheet.total)}`));
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate CSV or TSV format timesheet (one row per day and task)
+ * @param {Timesheet} sheet - Timesheet data
+ * @param {'csv'|'tsv'} format - Table format
+ * @returns {string}
+ */
+function generateTableTimesheet(sheet, format) {
+  const rows = sheet.days.flatMap((day) =>
+    day.tasks.map((task) => [day.date, task.taskId, task.title, toDecimal(task.hours)])
+  );
+  rows.push(['total', '', '', toDecimal(sheet.total)]);
+  return formatRows(['date', 'task', 'title', 'hours'], rows, format);
+}
+
+/**
+ * Generate markdown format timesheet
+ * @param {Timesheet} sheet - Timesheet data
+ * @returns {string}
+ */
+function generateMarkdownTimesheet(sheet) {
+  const lines = [];
+
+  lines.push(`# Timesheet ${sheet.from} to ${sheet.to}`);
+  lines.push('');
+  if (sheet.assignee) {
+    lines.push(`**Assignee:** ${sheet.assignee}`);
+    lines.push('');
+  }
+
+  lines.push('## By day');
+  lines.push('');
+  lines.push('| Date | Task | Title | Hours |');
+  lines.push('| ---- | ---- | ----- | ----- |');
+  sheet.days.forEach((day) => {
+    day.tasks.forEach((task) => {
+      lines.push(
+        `| ${day.date} | ${task.taskId} | ${mdCell(task.title)} | ${formatTime(task.hours)} |`
+      );
+    });
+  });
+  lines.push('');
+
+  lines.push('## By task');
+  lines.push('');
+  lines.push('| Task | Title | Hours |');
+  lines.push('| ---- | ----- | ----- |');
+  sheet.tasks.forEach((task) => {
+    lines.push(`| ${task.taskId} | ${mdCell(task.title)} | ${formatTime(task.hours)} |`);
+  });
+  lines.push('');
+  lines.push(`**Total:** ${formatTime(sheet.total)}`);
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate a timesheet report
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {TimesheetOptions} [options] - Report options
+ * @returns {string} Formatted timesheet
+ */
+function generateTimesheet(getTasksDir, options = {}) {
+  const sheet = getTimesheet(getTasksDir, options);
+
+  if (options.format === 'json') return JSON.stringify(sheet, null, 2);
+  if (options.format === 'csv' || options.format === 'tsv') {
+    return generateTableTimesheet(sheet, options.format);
+  }
+  if (options.format === 'markdown') return generateMarkdownTimesheet(sheet);
+  return generateTextTimesheet(sheet);
+}
+
+module.exports = {
+  getTimesheet,
+  generateTimesheet,
+};
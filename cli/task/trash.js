@@ -0,0 +1,219 @@
+/**
+ * Task trash (delete, restore, empty)
+ *
+ * Deleted tasks are moved to `<tasksDir>/.trash/`. Where each one came from is
+ * kept in `.trash/index.json` so it can be restored to its original state.
+ *
+ * @module task/trash
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  success,
+  error,
+  warning,
+  info,
+  dim,
+  bold,
+  icons,
+  formatDate,
+  parseFrontmatter,
+  ensureDir,
+} = require('../utils');
+const { TRASH_DIR, normalizeTaskId, findTask } = require('./crud');
+const { getWorkflow } = require('./workflow');
+const { appendHistory } = require('./history');
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * @typedef {Object} TrashEntry
+ * @property {string} id - Task ID
+ * @property {string} file - Task file name
+ * @property {string} title - Task title
+ * @property {string} status - State the task was deleted from
+ * @property {string} deletedAt - Deletion time (ISO 8601)
+ */
+
+/**
+ * Get the trash directory path
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {string} Trash directory
+ */
+function getTrashDir(getTasksDir) {
+  return path.join(getTasksDir(), TRASH_DIR);
+}
+
+/**
+ * List trashed tasks
+ * Entries whose file has gone missing are left out.
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {TrashEntry[]} Trashed tasks, oldest deletion first
+ */
+function getTrash(getTasksDir) {
+  const indexPath = path.join(getTrashDir(getTasksDir), INDEX_FILE);
+  if (!fs.existsSync(indexPath)) return [];
+
+  try {
+    /** @type {TrashEntry[]} */
+    const entries = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    return entries.filter((e) => fs.existsSync(path.join(getTrashDir(getTasksDir), e.file)));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write the trash index
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {TrashEntry[]} entries - Trashed tasks
+ */
+function writeTrash(getTasksDir, entries) {
+  const trashDir = getTrashDir(getTasksDir);
+  ensureDir(trashDir);
+  fs.writeFileSync(path.join(trashDir, INDEX_FILE), JSON.stringify(entries, null, 2));
+}
+
+/**
+ * Move a task to the trash
+ * @param {string} taskId - Task ID
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {TrashEntry|null} Trash entry, or null if the task was not found
+ */
+function deleteTask(taskId, getTasksDir) {
+  const task = findTask(taskId, getTasksDir);
+  if (!task) {
+    console.log(error(`\n${icons.cross} Task ${taskId} not found\n`));
+    return null;
+  }
+
+  const content = fs.readFileSync(task.path, 'utf8');
+  const meta = parseFrontmatter(content);
+
+  /** @type {TrashEntry} */
+  const entry = {
+    id: normalizeTaskId(taskId),
+    file: task.file,
+    title: String(meta.title || task.file),
+    status: task.status,
+    deletedAt: new Date().toISOString(),
+  };
+
+  ensureDir(getTrashDir(getTasksDir));
+  fs.writeFileSync(
+    path.join(getTrashDir(getTasksDir), task.file),
+    appendHistory(content, `trash: deleted from ${task.status}`)
+  );
+  fs.unlinkSync(task.path);
+  writeTrash(getTasksDir, [...getTrash(getTasksDir).filter((e) => e.id !== entry.id), entry]);
+
+  console.log(success(`\n${icons.check} Moved ${entry.id} to trash`));
+  console.log(dim(`   Restore with: task restore ${entry.id}\n`));
+  return entry;
+}
+
+/**
+ * Restore a trashed task to the state it was deleted from
+ * Falls back to the workflow's initial state if that state no longer exists.
+ * @param {string} taskId - Task ID
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {boolean} True if the task was restored
+ */
+function restoreTask(taskId, getTasksDir) {
+  // Compare ID numbers, so "2" finds TASK-002
+  const number = (/** @type {string} */ id) =>
+    parseInt(normalizeTaskId(id).replace(/^TASK-/, ''), 10);
+  const entries = getTrash(getTasksDir);
+  const entry = entries.find((e) => number(e.id) === number(taskId));
+
+  if (!entry) {
+    console.log(error(`\n${icons.cross} Task ${normalizeTaskId(taskId)} is not in the trash\n`));
+    return false;
+  }
+  const id = entry.id;
+
+  const workflow = getWorkflow(getTasksDir);
+  let status = entry.status;
+  if (!workflow.states.includes(status)) {
+    console.log(
+      warning(
+        `\n${icons.warning} State "${status}" no longer exists; restoring to ${workflow.initial}`
+      )
+    );
+    status = workflow.initial;
+  }
+
+  const trashPath = path.join(getTrashDir(getTasksDir), entry.file);
+  const targetDir = path.join(getTasksDir(), status);
+  ensureDir(targetDir);
+  fs.writeFileSync(
+    path.join(targetDir, entry.file),
+    appendHistory(fs.readFileSync(trashPath, 'utf8'), `trash: restored to ${status}`)
+  );
+  fs.unlinkSync(trashPath);
+  writeTrash(
+    getTasksDir,
+    entries.filter((e) => e.id !== id)
+  );
+
+  console.log(success(`\n${icons.check} Restored ${id} to ${status}\n`));
+  return true;
+}
+
+/**
+ * Permanently remove trashed tasks
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {number|null} [olderThanDays=null] - Only remove tasks deleted more than this many days ago
+ * @returns {number} Number of tasks removed
+ */
+function emptyTrash(getTasksDir, olderThanDays = null) {
+  const entries = getTrash(getTasksDir);
+  const cutoff = olderThanDays === null ? Infinity : Date.now() - olderThanDays * 86400000;
+
+  const expired = entries.filter((e) => new Date(e.deletedAt).getTime() < cutoff);
+  expired.forEach((e) => {
+    fs.unlinkSync(path.join(getTrashDir(getTasksDir), e.file));
+  });
+  writeTrash(
+    getTasksDir,
+    entries.filter((e) => !expired.includes(e))
+  );
+
+  if (expired.length > 0) {
+    console.log(success(`\n${icons.check} Permanently deleted ${expired.length} task(s)\n`));
+  } else {
+    console.log(dim(`\n${icons.info} Nothing to remove from trash\n`));
+  }
+  return expired.length;
+}
+
+/**
+ * Print trashed tasks
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {TrashEntry[]} Trashed tasks
+ */
+function printTrash(getTasksDir) {
+  const entries = getTrash(getTasksDir);
+
+  if (entries.length === 0) {
+    console.log(dim(`\n${icons.info} Trash is empty\n`));
+    return entries;
+  }
+
+  console.log(bold(`\n${icons.task} Trash (${entries.length})\n`));
+  entries.forEach((e) => {
+    console.log(`  ${icons.bullet} ${bold(e.id)}: ${e.title}`);
+    console.log(dim(`    From: ${e.status} | Deleted: ${formatDate(e.deletedAt)}`));
+  });
+  console.log(info(`\nRestore with: task restore <id>\n`));
+  return entries;
+}
+
+module.exports = {
+  getTrash,
+  deleteTask,
+  restoreTask,
+  emptyTrash,
+  printTrash,
+};
@@ -0,0 +1,195 @@
+/**
+ * Saved list views (task views save/list/delete, task list @name)
+ *
+ * Views are stored under "views" in the local workspace configuration
+ * (.local-work/config.json), so they are shared with everyone who checks out
+ * the project.
+ *
+ * @module task/views
+ */
+
+const fs = require('fs');
+const { success, error, info, dim, bold, icons } = require('../utils');
+const { getWorkspaceConfig } = require('../config');
+const { getWorkflow } = require('./workflow');
+const { parseQuery } = require('./query');
+const { getCustomFields } = require('../schema');
+
+const VIEW_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const VIEW_FIELDS = ['status', 'priority', 'assignee', 'tag', 'query'];
+
+/**
+ * @typedef {Object} SavedView
+ * @property {string} [status] - State to list
+ * @property {string} [priority] - Priority filter
+ * @property {string} [assignee] - Assignee filter
+ * @property {string} [tag] - Tag filter
+ * @property {string} [query] - Query expression (see task/query)
+ */
+
+/**
+ * Get all saved views of the workspace
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Record<string, SavedView>} Views by name
+ */
+function getViews(getTasksDir) {
+  const { config } = getWorkspaceConfig(getTasksDir());
+  const views = config.views;
+  return views && typeof views === 'object' && !Array.isArray(views) ? views : {};
+}
+
+/**
+ * Get a saved view by name
+ * @param {string} name - View name (with or without leading "@")
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {SavedView|null} View, or null if there is no view with that name
+ */
+function getView(name, getTasksDir) {
+  const views = getViews(getTasksDir);
+  const key = name.replace(/^@/, '');
+  return Object.prototype.hasOwnProperty.call(views, key) ? views[key] : null;
+}
+
+/**
+ * Write the views back to the local configuration file
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @param {(views: Record<string, SavedView>) => void} change - Modifies the views in place
+ * @returns {string|null} Configuration path, or null if there is no local configuration
+ */
+function writeViews(getTasksDir, change) {
+  const { path: configPath, mode } = getWorkspaceConfig(getTasksDir());
+  if (mode !== 'local' || !configPath) {
+    console.log(error(`\n${icons.cross} Saved views need a local workspace (run "task init")\n`));
+    return null;
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const views = config.views && typeof config.views === 'object' ? config.views : {};
+  change(views);
+  config.views = views;
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
+  return configPath;
+}
+
+/**
+ * Save a named view
+ * An existing view with the same name is replaced.
+ * @param {string} name - View name
+ * @param {SavedView} view - Filters to save
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {boolean} True if the view was saved
+ */
+function saveView(name, view, getTasksDir) {
+  const key = name.replace(/^@/, '');
+  if (!VIEW_NAME_PATTERN.test(key)) {
+    console.log(
+      error(`\n${icons.cross} Invalid view name "${name}". Use letters, digits, "-" or "_"\n`)
+    );
+    return false;
+  }
+
+  /** @type {Record<string, string>} */
+  const filters = {};
+  VIEW_FIELDS.forEach((field) => {
+    const value = view[/** @type {keyof SavedView} */ (field)];
+    if (value) filters[field] = value;
+  });
+  if (Object.keys(filters).length === 0) {
+    console.log(error(`\n${icons.cross} A view needs at least one filter\n`));
+    return false;
+  }
+
+  const { states } = getWorkflow(getTasksDir);
+  if (filters.status && !states.includes(filters.status)) {
+    console.log(
+      error(`\n${icons.cross} Unknown state "${filters.status}". States: ${states.join(', ')}\n`)
+    );
+    return false;
+  }
+  if (filters.query) {
+    try {
+      parseQuery(filters.query, getCustomFields('task', getTasksDir));
+    } catch (err) {
+      console.log(error(`\n${icons.cross} ${/** @type {Error} */ (err).message}\n`));
+      return false;
+    }
+  }
+
+  const configPath = writeViews(getTasksDir, (views) => {
+    views[key] = filters;
+  });
+  if (!configPath) return false;
+
+  console.log(success(`\n${icons.check} Saved view @${key}`));
+  console.log(dim(`   ${describeView(filters)}`));
+  console.log(info(`   Run it with: task list @${key}\n`));
+  return true;
+}
+
+/**
+ * Delete a saved view
+ * @param {string} name - View name (with or without leading "@")
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {boolean} True if the view was deleted
+ */
+function deleteView(name, getTasksDir) {
+  const key = name.replace(/^@/, '');
+  if (!getView(key, getTasksDir)) {
+    console.log(error(`\n${icons.cross} View @${key} not found\n`));
+    return false;
+  }
+
+  if (
+    !writeViews(getTasksDir, (views) => {
+      delete views[key];
+    })
+  ) {
+    return false;
+  }
+
+  console.log(success(`\n${icons.check} Deleted view @${key}\n`));
+  return true;
+}
+
+/**
+ * Describe the filters of a view on one line
+ * @param {SavedView} view - View
+ * @returns {string} Description (e.g. "status: active | priority: high")
+ */
+function describeView(view) {
+  return VIEW_FIELDS.filter((field) => view[/** @type {keyof SavedView} */ (field)])
+    .map((field) => `${field}: ${view[/** @type {keyof SavedView} */ (field)]}`)
+    .join(' | ');
+}
+
+/**
+ * Print all saved views
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Record<string, SavedView>} Views by name
+ */
+function printViews(getTasksDir) {
+  const views = getViews(getTasksDir);
+  const names = Object.keys(views).sort();
+
+  if (names.length === 0) {
+    console.log(dim(`\n${icons.info} No saved views`));
+    console.log(dim(`   Save one with: task views save <name> [state] --priority high\n`));
+    return views;
+  }
+
+  console.log(bold(`\n${icons.task} Saved Views (${names.length})\n`));
+  names.forEach((name) => {
+    console.log(`  ${icons.bullet} ${bold(`@${name}`)}`);
+    console.log(dim(`    ${describeView(views[name])}`));
+  });
+  console.log(info(`\nRun one with: task list @<name>\n`));
+  return views;
+}
+
+module.exports = {
+  getViews,
+  getView,
+  saveView,
+  deleteView,
+  printViews,
+};
@@ -0,0 +1,182 @@
+/**
+ * Work-in-progress (WIP) limits
+ *
+ * Limits are read from the "wipLimits" key of the workspace configuration:
+ *
+ *   "wipLimits": { "global": 8, "perAssignee": 3, "assignees": { "kim": 2 } }
+ *
+ * - `global` caps the number of in-progress tasks in the workspace
+ * - `perAssignee` caps the in-progress tasks of each assignee
+ * - `assignees` overrides `perAssignee` for single people
+ *
+ * In-progress tasks are tasks in an open state past the initial one
+ * (`active` in the default workflow).
+ *
+ * @module task/wip
+ */
+
+const { getWorkspaceConfig } = require('../config');
+const { getAllTasks } = require('./list');
+const { getWorkflow, getInProgressStates } = require('./workflow');
+
+/**
+ * @typedef {import('./list').TaskSummary} TaskSummary
+ */
+
+/**
+ * @typedef {Object} WipLimits
+ * @property {number|null} global - Maximum in-progress tasks in the workspace
+ * @property {number|null} perAssignee - Maximum in-progress tasks per assignee
+ * @property {Record<string, number>} assignees - Limits of single assignees (lowercase names)
+ */
+
+/**
+ * @typedef {Object} WipUsage
+ * @property {string|null} assignee - Assignee, or null for the global limit
+ * @property {number} count - In-progress tasks
+ * @property {number} limit - Configured limit
+ * @property {TaskSummary[]} tasks - The in-progress tasks
+ */
+
+/**
+ * @typedef {Object} WipStatus
+ * @property {WipUsage|null} global - Global usage, or null without a global limit
+ * @property {WipUsage[]} assignees - Usage of every assignee with a limit and in-progress work
+ */
+
+/**
+ * Normalize an assignee name for comparisons
+ * @param {string} assignee - Assignee (with or without leading "@")
+ * @returns {string} Lowercase name without "@"
+ */
+function assigneeKey(assignee) {
+  return assignee.trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Validate a WIP limits configuration
+ * @param {any} raw - wipLimits object from configuration (may be undefined)
+ * @param {string|null} [source] - Configuration file path (for error messages)
+ * @returns {WipLimits} Normalized limits (null where no limit applies)
+ * @throws {Error} If the configuration is invalid
+ */
+function normalizeWipLimits(raw, source = null) {
+  /** @type {WipLimits} */
+  const limits = { global: null, perAssignee: null, assignees: {} };
+  if (raw === undefined || raw === null) return limits;
+
+  /** @param {string} message */
+  const fail = (message) => {
+    return new Error(`Invalid wipLimits${source ? ` in ${source}` : ''}: ${message}`);
+  };
+  /**
+   * @param {unknown} value
+   * @param {string} key
+   * @returns {number}
+   */
+  const limit = (value, key) => {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < 1) {
+      throw fail(`"${key}" must be a positive whole number`);
+    }
+    return value;
+  };
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw fail('"wipLimits" must be an object');
+  }
+  if (raw.global !== undefined) limits.global = limit(raw.global, 'global');
+  if (raw.perAssignee !== undefined) limits.perAssignee = limit(raw.perAssignee, 'perAssignee');
+  if (raw.assignees !== undefined) {
+    if (typeof raw.assignees !== 'object' || Array.isArray(raw.assignees)) {
+      throw fail('"assignees" must map a name to a limit');
+    }
+    Object.entries(raw.assignees).forEach(([name, value]) => {
+      limits.assignees[assigneeKey(name)] = limit(value, `assignees.${name}`);
+    });
+  }
+
+  return limits;
+}
+
+/**
+ * Get the WIP limits configured for a tasks directory
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {WipLimits} WIP limits
+ * @throws {Error} If the configured limits are invalid
+ */
+function getWipLimits(getTasksDir) {
+  const { config, path: configPath } = getWorkspaceConfig(getTasksDir());
+  return normalizeWipLimits(config.wipLimits, configPath);
+}
+
+/**
+ * Get the limit that applies to an assignee
+ * @param {WipLimits} limits - WIP limits
+ * @param {string} assignee - Assignee
+ * @returns {number|null} Limit, or null if the assignee has none
+ */
+function getAssigneeLimit(limits, assignee) {
+  const key = assigneeKey(assignee);
+  if (key === '') return null;
+  return key in limits.assignees ? limits.assignees[key] : limits.perAssignee;
+}
+
+/**
+ * Get in-progress tasks and how they compare to the limits
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {WipStatus} Usage of the global and per-assignee limits
+ */
+function getWipStatus(getTasksDir) {
+  const limits = getWipLimits(getTasksDir);
+  const tasks = getAllTasks(getTasksDir, getInProgressStates(getWorkflow(getTasksDir)));
+
+  /** @type {Map<string, WipUsage>} */
+  const byAssignee = new Map();
+  tasks.forEach((task) => {
+    const limit = getAssigneeLimit(limits, task.assignee);
+    if (limit === null) return;
+    const key = assigneeKey(task.assignee);
+    const usage = byAssignee.get(key) || { assignee: key, count: 0, limit, tasks: [] };
+    usage.count++;
+    usage.tasks.push(task);
+    byAssignee.set(key, usage);
+  });
+
+  return {
+    global:
+      limits.global === null
+        ? null
+        : { assignee: null, count: tasks.length, limit: limits.global, tasks },
+    assignees: [...byAssignee.values()].sort((a, b) =>
+      String(a.assignee).localeCompare(String(b.assignee))
+    ),
+  };
+}
+
+/**
+ * Get the limits a move would exceed
+ * Only moves into an in-progress state from outside one add work in progress.
+ * @param {{status: string, assignee: string}} task - Task that moves
+ * @param {string} targetStatus - State the task moves to
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {WipUsage[]} Limits that are already reached (empty if the move is fine)
+ */
+function getWipViolations(task, targetStatus, getTasksDir) {
+  const inProgress = getInProgressStates(getWorkflow(getTasksDir));
+  if (!inProgress.includes(targetStatus) || inProgress.includes(task.status)) return [];
+
+  const status = getWipStatus(getTasksDir);
+  const usage = status.assignees.find((u) => u.assignee === assigneeKey(task.assignee));
+  /** @type {WipUsage[]} */
+  const violations = [];
+  if (status.global && status.global.count >= status.global.limit) violations.push(status.global);
+  if (usage && usage.count >= usage.limit) violations.push(usage);
+  return violations;
+}
+
+module.exports = {
+  normalizeWipLimits,
+  getWipLimits,
+  getWipStatus,
+  getWipViolations,
+};
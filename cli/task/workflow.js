@@ -0,0 +1,190 @@
+/**
+ * Task workflow (states, their order and allowed transitions)
+ *
+ * The workflow is read from the "workflow" key of the workspace configuration
+ * (.local-work/config.json for local workspaces). Missing keys fall back to
+ * the default backlog → active → completed → archived workflow.
+ *
+ * @module task/workflow
+ */
+
+const { getWorkspaceConfig, getDefaultWorkflow } = require('../config');
+
+/**
+ * @typedef {import('../config/workspace').WorkflowConfig} Workflow
+ */
+
+const STATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Validate a workflow configuration and fill in defaults
+ * @param {any} raw - Workflow object from configuration (may be undefined)
+ * @param {string|null} [source] - Configuration file path (for error messages)
+ * @returns {Workflow} Normalized workflow
+ * @throws {Error} If the workflow configuration is invalid
+ */
+function normalizeWorkflow(raw, source = null) {
+  const defaults = getDefaultWorkflow();
+  if (raw === undefined || raw === null) return defaults;
+
+  /** @param {string} message */
+  const fail = (message) => {
+    return new Error(`Invalid workflow${source ? ` in ${source}` : ''}: ${message}`);
+  };
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw fail('"workflow" must be an object');
+  }
+
+  const states = raw.states === undefined ? defaults.states : raw.states;
+  if (!Array.isArray(states) || states.length === 0) {
+    throw fail('"states" must be a non-empty list');
+  }
+  states.forEach((state) => {
+    if (typeof state !== 'string' || !STATE_NAME_PATTERN.test(state)) {
+      throw fail(`state "${state}" must be lowercase letters, digits, "-" or "_"`);
+    }
+  });
+  if (new Set(states).size !== states.length) {
+    throw fail('"states" contains duplicates');
+  }
+
+  /**
+   * @param {string} key
+   * @param {string[]} fallback
+   * @returns {string[]}
+   */
+  const stateList = (key, fallback) => {
+    const value = raw[key] === undefined ? fallback.filter((s) => states.includes(s)) : raw[key];
+    if (!Array.isArray(value)) throw fail(`"${key}" must be a list of states`);
+    value.forEach((state) => {
+      if (!states.includes(state)) throw fail(`"${key}" references unknown state "${state}"`);
+    });
+    return value;
+  };
+
+  const initial =
+    raw.initial === undefined
+      ? states.includes(defaults.initial)
+        ? defaults.initial
+        : states[0]
+      : raw.initial;
+  if (!states.includes(initial)) {
+    throw fail(`"initial" references unknown state "${initial}"`);
+  }
+
+  // The default transition rules only fit the default states
+  const transitions =
+    raw.transitions === undefined
+      ? raw.states === undefined
+        ? defaults.transitions
+        : {}
+      : raw.transitions;
+  if (typeof transitions !== 'object' || Array.isArray(transitions) || transitions === null) {
+    throw fail('"transitions" must map a state to a list of states');
+  }
+  Object.entries(transitions).forEach(([from, targets]) => {
+    if (!states.includes(from)) throw fail(`"transitions" references unknown state "${from}"`);
+    if (!Array.isArray(targets)) throw fail(`"transitions.${from}" must be a list of states`);
+    targets.forEach((to) => {
+      if (!states.includes(to)) {
+        throw fail(`"transitions.${from}" references unknown state "${to}"`);
+      }
+    });
+  });
+
+  return {
+    states: [...states],
+    initial,
+    done: stateList('done', defaults.done),
+    hidden: stateList('hidden', defaults.hidden),
+    transitions,
+  };
+}
+
+/**
+ * Get the workflow configured for a tasks directory
+ * @param {() => string} getTasksDir - Function to get tasks directory
+ * @returns {Workflow} Workflow for the workspace
+ * @throws {Error} If the configured workflow is invalid
+ */
+function getWorkflow(getTasksDir) {
+  const { config, path: configPath } = getWorkspaceConfig(getTasksDir());
+  return normalizeWorkflow(config.workflow, configPath);
+}
+
+/**
+ * Check whether a state counts as finished (e.g. completed, archived)
+ * @param {Workflow} workflow - Workflow
+ * @param {string} state - State to check
+ * @returns {boolean} True if tasks in this state are finished
+ */
+function isDoneState(workflow, state) {
+  return workflow.done.includes(state);
+}
+
+/**
+ * Get states in which tasks are still open
+ * @param {Workflow} workflow - Workflow
+ * @returns {string[]} Open states in workflow order
+ */
+function getOpenStates(workflow) {
+  return workflow.states.filter((s) => !workflow.done.includes(s));
+}
+
+/**
+ * Get states in which work is in progress (open, but past the initial state)
+ * @param {Workflow} workflow - Workflow
+ * @returns {string[]} In-progress states in workflow order
+ */
+function getInProgressStates(workflow) {
+  return getOpenStates(workflow).filter((s) => s !== workflow.initial);
+}
+
+/**
+ * Get states shown by default in listings and searches
+ * @param {Workflow} workflow - Workflow
+ * @returns {string[]} Visible states in workflow order
+ */
+function getVisibleStates(workflow) {
+  return workflow.states.filter((s) => !workflow.hidden.includes(s));
+}
+
+/**
+ * Get the states the start, done and archive commands move tasks to
+ * These are the first in-progress state, the first done state and the first
+ * hidden state (active, completed and archived by default).
+ * @param {Workflow} workflow - Workflow
+ * @returns {{start: string|null, done: string|null, archive: string|null}} Target states (null if the workflow has none)
+ */
+function getShortcutStates(workflow) {
+  return {
+    start: getInProgressStates(workflow)[0] || null,
+    done: workflow.done[0] || null,
+    archive: workflow.hidden[0] || null,
+  };
+}
+
+/**
+ * Check whether a task may move from one state to another
+ * States without an entry in `transitions` may move to any state.
+ * @param {Workflow} workflow - Workflow
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(workflow, from, to) {
+  const allowed = workflow.transitions[from];
+  return !allowed || allowed.includes(to);
+}
+
+module.exports = {
+  normalizeWorkflow,
+  getWorkflow,
+  isDoneState,
+  getOpenStates,
+  getInProgressStates,
+  getVisibleStates,
+  getShortcutStates,
+  canTransition,
+};
@@ -0,0 +1,211 @@
+/**
+ * Templates for new tasks and notes
+ *
+ * Templates are looked up in three places, first match wins:
+ *
+ *   1. the workspace: .local-work/templates/
+ *   2. the global configuration directory: <config dir>/templates/
+ *   3. the templates shipped with local-work
+ *
+ * The default template of a kind is named `<kind>-template.md` (e.g.
+ * `task-template.md`); further templates are named `<kind>-<name>-template.md`
+ * and picked by name (`task new --template bug` uses `task-bug-template.md`).
+ *
+ * Templates can use variables such as `{{title}}`, `{{date}}`, `{{time}}` and
+ * `{{git.branch}}`. Unknown variables are left as written.
+ *
+ * @module templates
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  getCurrentDate,
+  getCurrentTime,
+  splitFrontmatter,
+  formatYamlField,
+} = require('../utils');
+const { getWorkspaceConfig, getConfigDir } = require('../config');
+
+/** Templates shipped with local-work */
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates');
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const FIELD_VARIABLE_PATTERN = /^(\s*)([\w-]+):[ \t]*\{\{\s*([\w.-]+)\s*\}\}[ \t]*$/;
+
+/**
+ * @typedef {import('../schema').DocumentKind} TemplateKind
+ */
+
+/**
+ * @typedef {Object} TemplateInfo
+ * @property {string} name - Template name ("default" for `<kind>-template.md`)
+ * @property {string} path - Template file path
+ * @property {'workspace'|'global'|'default'} source - Where the template was found
+ */
+
+/**
+ * Get the directories templates are looked up in, in lookup order
+ * @param {() => string} getDir - Function to get the tasks (for tasks) or notes directory
+ * @returns {Array<{dir: string, source: TemplateInfo['source']}>} Template directories
+ */
+function getTemplateDirs(getDir) {
+  /** @type {Array<{dir: string, source: TemplateInfo['source']}>} */
+  const dirs = [];
+  const workspace = getWorkspaceConfig(getDir());
+  if (workspace.mode === 'local' && workspace.path) {
+    dirs.push({ dir: path.join(path.dirname(workspace.path), 'templates'), source: 'workspace' });
+  }
+  dirs.push({ dir: path.join(getConfigDir(), 'templates'), source: 'global' });
+  dirs.push({ dir: DEFAULT_TEMPLATES_DIR, source: 'default' });
+  return dirs;
+}
+
+/**
+ * Get the file name of a template
+ * @param {TemplateKind} kind - Kind of document
+ * @param {string|null} [name] - Template name (null or "default" for the default template)
+ * @returns {string} File name
+ */
+function getTemplateFileName(kind, name = null) {
+  return !name || name === 'default' ? `${kind}-template.md` : `${kind}-${name}-template.md`;
+}
+
+/**
+ * Find a template
+ * @param {TemplateKind} kind - Kind of document
+ * @param {() => string} getDir - Function to get the tasks (for tasks) or notes directory
+ * @param {string|null} [name] - Template name (null for the default template; letters, digits, "-" and "_")
+ * @returns {TemplateInfo|null} First template found, or null if there is none
+ */
+function findTemplate(kind, getDir, name = null) {
+  if (name && !/^[\w-]+$/.test(name)) return null;
+  const fileName = getTemplateFileName(kind, name);
+  for (const { dir, source } of getTemplateDirs(getDir)) {
+    const filePath = path.join(dir, fileName);
+    if (fs.existsSync(filePath)) {
+      return { name: name || 'default', path: filePath, source };
+    }
+  }
+  return null;
+}
+
+/**
+ * List the templates available for a kind of document
+ * Templates hidden by one of the same name found earlier are left out.
+ * @param {TemplateKind} kind - Kind of document
+ * @param {() => string} getDir - Function to get the tasks (for tasks) or notes directory
+ * @returns {TemplateInfo[]} Templates, sorted by name ("default" first)
+ */
+function listTemplates(kind, getDir) {
+  /** @type {Map<string, TemplateInfo>} */
+  const found = new Map();
+  const pattern = new RegExp(`^${kind}(?:-(.+))?-template\\.md$`);
+
+  getTemplateDirs(getDir).forEach(({ dir, source }) => {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir)
+      .sort()
+      .forEach((file) => {
+        const match = file.match(pattern);
+        const name = match ? match[1] || 'default' : null;
+        if (name && !found.has(name)) {
+          found.set(name, { name, path: path.join(dir, file), source });
+        }
+      });
+  });
+
+  return [...found.values()].sort(
+    (a, b) => Number(b.name === 'default') - Number(a.name === 'default') || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Get the current Git branch
+ * Reads .git/HEAD directly (worktrees included), so Git does not need to be installed.
+ * @param {string} [startDir] - Directory to search upward from (defaults to cwd)
+ * @returns {string} Branch name, short commit hash when detached, or '' outside a repository
+ */
+function getGitBranch(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const gitPath = path.join(dir, '.git');
+    if (fs.existsSync(gitPath)) {
+      try {
+        let gitDir = gitPath;
+        if (fs.statSync(gitPath).isFile()) {
+          const match = fs.readFileSync(gitPath, 'utf8').match(/^gitdir:\s*(.+)$/m);
+          if (!match) return '';
+          gitDir = path.resolve(dir, match[1].trim());
+        }
+        const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+        const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+        return ref ? ref[1] : head.slice(0, 7);
+      } catch {
+        return '';
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return '';
+    dir = parent;
+  }
+}
+
+/**
+ * Fill in the variables of a template
+ * A frontmatter field whose whole value is a variable (`title: {{title}}`)
+ * gets the value quoted as YAML where needed; everywhere else values are
+ * inserted as they are.
+ * @param {string} template - Template content
+ * @param {Record<string, string>} variables - Variable values
+ * @returns {string} Filled-in content
+ */
+function renderTemplate(template, variables) {
+  // Only own keys count, so "{{constructor}}" is not filled from Object.prototype
+  /** @param {string} name */
+  const isSet = (name) => Object.prototype.hasOwnProperty.call(variables, name);
+  /** @param {string} text */
+  const fill = (text) =>
+    text.replace(VARIABLE_PATTERN, (placeholder, name) =>
+      isSet(name) ? variables[name] : placeholder
+    );
+
+  const { frontmatter, body } = splitFrontmatter(template);
+  const header = frontmatter
+    .split('\n')
+    .map((line) => {
+      const match = line.match(FIELD_VARIABLE_PATTERN);
+      if (!match || !isSet(match[3])) return fill(line);
+      return formatYamlField(match[2], variables[match[3]], match[1]);
+    })
+    .join('\n');
+  return header + fill(body);
+}
+
+/**
+ * Read a template and fill in its variables
+ * `date`, `time` and `git.branch` are always available. Templates without
+ * frontmatter get an empty block, so the caller can add its fields.
+ * @param {TemplateInfo} template - Template to fill in
+ * @param {Record<string, string>} values - Other variable values (e.g. title, id)
+ * @returns {string} Filled-in content
+ */
+function fillTemplate(template, values) {
+  const content = renderTemplate(fs.readFileSync(template.path, 'utf8'), {
+    date: getCurrentDate(),
+    time: getCurrentTime(),
+    'git.branch': getGitBranch(),
+    ...values,
+  });
+  return splitFrontmatter(content).frontmatter ? content : `---\n---\n\n${content}`;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES_DIR,
+  getTemplateDirs,
+  findTemplate,
+  listTemplates,
+  getGitBranch,
+  renderTemplate,
+  fillTemplate,
+};
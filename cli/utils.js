@@ -28,6 +28,10 @@ module.exports = {
   getCurrentDate: utils.getCurrentDate,
   getCurrentTime: utils.getCurrentTime,
   getCurrentDateTime: utils.getCurrentDateTime,
+  getLocalDate: utils.getLocalDate,
+  isValidDate: utils.isValidDate,
+  isOverdue: utils.isOverdue,
+  getDueBucket: utils.getDueBucket,
 
   // File utilities
   ensureDir: utils.ensureDir,
@@ -36,8 +40,23 @@ module.exports = {
   openInEditor: utils.openInEditor,
 
   // Format utilities
+  splitFrontmatter: utils.splitFrontmatter,
   parseFrontmatter: utils.parseFrontmatter,
+  getFrontmatterLine: utils.getFrontmatterLine,
   updateFrontmatter: utils.updateFrontmatter,
   formatTable: utils.formatTable,
   progressBar: utils.progressBar,
+  truncate: utils.truncate,
+
+  // YAML utilities
+  formatYamlField: utils.formatYamlField,
+  quoteYamlString: utils.quoteYamlString,
+
+  // Search utilities
+  parseSearchTerms: utils.parseSearchTerms,
+  fuzzyFind: utils.fuzzyFind,
+  scoreDocument: utils.scoreDocument,
+  recencyBoost: utils.recencyBoost,
+  findSnippet: utils.findSnippet,
+  highlightMatches: utils.highlightMatches,
 };
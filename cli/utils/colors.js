@@ -92,13 +92,15 @@ function bold(text) {
 
 /**
  * Get color for task status
- * @param {string} status - Task status (backlog, active, completed, archived)
+ * @param {string} status - Task status (backlog, active, review, blocked, completed, archived)
  * @returns {string} Color name for the status
  */
 function getStatusColor(status) {
   const statusColors = {
     backlog: 'blue',
     active: 'yellow',
+    review: 'cyan',
+    blocked: 'red',
     completed: 'green',
     archived: 'gray',
   };
@@ -24,19 +24,20 @@ function formatDate(dateString) {
 
 /**
  * Parse time string to hours
- * @param {string} timeStr - Time string (e.g., "2h", "30m", "1.5h")
+ * Accepts the output of formatTime, so values can be accumulated.
+ * @param {string} timeStr - Time string (e.g., "2h", "30m", "1.5h", "2h 30m")
  * @returns {number|null} Time in hours, or null if invalid format
  */
 function parseTime(timeStr) {
   if (!timeStr || typeof timeStr !== 'string') return null;
 
-  const match = timeStr.match(/^(\d+\.?\d*)([hm])$/);
-  if (!match) return null;
+  const match = timeStr.trim().match(/^(?:(\d+\.?\d*)h)?\s*(?:(\d+\.?\d*)m)?$/);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
 
-  const value = parseFloat(match[1]);
-  const unit = match[2];
+  const hours = match[1] === undefined ? 0 : parseFloat(match[1]);
+  const minutes = match[2] === undefined ? 0 : parseFloat(match[2]);
 
-  return unit === 'h' ? value : value / 60;
+  return hours + minutes / 60;
 }
 
 /**
@@ -47,8 +48,9 @@ function parseTime(timeStr) {
 function formatTime(hours) {
   if (hours === 0) return '0h';
 
-  const h = Math.floor(hours);
-  const m = Math.round((hours - h) * 60);
+  const totalMinutes = Math.round(hours * 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
 
   if (h === 0) return `${m}m`;
   if (m === 0) return `${h}h`;
@@ -79,6 +81,19 @@ function getCurrentDateTime() {
   return new Date().toISOString().replace('T', ' ').substring(0, 19);
 }
 
+/**
+ * Get the local calendar date of a point in time
+ * Unlike getCurrentDate (UTC), this follows the system time zone.
+ * @param {Date|string|number} [date] - Point in time (defaults to now)
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+function getLocalDate(date = new Date()) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Check if a date string is from today
  * @param {string|undefined} dateStr - Date string to check
@@ -137,6 +152,41 @@ function isThisWeek(dateStr) {
   return date >= monday && date <= sunday;
 }
 
+/**
+ * Check if a string is a valid calendar date in YYYY-MM-DD format
+ * @param {string|undefined} dateStr - Date string to check
+ * @returns {boolean} True if the date is valid
+ */
+function isValidDate(dateStr) {
+  if (!dateStr || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(dateStr);
+}
+
+/**
+ * Check if a due date (YYYY-MM-DD) is before today (in the local time zone)
+ * @param {string|undefined} dateStr - Due date to check
+ * @returns {boolean} True if the date has passed
+ */
+function isOverdue(dateStr) {
+  if (!dateStr || !isValidDate(dateStr)) return false;
+  return dateStr < getLocalDate();
+}
+
+/**
+ * Classify a due date relative to today (in the local time zone)
+ * @param {string|undefined} dateStr - Due date (YYYY-MM-DD)
+ * @returns {'overdue'|'today'|'week'|'later'|null} Agenda bucket, or null if no valid date
+ */
+function getDueBucket(dateStr) {
+  if (!dateStr || !isValidDate(dateStr)) return null;
+  if (isOverdue(dateStr)) return 'overdue';
+  if (dateStr === getLocalDate()) return 'today';
+  // Parse as local midnight so the week boundaries match the user's calendar
+  if (isThisWeek(`${dateStr}T00:00:00`)) return 'week';
+  return 'later';
+}
+
 /**
  * Get day name in English
  * @param {Date} date - Date object
@@ -168,9 +218,13 @@ module.exports = {
   getCurrentDate,
   getCurrentTime,
   getCurrentDateTime,
+  getLocalDate,
   isToday,
   isYesterday,
   isThisWeek,
+  isValidDate,
+  isOverdue,
+  getDueBucket,
   getDayName,
   formatDateLong,
 };
@@ -4,82 +4,72 @@
  */
 
 const { bold } = require('./colors');
+const { parseYaml, setYamlField } = require('./yaml');
+
+/**
+ * @typedef {import('./yaml').YamlValue} YamlValue
+ */
 
 // ============================================================================
 // Frontmatter Parsing
 // ============================================================================
 
+/** Frontmatter block: "---", the YAML lines and a closing "---" */
+const FRONTMATTER_PATTERN = /^---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Split markdown content into its frontmatter block and body
+ * @param {string} content - Markdown content
+ * @returns {{frontmatter: string, body: string}} Frontmatter including its "---" lines ('' if there is none) and the rest of the content
+ */
+function splitFrontmatter(content) {
+  const match = content.match(FRONTMATTER_PATTERN);
+  const frontmatter = match ? match[0] : '';
+  return { frontmatter, body: content.slice(frontmatter.length) };
+}
+
 /**
  * Parse YAML frontmatter from markdown content
+ * See utils/yaml for the supported YAML subset; scalars are read as strings.
  * @param {string} content - Markdown content with frontmatter
- * @returns {Record<string, string|string[]>} Parsed frontmatter object
+ * @returns {Record<string, YamlValue>} Parsed frontmatter object
  */
 function parseFrontmatter(content) {
-  const match = content.match(/^---\n([\s\S]*?)\n---/);
+  const match = content.match(FRONTMATTER_PATTERN);
   if (!match) return {};
+  return parseYaml(match[1] || '');
+}
 
-  /** @type {Record<string, string|string[]>} */
-  const frontmatter = {};
-  const lines = match[1].split('\n');
-
-  lines.forEach((/** @type {string} */ line) => {
-    const [key, ...valueParts] = line.split(':');
-    if (key && valueParts.length > 0) {
-      /** @type {string|string[]} */
-      let value = valueParts.join(':').trim();
-
-      // Remove quotes
-      value = value.replace(/^["']|["']$/g, '');
-
-      // Parse arrays
-      if (value.startsWith('[') && value.endsWith(']')) {
-        value = value
-          .slice(1, -1)
-          .split(',')
-          .map((/** @type {string} */ v) => v.trim());
-      }
-
-      frontmatter[key.trim()] = value;
-    }
-  });
-
-  return frontmatter;
+/**
+ * Get the line of a top-level frontmatter field
+ * @param {string} content - Markdown content with frontmatter
+ * @param {string} field - Field name
+ * @returns {number|null} Line number (1-based), or null if the field is missing
+ */
+function getFrontmatterLine(content, field) {
+  const lines = splitFrontmatter(content).frontmatter.split('\n');
+  const index = lines.findIndex((line) => line.startsWith(`${field}:`));
+  return index === -1 ? null : index + 1;
 }
 
 /**
  * Update frontmatter in markdown content
- * Compatible with original API: updateFrontmatter(content, field, value)
+ * Only the given field changes: other fields, their order and comments are
+ * kept as written. Missing fields are added at the end of the frontmatter.
  * @param {string} content - Original content
  * @param {string} field - Field name to update
  * @param {unknown} value - New value for the field
  * @returns {string} Updated content
  */
 function updateFrontmatter(content, field, value) {
-  const match = content.match(/^(---\n[\s\S]*?\n---)/);
+  const match = content.match(FRONTMATTER_PATTERN);
   if (!match) return content;
 
-  let frontmatter = match[1];
-  const fieldRegex = new RegExp(`${field}:.*`, 'g');
-
-  // Format value - escape quotes properly
-  let formattedValue = value;
-  if (Array.isArray(value)) {
-    formattedValue = `[${value.map((v) => (typeof v === 'string' && (v.includes(':') || v.includes('"')) ? `"${v.replace(/"/g, '\\"')}"` : v)).join(', ')}]`;
-  } else if (typeof value === 'string') {
-    // Escape quotes and wrap if contains special chars
-    if (value.includes('"') || value.includes(':') || value.includes('#')) {
-      formattedValue = `"${value.replace(/"/g, '\\"')}"`;
-    }
-  }
-
-  if (frontmatter.match(fieldRegex)) {
-    frontmatter = frontmatter.replace(fieldRegex, `${field}: ${formattedValue}`);
-  } else {
-    // Insert new field before the closing --- (at correct position)
-    frontmatter = frontmatter.replace(/\n---$/, `\n${field}: ${formattedValue}\n---`);
-  }
-
-  return content.replace(match[1], frontmatter);
+  // Keep the line endings of the file (e.g. CRLF on Windows)
+  const eol = match[0].includes('\r\n') ? '\r\n' : '\n';
+  const yaml = setYamlField(match[1] || '', field, value);
+  const lineEnd = match[0].endsWith('\n') ? eol : '';
+  return `---${eol}${yaml}${eol}---${lineEnd}${content.slice(match[0].length)}`;
 }
 
 /**
@@ -249,7 +239,9 @@ function indent(text, spaces) {
 }
 
 module.exports = {
+  splitFrontmatter,
   parseFrontmatter,
+  getFrontmatterLine,
   updateFrontmatter,
   updateFrontmatterBatch,
   formatTable,
@@ -9,6 +9,8 @@ const date = require('./date');
 const file = require('./file');
 const format = require('./format');
 const editor = require('./editor');
+const search = require('./search');
+const yaml = require('./yaml');
 
 module.exports = {
   // Colors and formatting
@@ -31,9 +33,13 @@ module.exports = {
   getCurrentDate: date.getCurrentDate,
   getCurrentTime: date.getCurrentTime,
   getCurrentDateTime: date.getCurrentDateTime,
+  getLocalDate: date.getLocalDate,
   isToday: date.isToday,
   isYesterday: date.isYesterday,
   isThisWeek: date.isThisWeek,
+  isValidDate: date.isValidDate,
+  isOverdue: date.isOverdue,
+  getDueBucket: date.getDueBucket,
   getDayName: date.getDayName,
   formatDateLong: date.formatDateLong,
 
@@ -52,7 +58,9 @@ module.exports = {
   createTempFile: file.createTempFile,
 
   // Format utilities
+  splitFrontmatter: format.splitFrontmatter,
   parseFrontmatter: format.parseFrontmatter,
+  getFrontmatterLine: format.getFrontmatterLine,
   updateFrontmatter: format.updateFrontmatter,
   updateFrontmatterBatch: format.updateFrontmatterBatch,
   formatTable: format.formatTable,
@@ -64,6 +72,20 @@ module.exports = {
   formatNumber: format.formatNumber,
   indent: format.indent,
 
+  // YAML utilities
+  parseYaml: yaml.parseYaml,
+  formatYamlField: yaml.formatYamlField,
+  quoteYamlString: yaml.quoteYamlString,
+  setYamlField: yaml.setYamlField,
+
+  // Search utilities
+  parseSearchTerms: search.parseSearchTerms,
+  fuzzyFind: search.fuzzyFind,
+  scoreDocument: search.scoreDocument,
+  recencyBoost: search.recencyBoost,
+  findSnippet: search.findSnippet,
+  highlightMatches: search.highlightMatches,
+
   // Editor utilities
   getDefaultEditor: editor.getDefaultEditor,
   openInEditor: editor.openInEditor,
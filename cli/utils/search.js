@@ -0,0 +1,246 @@
+/**
+ * Fuzzy text matching and ranking for searches
+ * @module utils/search
+ */
+
+const { colorize } = require('./colors');
+
+/**
+ * @typedef {Object} TextMatch
+ * @property {number} index - Offset of the match in the text
+ * @property {number} length - Length of the matched text
+ * @property {boolean} exact - False if the match needed typo tolerance
+ */
+
+/**
+ * @typedef {Object} Snippet
+ * @property {number} line - Line number (1-based)
+ * @property {string} text - Line text, shortened around the match
+ */
+
+/**
+ * @typedef {Object} SearchTerm
+ * @property {string} text - Lowercase term (a word or phrase)
+ * @property {'title'|'any'} scope - Where the term may match
+ * @property {boolean} [negated] - Exclude documents containing the term (exact match only)
+ */
+
+/** Points for a match, by where it is found and whether it is exact */
+const SCORES = {
+  titleExact: 10,
+  titleFuzzy: 8,
+  bodyExact: 3,
+  bodyFuzzy: 1,
+};
+
+/** Days until the recency boost fades out */
+const RECENCY_DAYS = 30;
+/** Points added for a document updated today */
+const RECENCY_BOOST = 2;
+
+/**
+ * Number of typos tolerated for a word
+ * @param {string} word - Search word
+ * @returns {number} 0 for short words, 1 up to 7 characters, 2 beyond
+ */
+function allowedTypos(word) {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+/**
+ * Edit distance between two strings (adjacent swaps count as one edit)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Stop once the distance is known to exceed this
+ * @returns {number} Distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  /** @type {number[][]} */
+  const d = [];
+  for (let i = 0; i <= a.length; i++) {
+    d[i] = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        d[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, d[i][j]);
+    }
+    if (i > 0 && rowMin > max) return max + 1;
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Find a term in text, tolerating typos in single words
+ * Exact substring matches win; otherwise a word of the text within the
+ * allowed edit distance of the term matches.
+ * @param {string} text - Text to search
+ * @param {string} term - Lowercase search term
+ * @returns {TextMatch|null} First match, or null if the term is not found
+ */
+function fuzzyFind(text, term) {
+  const lower = text.toLowerCase();
+  const index = lower.indexOf(term);
+  if (index !== -1) return { index, length: term.length, exact: true };
+
+  const typos = allowedTypos(term);
+  if (typos === 0 || /\s/.test(term)) return null;
+
+  const wordPattern = /[\p{L}\p{N}_-]+/gu;
+  let match;
+  while ((match = wordPattern.exec(lower)) !== null) {
+    if (editDistance(match[0], term, typos) <= typos) {
+      return { index: match.index, length: match[0].length, exact: false };
+    }
+  }
+  return null;
+}
+
+/**
+ * Split search text into terms
+ * Quoted phrases stay together, `title:` limits a term to the title and a
+ * leading `-` excludes documents containing the term.
+ * @param {string} text - Search text (e.g. 'login "session cookie" -draft')
+ * @returns {SearchTerm[]} Terms (lowercase)
+ */
+function parseSearchTerms(text) {
+  /** @type {SearchTerm[]} */
+  const terms = [];
+  const tokenPattern = /(-?)(title:)?(?:"([^"]*)"|(\S+))/gi;
+  let match;
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const value = (match[3] === undefined ? match[4] : match[3]).trim().toLowerCase();
+    if (value === '') continue;
+    terms.push({ text: value, scope: match[2] ? 'title' : 'any', negated: match[1] === '-' });
+  }
+  return terms;
+}
+
+/**
+ * Score a document against search terms
+ * Title matches always rank above body matches.
+ * @param {{title: string, body: string}} doc - Document to score
+ * @param {SearchTerm[]} terms - Terms that must all match (negated terms must not)
+ * @returns {number|null} Score (higher is better), or null if the document does not match
+ */
+function scoreDocument(doc, terms) {
+  let score = 0;
+
+  for (const term of terms) {
+    if (term.negated) {
+      const text = term.scope === 'title' ? doc.title : `${doc.title}\n${doc.body}`;
+      if (text.toLowerCase().includes(term.text)) return null;
+      continue;
+    }
+    const inTitle = fuzzyFind(doc.title, term.text);
+    if (inTitle) {
+      score += inTitle.exact ? SCORES.titleExact : SCORES.titleFuzzy;
+      continue;
+    }
+    const inBody = term.scope === 'any' ? fuzzyFind(doc.body, term.text) : null;
+    if (!inBody) return null;
+    score += inBody.exact ? SCORES.bodyExact : SCORES.bodyFuzzy;
+  }
+
+  return score;
+}
+
+/**
+ * Points for recently updated documents
+ * @param {string} [date] - Last update (YYYY-MM-DD or ISO date)
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @returns {number} Between 0 and RECENCY_BOOST, fading out over RECENCY_DAYS
+ */
+function recencyBoost(date, today) {
+  const updated = Date.parse(String(date || '').slice(0, 10));
+  if (Number.isNaN(updated)) return 0;
+  const days = Math.max(0, (Date.parse(today) - updated) / 86400000);
+  return Math.max(0, RECENCY_BOOST * (1 - days / RECENCY_DAYS));
+}
+
+/**
+ * Find the first line matching any of the terms
+ * @param {string} text - Text to search (e.g. a file without frontmatter)
+ * @param {string[]} terms - Lowercase search terms
+ * @param {Object} [options] - Options
+ * @param {number} [options.firstLine=1] - Line number of the first line of `text`
+ * @param {number} [options.width=80] - Maximum snippet length
+ * @param {(line: string) => boolean} [options.skip] - Lines to ignore (e.g. the title heading)
+ * @returns {Snippet|null} Snippet, or null if no line matches
+ */
+function findSnippet(text, terms, options = {}) {
+  const { firstLine = 1, width = 80, skip = () => false } = options;
+  const lines = text.split('\n');
+
+  for (const term of terms) {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (line === '' || skip(line)) continue;
+      const match = fuzzyFind(line, term);
+      if (!match) continue;
+
+      // Keep the match visible when the line is too long
+      let start = 0;
+      let end = line.length;
+      if (line.length > width) {
+        start = Math.max(0, Math.min(match.index - 20, line.length - width));
+        end = start + width;
+      }
+      let shown = line.slice(start, end);
+      if (start > 0) shown = `...${shown.slice(3)}`;
+      if (end < line.length) shown = `${shown.slice(0, -3)}...`;
+
+      return { line: firstLine + i, text: shown };
+    }
+  }
+  return null;
+}
+
+/**
+ * Highlight the parts of a text that match search terms
+ * @param {string} text - Text to highlight
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {string} Text with the first match of each term colored
+ */
+function highlightMatches(text, terms) {
+  /** @type {TextMatch[]} */
+  const matches = [];
+  terms.forEach((term) => {
+    const match = fuzzyFind(text, term);
+    if (
+      match &&
+      !matches.some((m) => match.index < m.index + m.length && m.index < match.index + match.length)
+    ) {
+      matches.push(match);
+    }
+  });
+
+  return matches
+    .sort((a, b) => b.index - a.index)
+    .reduce(
+      (result, m) =>
+        result.slice(0, m.index) +
+        colorize(result.slice(m.index, m.index + m.length), 'yellow') +
+        result.slice(m.index + m.length),
+      text
+    );
+}
+
+module.exports = {
+  parseSearchTerms,
+  fuzzyFind,
+  scoreDocument,
+  recencyBoost,
+  findSnippet,
+  highlightMatches,
+};
@@ -0,0 +1,627 @@
+/**
+ * YAML subset used by task and note frontmatter
+ *
+ * Supported: block maps (nested by indentation), block lists (`- item`),
+ * flow lists and maps (`[a, "b, c"]`, `{a: 1}`), plain, single- and
+ * double-quoted scalars (which may span lines), block scalars (`|`, `>`)
+ * and `#` comments. Anchors, aliases, tags and multiple documents are not.
+ *
+ * Scalars are returned as strings: `estimated: 5` reads as "5", leaving
+ * type conversion to callers, as before.
+ *
+ * Edits are made in place (see setYamlField) so that other fields, their
+ * order, formatting and comments are kept exactly as written.
+ *
+ * @module utils/yaml
+ */
+
+/**
+ * @typedef {string | YamlValue[] | {[key: string]: YamlValue}} YamlValue
+ */
+
+/**
+ * @typedef {Object} YamlLine
+ * @property {number} indent - Leading spaces
+ * @property {string} text - Line without leading spaces
+ */
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Split a line into its content and a trailing `#` comment
+ * A `#` only starts a comment at the start of the line or after whitespace,
+ * and never inside quotes.
+ * @param {string} text - Line text
+ * @returns {[string, string]} Content (right-trimmed) and comment ('' if none)
+ */
+function splitComment(text) {
+  /** @type {string|null} */
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return [text.slice(0, i).trimEnd(), text.slice(i)];
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+      quote = char;
+    }
+  }
+  return [text.trimEnd(), ''];
+}
+
+/**
+ * Split a `key: value` line
+ * @param {string} text - Line text (without indentation)
+ * @returns {{key: string, rest: string}|null} Key and the raw text after the colon
+ */
+function splitKey(text) {
+  const match = text.match(
+    /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[{\-?][^#]*?|[-?][^\s#][^#]*?)\s*:(?:\s+(.*)|$)/
+  );
+  if (!match) return null;
+  return { key: unquote(match[1]), rest: match[2] || '' };
+}
+
+/**
+ * Remove quotes from a quoted scalar and resolve its escapes
+ * @param {string} text - Scalar text
+ * @returns {string} Unquoted value (unchanged if not quoted)
+ */
+function unquote(text) {
+  if (text.length >= 2 && text.startsWith("'") && text.endsWith("'")) {
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+    /** @type {Record<string, string>} */
+    const escapes = { n: '\n', t: '\t', r: '\r', 0: '\0', '"': '"', '\\': '\\', '/': '/' };
+    return text
+      .slice(1, -1)
+      .replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, code) =>
+        code.length === 5
+          ? String.fromCharCode(parseInt(code.slice(1), 16))
+          : (escapes[code] ?? code)
+      );
+  }
+  return text;
+}
+
+/**
+ * Find where a quoted scalar ends
+ * @param {string} text - Text starting with a quote
+ * @returns {number} Index of the closing quote, or -1 if it is missing
+ */
+function closingQuote(text) {
+  const quote = text[0];
+  for (let i = 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') i++;
+    else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") i++;
+      else return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse a flow collection (`[a, b]` or `{a: 1}`)
+ * @param {string} text - Collection text
+ * @returns {YamlValue} Parsed list or map (the text itself if unbalanced)
+ */
+function parseFlow(text) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  /** @returns {YamlValue} */
+  const value = () => {
+    skipSpace();
+    const char = text[pos];
+    if (char === '[' || char === '{') return collection();
+    if (char === '"' || char === "'") {
+      const end = closingQuote(text.slice(pos));
+      if (end === -1) throw new Error('unterminated string');
+      const quoted = text.slice(pos, pos + end + 1);
+      pos += end + 1;
+      return unquote(fold(quoted));
+    }
+    const start = pos;
+    while (pos < text.length && !/[,\]}]/.test(text[pos])) {
+      if (text[pos] === ':' && /[\s,\]}]/.test(text[pos + 1] || ' ')) break;
+      pos++;
+    }
+    return text.slice(start, pos).replace(/\s+/g, ' ').trim();
+  };
+
+  /** @returns {YamlValue} */
+  const collection = () => {
+    const isList = text[pos] === '[';
+    const close = isList ? ']' : '}';
+    pos++;
+    /** @type {YamlValue[]} */
+    const list = [];
+    /** @type {{[key: string]: YamlValue}} */
+    const map = {};
+
+    skipSpace();
+    while (text[pos] !== close) {
+      if (pos >= text.length) throw new Error(`missing "${close}"`);
+      const item = value();
+      skipSpace();
+      if (text[pos] === ':') {
+        pos++;
+        const itemValue = value();
+        if (isList) list.push({ [String(item)]: itemValue });
+        else map[String(item)] = itemValue;
+      } else if (isList) {
+        list.push(item);
+      } else {
+        map[String(item)] = '';
+      }
+      skipSpace();
+      if (text[pos] === ',') {
+        pos++;
+        skipSpace();
+      } else if (text[pos] !== close) {
+        throw new Error(`expected "," or "${close}"`);
+      }
+    }
+    pos++;
+    return isList ? list : map;
+  };
+
+  try {
+    const result = collection();
+    skipSpace();
+    return pos === text.length ? result : text;
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Fold the line breaks of a multi-line scalar into spaces
+ * Blank lines become newlines, as in YAML.
+ * @param {string} text - Scalar text spanning one or more lines
+ * @returns {string} Folded text
+ */
+function fold(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .reduce((result, line, i, lines) => {
+      if (i === 0) return line;
+      if (line === '') return `${result}\n`;
+      return result.endsWith('\n') || lines[i - 1] === '' ? result + line : `${result} ${line}`;
+    }, '');
+}
+
+/**
+ * Whether a line holds nothing to parse
+ * @param {YamlLine} line - Line
+ * @returns {boolean} True for blank and comment-only lines
+ */
+function isEmptyLine(line) {
+  return line.text === '' || line.text.startsWith('#');
+}
+
+/**
+ * Whether a line is a block list item
+ * @param {YamlLine} line - Line
+ * @returns {boolean} True for "- item" and "-"
+ */
+function isListItem(line) {
+  return line.text === '-' || line.text.startsWith('- ');
+}
+
+/**
+ * Parser over the lines of a YAML document
+ * @param {string} text - YAML text
+ * @returns {{[key: string]: YamlValue}} Parsed top-level map
+ */
+function parseYaml(text) {
+  /** @type {YamlLine[]} */
+  const lines = text.split(/\r?\n/).map((raw) => {
+    const text = raw.replace(/^ +/, '').trimEnd();
+    return { indent: raw.length - raw.replace(/^ +/, '').length, text };
+  });
+
+  /**
+   * @param {number} i - Index to start from
+   * @returns {number} Index of the next line with content (lines.length if none)
+   */
+  const nextLine = (i) => {
+    while (i < lines.length && isEmptyLine(lines[i])) i++;
+    return i;
+  };
+
+  /**
+   * Collect the lines that continue a value (indented deeper than its parent)
+   * @param {number} i - First line after the value's own line
+   * @param {number} parentIndent - Indentation of the key or list item
+   * @returns {number} Index after the last continuation line
+   */
+  const continuationEnd = (i, parentIndent) => {
+    let end = i;
+    for (let j = i; j < lines.length; j++) {
+      if (lines[j].text === '') continue;
+      if (lines[j].indent <= parentIndent) break;
+      end = j + 1;
+    }
+    return end;
+  };
+
+  /**
+   * Parse a block scalar (`|` literal or `>` folded)
+   * @param {string} header - Indicator, e.g. "|", ">-" or "|+"
+   * @param {number} i - First line of the content
+   * @param {number} parentIndent - Indentation of the key or list item
+   * @returns {{value: string, next: number}} Value and index after it
+   */
+  const blockScalar = (header, i, parentIndent) => {
+    const end = continuationEnd(i, parentIndent);
+    const body = lines.slice(i, end);
+    const first = body.find((line) => line.text !== '');
+    const indent = first ? first.indent : parentIndent + 1;
+    const rows = body.map((line) =>
+      line.text === '' ? '' : ' '.repeat(line.indent - indent) + line.text
+    );
+    let trailing = 0;
+    while (end + trailing < lines.length && lines[end + trailing].text === '') trailing++;
+
+    let value = header.startsWith('|')
+      ? rows.join('\n')
+      : rows.reduce((result, row, k) => {
+          if (k === 0) return row;
+          if (row === '') return `${result}\n`;
+          if (rows[k - 1] === '') return result + row;
+          return /^\s/.test(row) || /^\s/.test(rows[k - 1])
+            ? `${result}\n${row}`
+            : `${result} ${row}`;
+        }, '');
+
+    // Keep the trailing blank lines ("+") or drop the final newline ("-")
+    if (header.includes('+')) value += '\n'.repeat(trailing + 1);
+    else if (!header.includes('-') && value !== '') value += '\n';
+    return { value, next: end };
+  };
+
+  /**
+   * Parse the value written after "key:" or "- "
+   * @param {string} rest - Text after the indicator
+   * @param {number} i - Index of the line holding the indicator
+   * @param {number} parentIndent - Indentation of the key or list item
+   * @returns {{value: YamlValue, next: number}} Value and index after it
+   */
+  const inlineValue = (rest, i, parentIndent) => {
+    const [content] = splitComment(rest);
+
+    if (/^[|>][+-]?\d*$/.test(content)) {
+      return blockScalar(content, i + 1, parentIndent);
+    }
+
+    if (content === '') {
+      const j = nextLine(i + 1);
+      if (j < lines.length && lines[j].indent > parentIndent) {
+        if (isListItem(lines[j]) || splitKey(lines[j].text)) return block(j, lines[j].indent);
+        return inlineValue(lines[j].text, j, parentIndent);
+      }
+      if (j < lines.length && lines[j].indent === parentIndent && isListItem(lines[j])) {
+        return block(j, parentIndent);
+      }
+      return { value: '', next: i + 1 };
+    }
+
+    // Multi-line values: join the continuation lines first
+    const end = continuationEnd(i + 1, parentIndent);
+    const more = lines.slice(i + 1, end).map((line) => line.text);
+    const raw = [rest, ...more].join('\n');
+
+    if (content.startsWith('"') || content.startsWith("'")) {
+      const close = closingQuote(raw);
+      if (close !== -1) return { value: unquote(fold(raw.slice(0, close + 1))), next: end };
+    }
+
+    if (content.startsWith('[') || content.startsWith('{')) {
+      const flow = raw
+        .split('\n')
+        .map((line) => splitComment(line)[0])
+        .join('\n');
+      const value = parseFlow(flow.trim());
+      if (typeof value !== 'string') return { value, next: end };
+    }
+
+    const text = raw
+      .split('\n')
+      .filter((line) => !line.trim().startsWith('#'))
+      .map((line) => splitComment(line)[0])
+      .join('\n');
+    return { value: fold(text), next: end };
+  };
+
+  /**
+   * Parse a block list whose items start at `indent`
+   * @param {number} i - Index of the first item
+   * @param {number} indent - Indentation of the items
+   * @returns {{value: YamlValue[], next: number}} List and index after it
+   */
+  const list = (i, indent) => {
+    /** @type {YamlValue[]} */
+    const items = [];
+    while (i < lines.length) {
+      i = nextLine(i);
+      if (i >= lines.length || lines[i].indent !== indent || !isListItem(lines[i])) break;
+
+      const rest = lines[i].text.slice(1).replace(/^ +/, '');
+      const column = indent + lines[i].text.length - rest.length;
+      if (rest !== '' && !rest.startsWith('#') && splitKey(rest)) {
+        // "- key: value" starts a map nested in the item
+        lines[i] = { indent: column, text: rest };
+        const item = block(i, column);
+        items.push(item.value);
+        i = item.next;
+      } else {
+        const item = inlineValue(rest, i, indent);
+        items.push(item.value);
+        i = item.next;
+      }
+    }
+    return { value: items, next: i };
+  };
+
+  /**
+   * Parse a block map whose keys start at `indent`
+   * @param {number} i - Index of the first key
+   * @param {number} indent - Indentation of the keys
+   * @returns {{value: {[key: string]: YamlValue}, next: number}} Map and index after it
+   */
+  const map = (i, indent) => {
+    /** @type {{[key: string]: YamlValue}} */
+    const result = {};
+    while (i < lines.length) {
+      i = nextLine(i);
+      if (i >= lines.length || lines[i].indent < indent) break;
+      if (lines[i].indent > indent || isListItem(lines[i])) {
+        i++;
+        continue;
+      }
+
+      const entry = splitKey(lines[i].text);
+      if (!entry) {
+        i++;
+        continue;
+      }
+      const item = inlineValue(entry.rest, i, indent);
+      result[entry.key] = item.value;
+      i = item.next;
+    }
+    return { value: result, next: i };
+  };
+
+  /**
+   * Parse a block list or map
+   * @param {number} i - Index of its first line
+   * @param {number} indent - Indentation of its entries
+   * @returns {{value: YamlValue, next: number}} Value and index after it
+   */
+  const block = (i, indent) => (isListItem(lines[i]) ? list(i, indent) : map(i, indent));
+
+  const start = nextLine(0);
+  if (start >= lines.length) return {};
+  return map(start, lines[start].indent).value;
+}
+
+// ============================================================================
+// Serializing
+// ============================================================================
+
+/**
+ * Whether a string must be quoted to read back unchanged
+ * @param {string} text - String value
+ * @param {boolean} inFlow - Whether the string is an item of a flow list
+ * @returns {boolean} True if plain style would change its meaning
+ */
+function needsQuotes(text, inFlow) {
+  if (text === '') return inFlow;
+  return (
+    text !== text.trim() ||
+    /^["'[\]{}|>#&*!%@`]/.test(text) ||
+    /^[-?:](\s|$)/.test(text) ||
+    /:(\s|$)/.test(text) ||
+    /\s#/.test(text) ||
+    /[\t\r\n]/.test(text) ||
+    (inFlow && /[,[\]{}]/.test(text))
+  );
+}
+
+/**
+ * Quote a string as a double-quoted YAML scalar
+ * @param {string} text - String value
+ * @returns {string} Quoted string, e.g. "Fix \"login\" bug"
+ */
+function quoteYamlString(text) {
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r');
+  return `"${escaped}"`;
+}
+
+/**
+ * Format a scalar for a single line
+ * @param {unknown} value - Scalar value
+ * @param {boolean} inFlow - Whether the value is an item of a flow list
+ * @returns {string} YAML text
+ */
+function formatScalar(value, inFlow) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return needsQuotes(text, inFlow) ? quoteYamlString(text) : text;
+}
+
+/**
+ * Whether a value fits on the line of its key
+ * @param {unknown} value - Value
+ * @returns {boolean} True for single-line scalars and lists of them
+ */
+function isInline(value) {
+  if (Array.isArray(value)) {
+    return (
+      value.every((item) => item === null || typeof item !== 'object') && !value.some(isMultiline)
+    );
+  }
+  if (value !== null && typeof value === 'object') return Object.keys(value).length === 0;
+  return !isMultiline(value);
+}
+
+/**
+ * Whether a value is a string spanning several lines
+ * @param {unknown} value - Value
+ * @returns {boolean} True if the value contains a newline
+ */
+function isMultiline(value) {
+  return typeof value === 'string' && value.includes('\n');
+}
+
+/**
+ * Format the lines of a value placed below its key or list marker
+ * @param {unknown} value - Multi-line string, list or map
+ * @param {string} indent - Indentation of the lines
+ * @returns {string[]} Lines
+ */
+function formatBlock(value, indent) {
+  if (isMultiline(value)) {
+    return String(value)
+      .replace(/\n$/, '')
+      .split('\n')
+      .map((line) => (line === '' ? '' : indent + line));
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      if (isInline(item)) return [`${indent}- ${formatInline(item)}`.trimEnd()];
+      if (isMultiline(item))
+        return [`${indent}- ${blockIndicator(item)}`, ...formatBlock(item, `${indent}  `)];
+      const [first, ...rest] = formatBlock(item, `${indent}  `);
+      return [`${indent}- ${first.trimStart()}`, ...rest];
+    });
+  }
+  return Object.entries(/** @type {Record<string, unknown>} */ (value)).flatMap(([key, item]) =>
+    formatYamlField(key, item, indent).split('\n')
+  );
+}
+
+/**
+ * Block scalar indicator for a multi-line string
+ * @param {string} text - String value
+ * @returns {string} "|" if it ends with a newline, "|-" otherwise
+ */
+function blockIndicator(text) {
+  return text.endsWith('\n') ? '|' : '|-';
+}
+
+/**
+ * Format a single-line value (scalar or flow list)
+ * @param {unknown} value - Value
+ * @returns {string} YAML text
+ */
+function formatInline(value) {
+  if (Array.isArray(value)) return `[${value.map((item) => formatScalar(item, true)).join(', ')}]`;
+  if (value !== null && typeof value === 'object') return '{}';
+  return formatScalar(value, false);
+}
+
+/**
+ * Format a `key: value` entry
+ * Scalars and lists of scalars stay on one line; multi-line strings become
+ * block scalars and maps become nested blocks.
+ * @param {string} key - Field name
+ * @param {unknown} value - Field value
+ * @param {string} [indent=''] - Indentation of the key
+ * @returns {string} YAML text (one or more lines, no trailing newline)
+ */
+function formatYamlField(key, value, indent = '') {
+  const name = needsQuotes(key, false) ? quoteYamlString(key) : key;
+  if (isInline(value)) return `${indent}${name}: ${formatInline(value)}`.trimEnd();
+  if (isMultiline(value)) {
+    return [
+      `${indent}${name}: ${blockIndicator(String(value))}`,
+      ...formatBlock(value, `${indent}  `),
+    ].join('\n');
+  }
+  return [`${indent}${name}:`, ...formatBlock(value, `${indent}  `)].join('\n');
+}
+
+// ============================================================================
+// Editing
+// ============================================================================
+
+/**
+ * Find the lines taken by a top-level field
+ * @param {string[]} lines - Document lines
+ * @param {string} key - Field name
+ * @returns {{start: number, end: number}|null} Line range (end exclusive), or null if missing
+ */
+function findField(lines, key) {
+  const start = lines.findIndex((line) => {
+    if (/^\s/.test(line)) return false;
+    const entry = splitKey(line.trimEnd());
+    return entry !== null && entry.key === key;
+  });
+  if (start === -1) return null;
+
+  // Values continue on indented lines and "- item" lines; comments and
+  // blank lines between fields are left where they are
+  let end = start + 1;
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === '') continue;
+    if (!/^\s/.test(line) && !/^-(\s|$)/.test(line)) break;
+    end = i + 1;
+  }
+  return { start, end };
+}
+
+/**
+ * Set a top-level field of a YAML document, keeping everything else as written
+ * Existing fields are replaced where they stand (a trailing comment on their
+ * line is kept); new fields are added at the end. Lines keep the line ending
+ * of the text (LF or CRLF).
+ * @param {string} text - YAML text
+ * @param {string} key - Field name
+ * @param {unknown} value - New value
+ * @returns {string} Updated YAML text
+ */
+function setYamlField(text, key, value) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text === '' ? [] : text.split(eol);
+  let entry = formatYamlField(key, value);
+  const field = findField(lines, key);
+
+  if (!field) {
+    let end = lines.length;
+    while (end > 0 && lines[end - 1].trim() === '') end--;
+    lines.splice(end, 0, ...entry.split('\n'));
+    return lines.join(eol);
+  }
+
+  const [, comment] = splitComment(lines[field.start]);
+  if (comment && field.end === field.start + 1 && !entry.includes('\n')) {
+    entry = `${entry} ${comment}`;
+  }
+  lines.splice(field.start, field.end - field.start, ...entry.split('\n'));
+  return lines.join(eol);
+}
+
+module.exports = {
+  parseYaml,
+  formatYamlField,
+  quoteYamlString,
+  setYamlField,
+};